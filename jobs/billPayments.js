@@ -0,0 +1,42 @@
+const BillPayment = require('../models/BillPayment');
+const { reconcilePayment } = require('../services/billPayment');
+
+const LOCK_MS = 5 * 60 * 1000;
+
+// Settle bill payments still pending once their confirmation lock has run
+// out, e.g. after a crash between the debit and the biller's reply. Each
+// one is claimed with a fresh lock first, as for deposits. Payments the
+// biller still does not answer for stay pending for the next run.
+const reconcileBillPayments = async (now = new Date()) => {
+  const stale = await BillPayment.find({
+    status: 'pending',
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+  }, '_id');
+
+  let settled = 0;
+  for (const { _id } of stale) {
+    const claimed = await BillPayment.findOneAndUpdate(
+      {
+        _id,
+        status: 'pending',
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    // A failure leaves the lock to expire so the next run retries
+    try {
+      const payment = await reconcilePayment(_id);
+      if (payment && payment.status !== 'pending') settled += 1;
+    } catch (error) {
+      console.error(`Bill payment reconciliation error for ${_id}:`, error);
+    }
+  }
+  return settled;
+};
+
+module.exports = {
+  reconcileBillPayments
+};
@@ -0,0 +1,64 @@
+const Deposit = require('../models/Deposit');
+const { matureDeposit, collectDueInstalment } = require('../services/deposit');
+
+const LOCK_MS = 5 * 60 * 1000;
+
+// Pay out or renew every active deposit that has reached maturity. Each
+// one is claimed with a short lock first, as for standing instructions.
+const runMaturedDeposits = async (now = new Date()) => {
+  const due = await Deposit.find({
+    status: 'active',
+    maturityDate: { $lte: now }
+  }, '_id');
+
+  for (const { _id } of due) {
+    const claimed = await Deposit.findOneAndUpdate(
+      {
+        _id,
+        status: 'active',
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    // A failure leaves the lock to expire so the next run retries
+    try {
+      await matureDeposit(_id);
+    } catch (error) {
+      console.error(`Deposit maturity error for ${_id}:`, error);
+    }
+  }
+};
+
+// Auto-debit recurring deposit instalments that have fallen due
+const runDueInstalments = async (now = new Date()) => {
+  const due = await Deposit.find({
+    depositType: 'recurring',
+    status: 'active',
+    nextInstalmentAt: { $lte: now }
+  }, '_id');
+
+  for (const { _id } of due) {
+    const claimed = await Deposit.findOneAndUpdate(
+      {
+        _id,
+        status: 'active',
+        nextInstalmentAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+
+    if (claimed) {
+      await collectDueInstalment(_id, now);
+    }
+  }
+};
+
+module.exports = {
+  runMaturedDeposits,
+  runDueInstalments
+};
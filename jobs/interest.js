@@ -0,0 +1,37 @@
+const InterestRun = require('../models/InterestRun');
+const {
+  dayStart,
+  addDays,
+  monthStart,
+  accrueInterest,
+  creditInterest
+} = require('../services/interest');
+
+// How far back the job catches up on missed accrual days, e.g. after downtime
+const MAX_CATCH_UP_DAYS = parseInt(process.env.INTEREST_MAX_CATCH_UP_DAYS) || 31;
+
+// Accrue every ended day not yet accrued, then credit last month once all
+// of its days are in. Both steps skip work that already completed.
+const runInterestBatch = async (now = new Date()) => {
+  const yesterday = addDays(dayStart(now), -1);
+
+  const lastAccrual = await InterestRun.findOne({ type: 'accrual', status: 'completed' })
+    .sort({ date: -1 });
+  let date = lastAccrual ? addDays(lastAccrual.date, 1) : yesterday;
+  const earliest = addDays(yesterday, 1 - MAX_CATCH_UP_DAYS);
+  if (date < earliest) date = earliest;
+
+  for (; date <= yesterday; date = addDays(date, 1)) {
+    await accrueInterest(date, now);
+  }
+
+  const previousMonth = monthStart(addDays(monthStart(now), -1));
+  const credited = await InterestRun.exists({ type: 'credit', date: previousMonth, status: 'completed' });
+  if (!credited) {
+    await creditInterest(previousMonth, now);
+  }
+};
+
+module.exports = {
+  runInterestBatch
+};
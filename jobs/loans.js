@@ -0,0 +1,71 @@
+const Loan = require('../models/Loan');
+const { collectDueEmi, assessLoan } = require('../services/loan');
+const { dayStart } = require('../services/interest');
+
+const LOCK_MS = 5 * 60 * 1000;
+
+// Auto-debit EMIs that have fallen due, claiming each loan with a short
+// lock first as for standing instructions
+const runDueEmis = async (now = new Date()) => {
+  const due = await Loan.find({
+    status: 'active',
+    nextDebitAt: { $lte: now }
+  }, '_id');
+
+  for (const { _id } of due) {
+    const claimed = await Loan.findOneAndUpdate(
+      {
+        _id,
+        status: 'active',
+        nextDebitAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+
+    if (claimed) {
+      await collectDueEmi(_id, now);
+    }
+  }
+};
+
+// Daily late-payment run: levy late fees and penal interest on loans with
+// overdue EMIs and roll them between SMA/NPA buckets. Loans still marked
+// past due are included so they return to standard once the job sees them
+// caught up. Each loan is assessed at most once a day.
+const runLoanDelinquency = async (now = new Date()) => {
+  const today = dayStart(now);
+  const due = await Loan.find({
+    status: 'active',
+    $and: [
+      { $or: [{ nextPaymentDate: { $lt: today } }, { dpd: { $gt: 0 } }] },
+      { $or: [{ penalAccruedTo: null }, { penalAccruedTo: { $lt: today } }] }
+    ]
+  }, '_id');
+
+  for (const { _id } of due) {
+    const claimed = await Loan.findOneAndUpdate(
+      {
+        _id,
+        status: 'active',
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    // A failure leaves the lock to expire so the next run retries
+    try {
+      await assessLoan(_id, now);
+    } catch (error) {
+      console.error(`Loan delinquency error for ${_id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  runDueEmis,
+  runLoanDelinquency
+};
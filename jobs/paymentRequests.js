@@ -0,0 +1,19 @@
+const PaymentRequest = require('../models/PaymentRequest');
+
+// Expire pending requests past their expiry. Requests locked by an approval
+// in progress are left for that approval to finish.
+const expirePaymentRequests = async (now = new Date()) => {
+  const result = await PaymentRequest.updateMany(
+    {
+      status: 'pending',
+      expiresAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  expirePaymentRequests
+};
@@ -0,0 +1,126 @@
+const StandingInstruction = require('../models/StandingInstruction');
+const Beneficiary = require('../models/Beneficiary');
+const { runInTransaction, executeTransaction } = require('../services/transaction');
+const { ServiceError } = require('../services/errors');
+
+// Failed occurrences (e.g. insufficient balance) are retried a few times
+// before being skipped in favour of the next occurrence.
+const MAX_ATTEMPTS = parseInt(process.env.STANDING_INSTRUCTION_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = parseInt(process.env.STANDING_INSTRUCTION_RETRY_DELAY_MS) || 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+
+// Move the instruction on to its next occurrence, completing it when the
+// schedule, end date or run count is exhausted.
+const advance = (instruction) => {
+  const next = instruction.occurrenceAfter(instruction.nextOccurrence);
+  instruction.attempts = 0;
+
+  const exhausted = !next ||
+    (instruction.endDate && next > instruction.endDate) ||
+    (instruction.maxRuns && instruction.runCount >= instruction.maxRuns);
+
+  if (exhausted) {
+    instruction.status = 'completed';
+    instruction.nextOccurrence = undefined;
+    instruction.nextRunAt = undefined;
+  } else {
+    instruction.nextOccurrence = next;
+    instruction.nextRunAt = next;
+  }
+};
+
+// Execute one claimed instruction through the same path as /create. The
+// transfer and the move to the next occurrence commit together, so a crash
+// cannot leave a completed transfer with the occurrence still due.
+const runInstruction = async (instruction, now) => {
+  const occurrence = instruction.nextOccurrence;
+
+  try {
+    await runInTransaction(async (session) => {
+      const current = await StandingInstruction.findById(instruction._id).session(session);
+      current.attempts += 1;
+
+      // The beneficiary's limits are applied by executeTransaction's payee guard
+      if (current.beneficiary && !(await Beneficiary.exists({ _id: current.beneficiary }).session(session))) {
+        throw new ServiceError('Beneficiary no longer exists', 404);
+      }
+
+      const transaction = await executeTransaction({
+        senderId: current.user,
+        receiverId: current.receiver,
+        amount: current.amount,
+        type: 'transfer',
+        description: current.description || 'Standing instruction',
+        beneficiary: current.beneficiary ? { _id: current.beneficiary } : null,
+        session
+      });
+
+      current.runCount += 1;
+      current.runs.push({
+        occurrence,
+        runAt: now,
+        status: 'completed',
+        attempt: current.attempts,
+        transaction: transaction._id
+      });
+      advance(current);
+      current.lockedUntil = undefined;
+      await current.save({ session });
+    });
+  } catch (error) {
+    if (!(error instanceof ServiceError)) {
+      console.error('Standing instruction error:', error);
+    }
+
+    // The failed attempt is recorded outside the rolled-back transaction
+    instruction.attempts += 1;
+    const lastAttempt = instruction.attempts >= MAX_ATTEMPTS;
+    instruction.runs.push({
+      occurrence,
+      runAt: now,
+      status: lastAttempt ? 'skipped' : 'failed',
+      attempt: instruction.attempts,
+      error: error instanceof ServiceError ? error.message : 'Internal error'
+    });
+
+    if (lastAttempt) {
+      advance(instruction);
+    } else {
+      instruction.nextRunAt = new Date(now.getTime() + RETRY_DELAY_MS);
+    }
+
+    instruction.lockedUntil = undefined;
+    await instruction.save();
+  }
+};
+
+// Run every active instruction that is due. Each one is claimed with a
+// short lock first so two server processes never execute the same run.
+const runDueInstructions = async (now = new Date()) => {
+  const due = await StandingInstruction.find({
+    status: 'active',
+    nextRunAt: { $lte: now }
+  }, '_id');
+
+  for (const { _id } of due) {
+    const instruction = await StandingInstruction.findOneAndUpdate(
+      {
+        _id,
+        status: 'active',
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      { new: true }
+    );
+
+    if (instruction) {
+      await runInstruction(instruction, now);
+    }
+  }
+};
+
+module.exports = {
+  runDueInstructions,
+  runInstruction
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a request may hold a key while processing before a retry can
+// take it over
+const PROCESSING_LEASE_MS = 60 * 1000;
+
+// Replay-safe POST handling driven by the Idempotency-Key header.
+// Must run after authenticateToken. The first request with a key is stored
+// with a hash of its payload and the response it produced; a retry with the
+// same key gets that response back instead of running the handler again.
+// While the first request runs, retries get a 409 until its lease lapses.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const path = req.baseUrl + req.path;
+  const requestHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path, body: req.body }))
+    .digest('hex');
+
+  const lease = () => new Date(Date.now() + PROCESSING_LEASE_MS);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      user: req.user._id,
+      key,
+      method: req.method,
+      path,
+      requestHash,
+      lockedUntil: lease()
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+
+    let existing;
+    try {
+      existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+    } catch (err) {
+      return next(err);
+    }
+
+    if (!existing || existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        message: 'Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Still processing: take the key over only if its lease has lapsed,
+    // i.e. the request holding it died before storing a response
+    try {
+      record = await IdempotencyKey.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: 'processing',
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }]
+        },
+        { lockedUntil: lease() },
+        { new: true }
+      );
+    } catch (err) {
+      return next(err);
+    }
+
+    if (!record) {
+      return res.status(409).json({
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+  }
+
+  // Only the current lease holder may store or release the key
+  const owned = { _id: record._id, lockedUntil: record.lockedUntil };
+
+  // Capture the response so a retry can replay it. Server errors release the
+  // key instead, letting the client try again.
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne(owned)
+      : IdempotencyKey.updateOne(
+          owned,
+          { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+        );
+
+    // Send only once the outcome is stored so an immediate retry replays it
+    save
+      .catch(err => console.error('Idempotency key save error:', err))
+      .then(() => json(body));
+    return res;
+  };
+
+  // A response that does not go through res.json (res.send, res.end, a
+  // stream) or a handler that never responds leaves nothing to replay, so
+  // the key is released rather than left 'processing' until it expires
+  const release = () => {
+    if (settled) return;
+    settled = true;
+    IdempotencyKey.deleteOne(owned)
+      .catch(err => console.error('Idempotency key release error:', err));
+  };
+  res.on('finish', release);
+  res.on('close', release);
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const beneficiarySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nickname: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  identifier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  identifierType: {
+    type: String,
+    enum: ['accountNumber', 'upiId', 'mobile', 'id'],
+    required: true
+  },
+  transferLimit: {
+    type: Number,
+    min: 1
+  },
+  coolingPeriodEndsAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A payee can only be saved once per user
+beneficiarySchema.index({ user: 1, payee: 1 }, { unique: true });
+
+// Update timestamp on save
+beneficiarySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Whether the payee was added too recently for the full transfer cap
+beneficiarySchema.methods.isCooling = function(now = new Date()) {
+  return now < this.coolingPeriodEndsAt;
+};
+
+module.exports = mongoose.model('Beneficiary', beneficiarySchema);
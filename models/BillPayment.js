@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const billPaymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  biller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Biller',
+    required: true
+  },
+  accountNumber: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Details of the fetched bill, for postpaid billers
+  billNumber: {
+    type: String
+  },
+  customerName: {
+    type: String
+  },
+  billDate: {
+    type: Date
+  },
+  dueDate: {
+    type: Date
+  },
+  // 'failed' means the biller rejected the payment and it was reversed
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed'],
+    default: 'pending'
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  billerReference: {
+    type: String
+  },
+  receiptNumber: {
+    type: String
+  },
+  failureReason: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  // Held while the payment is being confirmed with the biller, so the
+  // reconciliation job leaves it alone until it expires
+  lockedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+billPaymentSchema.index({ user: 1, createdAt: -1 });
+// A fetched bill can only have one payment that is pending or paid
+billPaymentSchema.index(
+  { biller: 1, accountNumber: 1, billNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { billNumber: { $exists: true }, status: { $in: ['pending', 'paid'] } }
+  }
+);
+billPaymentSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('BillPayment', billPaymentSchema);
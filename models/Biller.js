@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const billerSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['electricity', 'mobile', 'dth', 'broadband'],
+    required: true
+  },
+  // Name of the adapter in services/billerAdapters that talks to the biller
+  adapter: {
+    type: String,
+    default: 'mock'
+  },
+  // How the biller identifies a customer, e.g. "Consumer Number"
+  accountLabel: {
+    type: String,
+    required: true
+  },
+  accountPattern: {
+    type: String,
+    required: true
+  },
+  // Postpaid billers have a bill to fetch; prepaid ones take any amount
+  fetchRequired: {
+    type: Boolean,
+    default: true
+  },
+  minAmount: {
+    type: Number,
+    default: 1
+  },
+  maxAmount: {
+    type: Number,
+    default: 100000
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+billerSchema.index({ category: 1, name: 1 });
+
+// Whether an account number has the biller's format
+billerSchema.methods.isValidAccount = function(accountNumber) {
+  return new RegExp(this.accountPattern).test(accountNumber);
+};
+
+module.exports = mongoose.model('Biller', billerSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const budgetAlertSchema = new mongoose.Schema({
+  // Percentage of the limit that was crossed (80 or 100)
+  threshold: {
+    type: Number,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  spent: {
+    type: Number,
+    required: true
+  },
+  limit: {
+    type: Number,
+    required: true
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const budgetSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  // Monthly spending limit
+  limit: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Spend in the calendar month starting at periodStart
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  spent: {
+    type: Number,
+    default: 0
+  },
+  alerts: [budgetAlertSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One budget per category per user
+budgetSchema.index({ user: 1, category: 1 }, { unique: true });
+
+// Update timestamp on save
+budgetSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
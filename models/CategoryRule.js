@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const categoryRuleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A rule matches either a counterparty or a keyword in the description
+  counterparty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  keyword: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  direction: {
+    type: String,
+    enum: ['in', 'out']
+  },
+  category: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+categoryRuleSchema.index({ user: 1, counterparty: 1, direction: 1 });
+
+categoryRuleSchema.pre('validate', function(next) {
+  if (!this.counterparty && !this.keyword) {
+    return next(new Error('A category rule needs a counterparty or a keyword'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('CategoryRule', categoryRuleSchema);
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+// One monthly instalment of a recurring deposit
+const instalmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Missed instalments can still be paid late, with a penalty
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'missed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  penalty: {
+    type: Number,
+    default: 0
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }
+}, { _id: false });
+
+const depositSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  depositType: {
+    type: String,
+    enum: ['fixed', 'recurring'],
+    default: 'fixed'
+  },
+  // Amount deposited; for recurring deposits it grows with each instalment
+  principal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Annual rate locked in when the deposit is opened
+  interestRate: {
+    type: Number,
+    required: true
+  },
+  compounding: {
+    type: String,
+    enum: ['simple', 'quarterly'],
+    default: 'quarterly'
+  },
+  tenureMonths: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 120
+  },
+  startDate: {
+    type: Date,
+    default: Date.now
+  },
+  maturityDate: {
+    type: Date,
+    required: true
+  },
+  maturityAmount: {
+    type: Number,
+    required: true
+  },
+  // What happens at maturity: pay out to the account or roll over
+  maturityInstruction: {
+    type: String,
+    enum: ['credit', 'renew'],
+    default: 'credit'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'matured', 'closed', 'renewed'],
+    default: 'active'
+  },
+  // Set once the deposit is paid out, at maturity or early
+  closureType: {
+    type: String,
+    enum: ['maturity', 'premature']
+  },
+  closedAt: {
+    type: Date
+  },
+  interestPaid: {
+    type: Number
+  },
+  payoutAmount: {
+    type: Number
+  },
+  // Rate actually applied on premature closure, after the penalty
+  appliedRate: {
+    type: Number
+  },
+  bookingTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  payoutTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit'
+  },
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit'
+  },
+  // Recurring deposits: the monthly instalment, the day it is debited and
+  // when the instalment job should next look at the deposit
+  instalmentAmount: {
+    type: Number
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28
+  },
+  instalments: [instalmentSchema],
+  nextInstalmentAt: {
+    type: Date
+  },
+  // Claimed by the maturity or instalment job while it processes the deposit
+  lockedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+depositSchema.index({ user: 1, createdAt: -1 });
+depositSchema.index({ status: 1, maturityDate: 1 });
+depositSchema.index({ depositType: 1, status: 1, nextInstalmentAt: 1 });
+
+// Update timestamp on save
+depositSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Deposit', depositSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One day's savings interest for an account. Rows stay uncredited until
+// the monthly credit run pays them out as an 'interest' transaction.
+const interestAccrualSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the day the interest was earned on
+  date: {
+    type: Date,
+    required: true
+  },
+  // End-of-day balance the interest was calculated on
+  balance: {
+    type: Number,
+    required: true
+  },
+  // Effective annual rate across the slabs, in percent
+  rate: {
+    type: Number,
+    required: true
+  },
+  // Kept to four decimals; rounding to paise happens when credited
+  amount: {
+    type: Number,
+    required: true
+  },
+  credited: {
+    type: Boolean,
+    default: false
+  },
+  creditTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One accrual per account per day, so re-running a date updates in place
+interestAccrualSchema.index({ user: 1, date: 1 }, { unique: true });
+interestAccrualSchema.index({ user: 1, credited: 1, date: 1 });
+
+module.exports = mongoose.model('InterestAccrual', interestAccrualSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Record of a daily accrual or monthly credit batch, used by the job to
+// know which dates still need running
+const interestRunSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['accrual', 'credit'],
+    required: true
+  },
+  // Accrual date, or the first day of the credited month
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  accounts: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+interestRunSchema.index({ type: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('InterestRun', interestRunSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const ledgerEntrySchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+ledgerEntrySchema.index({ account: 1, createdAt: -1, _id: -1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
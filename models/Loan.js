@@ -1,4 +1,71 @@
 const mongoose = require('mongoose');
+const { buildSchedule } = require('../services/amortization');
+
+// One line of the repayment plan. `principal` and `interest` split the EMI;
+// the balances are outstanding principal before and after it.
+const instalmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  openingBalance: {
+    type: Number,
+    required: true
+  },
+  emi: {
+    type: Number,
+    required: true
+  },
+  principal: {
+    type: Number,
+    required: true
+  },
+  interest: {
+    type: Number,
+    required: true
+  },
+  closingBalance: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  // Paid so far; repayments settle interest before principal
+  interestPaid: {
+    type: Number,
+    default: 0
+  },
+  principalPaid: {
+    type: Number,
+    default: 0
+  },
+  paidAt: {
+    type: Date
+  },
+  // Failed auto-debits of this instalment
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  // A late fee is levied once per instalment, after the grace period
+  lateFeeCharged: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
 
 const loanSchema = new mongoose.Schema({
   user: {
@@ -61,9 +128,41 @@ const loanSchema = new mongoose.Schema({
   approvedAt: {
     type: Date
   },
+  // First disbursement; the schedule's due dates count from it
   disbursedAt: {
     type: Date
   },
+  disbursedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Home loans can be paid out in several tranches
+  disbursements: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    processingFee: {
+      type: Number,
+      default: 0
+    },
+    gst: {
+      type: Number,
+      default: 0
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    disbursedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    disbursedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   nextPaymentDate: {
     type: Date
   },
@@ -71,6 +170,109 @@ const loanSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  schedule: [instalmentSchema],
+  repayments: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    interest: {
+      type: Number,
+      default: 0
+    },
+    principal: {
+      type: Number,
+      default: 0
+    },
+    // Prepayment charge or late fee and GST on it, paid on top of the amount
+    penalty: {
+      type: Number,
+      default: 0
+    },
+    gst: {
+      type: Number,
+      default: 0
+    },
+    instalments: [Number],
+    kind: {
+      type: String,
+      enum: ['emi', 'prepayment', 'foreclosure'],
+      default: 'emi'
+    },
+    // How a part-payment was applied to the rest of the schedule
+    option: {
+      type: String,
+      enum: ['reduce_emi', 'reduce_tenure']
+    },
+    source: {
+      type: String,
+      enum: ['manual', 'auto'],
+      default: 'manual'
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    paidAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When the auto-debit job next tries to collect an EMI
+  nextDebitAt: {
+    type: Date
+  },
+  // Claimed by the auto-debit job while it collects an EMI
+  lockedUntil: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  closureType: {
+    type: String,
+    enum: ['repaid', 'foreclosure']
+  },
+  // Days the oldest unpaid EMI is overdue, and the SMA/NPA bucket it puts
+  // the loan in. Kept alongside `status`, which stays 'active'.
+  dpd: {
+    type: Number,
+    default: 0
+  },
+  delinquency: {
+    type: String,
+    enum: ['standard', 'sma_0', 'sma_1', 'sma_2', 'npa'],
+    default: 'standard'
+  },
+  delinquencyHistory: [{
+    from: String,
+    to: String,
+    dpd: Number,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Late-payment charges levied and not yet paid; repayments settle these
+  // before any EMI
+  overdueCharges: {
+    lateFee: {
+      type: Number,
+      default: 0
+    },
+    gst: {
+      type: Number,
+      default: 0
+    },
+    penalInterest: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Penal interest has been accrued up to the start of this day
+  penalAccruedTo: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -106,4 +308,29 @@ loanSchema.pre('save', function(next) {
   next();
 });
 
+// Lay out the instalment plan when the loan becomes active, and keep the
+// next due date and outstanding principal in step with it
+loanSchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'active' && !this.schedule.length) {
+    this.schedule = buildSchedule({
+      principal: this.disbursedAmount || this.amount,
+      annualRate: this.interestRate,
+      instalments: this.term,
+      anchorDate: this.disbursedAt || new Date()
+    });
+  }
+
+  if (this.isModified('schedule') && this.schedule.length) {
+    const nextDue = this.schedule.find(line => line.status !== 'paid');
+    this.nextPaymentDate = nextDue ? nextDue.dueDate : undefined;
+    this.remainingBalance = nextDue
+      ? Math.round((nextDue.openingBalance - nextDue.principalPaid) * 100) / 100
+      : 0;
+  }
+  next();
+});
+
+loanSchema.index({ status: 1, nextDebitAt: 1 });
+loanSchema.index({ status: 1, nextPaymentDate: 1 });
+
 module.exports = mongoose.model('Loan', loanSchema);
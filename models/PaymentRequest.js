@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const paymentRequestSchema = new mongoose.Schema({
+  // User asking to be paid; receives the money
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User asked to pay, who approves or declines
+  payer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'declined', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  respondedAt: {
+    type: Date
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  // Held while an approval is paying the request
+  lockedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+paymentRequestSchema.index({ payer: 1, status: 1, createdAt: -1 });
+paymentRequestSchema.index({ requester: 1, status: 1, createdAt: -1 });
+paymentRequestSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('PaymentRequest', paymentRequestSchema);
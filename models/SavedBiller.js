@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const savedBillerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  biller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Biller',
+    required: true
+  },
+  accountNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A biller account can only be saved once per user
+savedBillerSchema.index({ user: 1, biller: 1, accountNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedBiller', savedBillerSchema);
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+const standingInstructionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receiver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  beneficiary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Beneficiary'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  frequency: {
+    type: String,
+    enum: ['once', 'weekly', 'monthly'],
+    required: true
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  maxRuns: {
+    type: Number,
+    min: 1
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  // Date the current occurrence is due; nextRunAt moves ahead of it on retries
+  nextOccurrence: {
+    type: Date
+  },
+  nextRunAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  runs: [{
+    occurrence: Date,
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    status: {
+      type: String,
+      enum: ['completed', 'failed', 'skipped']
+    },
+    attempt: Number,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    error: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for the scheduler's due-instruction scan
+standingInstructionSchema.index({ status: 1, nextRunAt: 1 });
+standingInstructionSchema.index({ user: 1, createdAt: -1 });
+
+// Update timestamp on save
+standingInstructionSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Work out the first occurrence on or after the start date
+standingInstructionSchema.pre('save', function(next) {
+  if (this.isNew) {
+    let first = new Date(this.startDate);
+
+    if (this.frequency === 'monthly') {
+      if (!this.dayOfMonth) {
+        this.dayOfMonth = first.getDate();
+      }
+      const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+      first.setDate(Math.min(this.dayOfMonth, lastDay));
+      if (first < this.startDate) {
+        first = this.occurrenceAfter(first);
+      }
+    }
+
+    this.nextOccurrence = first;
+    this.nextRunAt = first;
+  }
+  next();
+});
+
+// Occurrence after `from` according to the frequency, or null for one-off
+standingInstructionSchema.methods.occurrenceAfter = function(from) {
+  const next = new Date(from);
+
+  if (this.frequency === 'weekly') {
+    next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  if (this.frequency === 'monthly') {
+    // Clamp to the last day for short months (31st -> 30th/28th)
+    next.setDate(1);
+    next.setMonth(next.getMonth() + 1);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(this.dayOfMonth, lastDay));
+    return next;
+  }
+
+  return null;
+};
+
+// On resume, skip the occurrences missed while paused so they do not run
+// back to back: move to the first occurrence at or after `now`. A one-off
+// keeps its date and runs once. Completes the instruction if that passes
+// its end date.
+standingInstructionSchema.methods.skipMissedOccurrences = function(now = new Date()) {
+  let next = this.nextOccurrence;
+  while (next && next < now) {
+    const after = this.occurrenceAfter(next);
+    if (!after) break;
+    next = after;
+  }
+
+  this.attempts = 0;
+  if (this.endDate && next > this.endDate) {
+    this.status = 'completed';
+    this.nextOccurrence = undefined;
+    this.nextRunAt = undefined;
+  } else {
+    this.nextOccurrence = next;
+    this.nextRunAt = next;
+  }
+};
+
+module.exports = mongoose.model('StandingInstruction', standingInstructionSchema);
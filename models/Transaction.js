@@ -18,7 +18,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['transfer', 'deposit', 'withdrawal', 'payment'],
+    enum: ['transfer', 'deposit', 'withdrawal', 'payment', 'reversal', 'interest', 'deposit_booking', 'deposit_payout', 'loan_disbursement', 'loan_repayment', 'opening_balance'],
     required: true
   },
   status: {
@@ -49,9 +49,55 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  gst: {
+    type: Number,
+    default: 0
+  },
+  // Tax deducted at source from interest credits
+  tds: {
+    type: Number,
+    default: 0
+  },
   currency: {
     type: String,
     default: 'INR'
+  },
+  beneficiary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Beneficiary'
+  },
+  // Reversal transactions point at what they reverse; originals list their
+  // reversals and how much has been refunded so far
+  originalTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  reversals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Term deposit booked or paid out by this transaction
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit'
+  },
+  // Loan disbursed or repaid by this transaction
+  loan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Loan'
+  },
+  // Spending category from the sender's side and the receiver's side
+  category: {
+    type: String,
+    default: 'other'
+  },
+  receiverCategory: {
+    type: String,
+    default: 'other'
   }
 });
 
@@ -59,5 +105,7 @@ const transactionSchema = new mongoose.Schema({
 transactionSchema.index({ sender: 1, createdAt: -1 });
 transactionSchema.index({ receiver: 1, createdAt: -1 });
 transactionSchema.index({ status: 1, createdAt: -1 });
+transactionSchema.index({ sender: 1, amount: -1 });
+transactionSchema.index({ receiver: 1, amount: -1 });
 
 module.exports = mongoose.model('Transaction', transactionSchema);
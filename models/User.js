@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Customer-only fields are optional on bank system accounts
+function isCustomer() {
+  return !this.isSystem;
+}
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -12,63 +17,103 @@ const userSchema = new mongoose.Schema({
   },
   mobile: {
     type: String,
-    required: true,
+    required: isCustomer,
     unique: true,
+    sparse: true,
     match: /^[0-9]{10}$/
   },
   creditCard: {
     cardNumber: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^[0-9]{16}$/
     },
     cardHolder: {
       type: String,
-      required: true,
+      required: isCustomer,
       trim: true
     },
     expiryDate: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^(0[1-9]|1[0-2])\/([0-9]{2})$/
     },
     cvv: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^[0-9]{3,4}$/
     }
   },
   debitCard: {
     cardNumber: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^[0-9]{16}$/
     },
     cardHolder: {
       type: String,
-      required: true,
+      required: isCustomer,
       trim: true
     },
     expiryDate: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^(0[1-9]|1[0-2])\/([0-9]{2})$/
     },
     cvv: {
       type: String,
-      required: true,
+      required: isCustomer,
       match: /^[0-9]{3,4}$/
     }
   },
   password: {
     type: String,
-    required: true,
+    required: isCustomer,
     minlength: 6
   },
+  upiDetails: [{
+    upiId: {
+      type: String,
+      trim: true
+    },
+    bankName: String,
+    accountNumber: String,
+    ifscCode: String,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   accountBalance: {
     type: Number,
     default: 0
   },
+  role: {
+    type: String,
+    enum: ['customer', 'operator'],
+    default: 'customer'
+  },
+  accountTier: {
+    type: String,
+    enum: ['basic', 'premium', 'business'],
+    default: 'basic'
+  },
+  // Customer-chosen limits per transaction type. They can only lower the
+  // tier's limits; getEffectiveLimits uses whichever is smaller.
+  limitOverrides: {
+    type: Map,
+    of: new mongoose.Schema({
+      perTransaction: Number,
+      daily: Number,
+      monthly: Number,
+      dailyCount: Number
+    }, { _id: false }),
+    default: {}
+  },
   accountNumber: {
     type: String,
     unique: true,
@@ -80,6 +125,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Bank-owned ledger accounts (cash, fees, ...) are stored as users so
+  // transactions and ledger entries can reference them like customers
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  systemCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -87,8 +143,15 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   }
+}, {
+  // Balance updates run inside MongoDB transactions; versioning every save
+  // makes a stale read of accountBalance fail instead of overwriting it.
+  optimisticConcurrency: true
 });
 
+// Lookup by linked VPA when resolving payees
+userSchema.index({ 'upiDetails.upiId': 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -104,6 +167,7 @@ userSchema.pre('save', async function(next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,428 @@
+// Dashboard JavaScript for Infinity Bank
+document.addEventListener('DOMContentLoaded', function() {
+    if (!localStorage.getItem('authToken')) {
+        window.location.href = '/login';
+        return;
+    }
+
+    initCashflow();
+    loadCashflow();
+    initBudgets();
+    loadBudgets();
+});
+
+// Chart.js instances, kept so they can be redrawn
+const charts = {};
+
+// Call the API with the stored token; sends the user to login when it has expired
+async function apiRequest(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            ...(options.headers || {})
+        }
+    });
+
+    // 403 is also used for ownership checks, so look at the message
+    const data = response.status === 403 ? await response.clone().json().catch(() => ({})) : {};
+    if (response.status === 401 || data.message === 'Invalid token') {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('userData');
+        window.location.href = '/login';
+    }
+
+    return response;
+}
+
+// Format an amount in rupees, e.g. 12,500.00
+function formatCurrency(amount) {
+    return Number(amount || 0).toLocaleString('en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+}
+
+// Turn a category key such as self_transfer into a label
+function formatCategory(category) {
+    return category.replace(/_/g, ' ');
+}
+
+// Initialize Cash Flow Section
+function initCashflow() {
+    const select = document.getElementById('cashflowGranularity');
+    if (select) {
+        select.addEventListener('change', () => loadCashflow(select.value));
+    }
+}
+
+// Load cash flow analytics for the chosen granularity
+async function loadCashflow(granularity = 'day') {
+    if (!document.getElementById('cashflowChart')) return;
+
+    try {
+        const response = await apiRequest(`/api/analytics/cashflow?granularity=${granularity}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message);
+        }
+
+        renderMonthComparison(data.monthOverMonth);
+        renderCashflowChart(data.series, granularity);
+        renderCounterpartiesChart(data.topCounterparties);
+    } catch (error) {
+        console.error('Load cash flow error:', error);
+    }
+}
+
+// Label for a bucket start date
+function formatPeriod(date, granularity) {
+    const options = granularity === 'month'
+        ? { month: 'short', year: 'numeric' }
+        : { day: 'numeric', month: 'short' };
+    return new Date(date).toLocaleDateString('en-IN', options);
+}
+
+// This month against last month
+function renderMonthComparison(comparison) {
+    const container = document.getElementById('monthComparison');
+    if (!container) return;
+
+    const cards = [
+        { key: 'inflow', label: 'Money In', higherIsBetter: true },
+        { key: 'outflow', label: 'Money Out', higherIsBetter: false },
+        { key: 'net', label: 'Net', higherIsBetter: true }
+    ];
+
+    container.innerHTML = cards.map(card => {
+        const change = comparison.change[card.key];
+        let changeText = 'No data for last month';
+        let changeClass = '';
+
+        if (change !== null) {
+            const better = card.higherIsBetter ? change >= 0 : change <= 0;
+            changeText = `${change >= 0 ? '+' : ''}${change}% vs last month`;
+            changeClass = better ? 'up' : 'down';
+        }
+
+        return `
+            <div class="comparison-card">
+                <h4>${card.label} this month</h4>
+                <div class="amount">₹${formatCurrency(comparison.currentMonth[card.key])}</div>
+                <div class="comparison-change ${changeClass}">${changeText}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Replace a chart if it is already drawn
+function drawChart(name, canvasId, config) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas || typeof Chart === 'undefined') return;
+
+    if (charts[name]) {
+        charts[name].destroy();
+    }
+    charts[name] = new Chart(canvas, config);
+}
+
+// Inflow and outflow bars with a net line
+function renderCashflowChart(series, granularity) {
+    drawChart('cashflow', 'cashflowChart', {
+        type: 'bar',
+        data: {
+            labels: series.map(bucket => formatPeriod(bucket.periodStart, granularity)),
+            datasets: [
+                {
+                    label: 'Inflow',
+                    data: series.map(bucket => bucket.inflow),
+                    backgroundColor: '#10b981'
+                },
+                {
+                    label: 'Outflow',
+                    data: series.map(bucket => bucket.outflow),
+                    backgroundColor: '#ef4444'
+                },
+                {
+                    type: 'line',
+                    label: 'Net',
+                    data: series.map(bucket => bucket.net),
+                    borderColor: '#2563eb',
+                    backgroundColor: '#2563eb',
+                    tension: 0.3
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            scales: {
+                y: {
+                    ticks: { callback: value => `₹${Number(value).toLocaleString('en-IN')}` }
+                }
+            }
+        }
+    });
+}
+
+// Sent and received per top counterparty
+function renderCounterpartiesChart(counterparties) {
+    drawChart('counterparties', 'counterpartiesChart', {
+        type: 'bar',
+        data: {
+            labels: counterparties.map(party => party.username || 'Unknown'),
+            datasets: [
+                {
+                    label: 'Sent',
+                    data: counterparties.map(party => party.sent),
+                    backgroundColor: '#ef4444'
+                },
+                {
+                    label: 'Received',
+                    data: counterparties.map(party => party.received),
+                    backgroundColor: '#10b981'
+                }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: { stacked: true },
+                y: { stacked: true }
+            }
+        }
+    });
+}
+
+// Initialize Budget Section
+function initBudgets() {
+    const addBudgetBtn = document.getElementById('addBudgetBtn');
+    const modal = document.getElementById('budgetModal');
+    const closeBtn = document.getElementById('closeBudgetModal');
+    const form = document.getElementById('budgetForm');
+    const list = document.getElementById('budgetsList');
+
+    if (addBudgetBtn) {
+        addBudgetBtn.addEventListener('click', () => openBudgetModal());
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeBudgetModal);
+    }
+
+    // Close modal when clicking outside
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeBudgetModal();
+            }
+        });
+    }
+
+    if (form) {
+        form.addEventListener('submit', handleBudgetSubmit);
+    }
+
+    // Edit and delete buttons are rendered with each budget
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-budget-action]');
+            if (!button) return;
+
+            const item = button.closest('.budget-item');
+            if (button.dataset.budgetAction === 'edit') {
+                openBudgetModal({
+                    id: item.dataset.budgetId,
+                    category: item.dataset.category,
+                    limit: item.dataset.limit
+                });
+            } else if (button.dataset.budgetAction === 'delete') {
+                deleteBudget(item.dataset.budgetId, item.dataset.category);
+            }
+        });
+    }
+}
+
+// Load budgets with this month's progress
+async function loadBudgets() {
+    const list = document.getElementById('budgetsList');
+    if (!list) return;
+
+    try {
+        const response = await apiRequest('/api/budget');
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message);
+        }
+
+        renderBudgetAlerts(data.alerts);
+        renderBudgets(data.budgets);
+    } catch (error) {
+        console.error('Load budgets error:', error);
+        list.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-circle"></i>
+                <p>Could not load budgets</p>
+            </div>
+        `;
+    }
+}
+
+// Render Budget Progress
+function renderBudgets(budgets) {
+    const list = document.getElementById('budgetsList');
+
+    if (!budgets.length) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-piggy-bank"></i>
+                <p>No budgets yet</p>
+                <p class="text-muted">Set a monthly limit for a spending category to track it here</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = budgets.map(budget => `
+        <div class="budget-item ${budget.status}" data-budget-id="${budget.id}" data-category="${budget.category}" data-limit="${budget.limit}">
+            <div class="budget-header">
+                <h4>${formatCategory(budget.category)}</h4>
+                <div class="budget-actions">
+                    <button type="button" data-budget-action="edit" aria-label="Edit budget">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button type="button" data-budget-action="delete" aria-label="Delete budget">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="budget-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(budget.percentUsed, 100)}">
+                <div class="budget-progress-bar" style="width: ${Math.min(budget.percentUsed, 100)}%"></div>
+            </div>
+            <div class="budget-meta">
+                <span>₹${formatCurrency(budget.spent)} of ₹${formatCurrency(budget.limit)}</span>
+                <span>${budget.status === 'exceeded'
+                    ? `Over by ₹${formatCurrency(budget.spent - budget.limit)}`
+                    : `₹${formatCurrency(budget.remaining)} left`}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Render this month's 80% and 100% alerts
+function renderBudgetAlerts(alerts) {
+    const container = document.getElementById('budgetAlerts');
+    if (!container) return;
+
+    // Only the latest alert per category matters
+    const latest = {};
+    alerts.forEach(alert => {
+        if (!latest[alert.category] || alert.threshold > latest[alert.category].threshold) {
+            latest[alert.category] = alert;
+        }
+    });
+
+    container.innerHTML = Object.values(latest).map(alert => `
+        <div class="budget-alert ${alert.threshold >= 100 ? 'exceeded' : ''}">
+            <i class="fas fa-exclamation-triangle"></i>
+            <span>${alert.threshold >= 100
+                ? `You have used your whole ${formatCategory(alert.category)} budget this month`
+                : `You have used ${alert.threshold}% of your ${formatCategory(alert.category)} budget this month`}</span>
+        </div>
+    `).join('');
+}
+
+// Open Budget Modal, prefilled when editing
+function openBudgetModal(budget) {
+    const modal = document.getElementById('budgetModal');
+    const form = document.getElementById('budgetForm');
+    if (!modal || !form) return;
+
+    form.reset();
+    form.dataset.budgetId = budget ? budget.id : '';
+    form.category.disabled = Boolean(budget);
+    if (budget) {
+        form.category.value = budget.category;
+        form.limit.value = budget.limit;
+    }
+
+    modal.style.display = 'block';
+    document.body.style.overflow = 'hidden';
+    (budget ? form.limit : form.category).focus();
+}
+
+// Close Budget Modal
+function closeBudgetModal() {
+    const modal = document.getElementById('budgetModal');
+    if (modal) {
+        modal.style.display = 'none';
+        document.body.style.overflow = 'auto';
+    }
+}
+
+// Handle Budget Form Submission
+async function handleBudgetSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const budgetId = form.dataset.budgetId;
+
+    submitBtn.disabled = true;
+
+    try {
+        const response = budgetId
+            ? await apiRequest(`/api/budget/${budgetId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ limit: form.limit.value })
+            })
+            : await apiRequest('/api/budget', {
+                method: 'POST',
+                body: JSON.stringify({
+                    category: form.category.value,
+                    limit: form.limit.value
+                })
+            });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(data.message || 'Could not save budget');
+            return;
+        }
+
+        closeBudgetModal();
+        loadBudgets();
+    } catch (error) {
+        console.error('Save budget error:', error);
+        alert('Network error. Please check your connection.');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Delete a budget after confirmation
+async function deleteBudget(budgetId, category) {
+    if (!confirm(`Delete your ${formatCategory(category)} budget?`)) return;
+
+    try {
+        const response = await apiRequest(`/api/budget/${budgetId}`, { method: 'DELETE' });
+
+        if (!response.ok) {
+            const data = await response.json();
+            alert(data.message || 'Could not delete budget');
+            return;
+        }
+
+        loadBudgets();
+    } catch (error) {
+        console.error('Delete budget error:', error);
+        alert('Network error. Please check your connection.');
+    }
+}
@@ -0,0 +1,105 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  bucketCount,
+  defaultFrom,
+  cashflowSeries,
+  cashflowTotals,
+  topCounterparties,
+  monthOverMonth
+} = require('../services/analytics');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Cash flow over time for charts: inflow, outflow and net per bucket,
+// top counterparties and a month-over-month comparison
+router.get('/cashflow', authenticateToken, [
+  query('granularity')
+    .optional()
+    .isIn(GRANULARITIES)
+    .withMessage(`Granularity must be one of ${GRANULARITIES.join(', ')}`),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid dates')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const granularity = req.query.granularity || 'day';
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : defaultFrom(to, granularity);
+
+    if (from > to) {
+      return res.status(400).json({ 
+        message: 'From date must be before to date' 
+      });
+    }
+
+    if (bucketCount(from, to, granularity) > MAX_BUCKETS) {
+      return res.status(400).json({ 
+        message: `Date range is too long for ${granularity} buckets; use a larger granularity` 
+      });
+    }
+
+    const userId = req.user._id;
+    const [series, totals, counterparties, comparison] = await Promise.all([
+      cashflowSeries(userId, from, to, granularity),
+      cashflowTotals(userId, from, to),
+      topCounterparties(userId, from, to),
+      monthOverMonth(userId, to)
+    ]);
+
+    res.json({
+      granularity,
+      period: { from, to },
+      series,
+      totals,
+      topCounterparties: counterparties,
+      monthOverMonth: comparison
+    });
+
+  } catch (error) {
+    console.error('Get cash flow analytics error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching cash flow analytics' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Beneficiary = require('../models/Beneficiary');
+const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const { resolvePayee, getPayeePreview } = require('../services/payee');
+const { coolingPeriodEnd, COOLING_PERIOD_LIMIT } = require('../services/beneficiary');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Shape returned to the client; expects payee to be populated
+const formatBeneficiary = (beneficiary) => ({
+  id: beneficiary._id,
+  nickname: beneficiary.nickname,
+  identifier: beneficiary.identifier,
+  payee: getPayeePreview(beneficiary.payee, beneficiary.identifierType),
+  transferLimit: beneficiary.transferLimit,
+  isCooling: beneficiary.isCooling(),
+  coolingPeriodEndsAt: beneficiary.coolingPeriodEndsAt,
+  coolingPeriodLimit: COOLING_PERIOD_LIMIT,
+  createdAt: beneficiary.createdAt
+});
+
+// Add a beneficiary
+router.post('/', authenticateToken, [
+  body('identifier')
+    .trim()
+    .notEmpty()
+    .withMessage('Account number, UPI ID or mobile number is required'),
+  body('nickname')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nickname must be between 1 and 50 characters'),
+  body('transferLimit')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Transfer limit must be at least ₹1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { identifier, nickname, transferLimit } = req.body;
+    const { payee, identifierType } = await resolvePayee(identifier);
+
+    if (payee._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'You cannot add yourself as a beneficiary' 
+      });
+    }
+
+    // Check if payee is already saved
+    const existing = await Beneficiary.findOne({ user: req.user._id, payee: payee._id });
+    if (existing) {
+      return res.status(400).json({ 
+        message: `This payee is already saved as ${existing.nickname}` 
+      });
+    }
+
+    const beneficiary = new Beneficiary({
+      user: req.user._id,
+      payee: payee._id,
+      nickname,
+      identifier,
+      identifierType,
+      transferLimit,
+      coolingPeriodEndsAt: coolingPeriodEnd()
+    });
+
+    await beneficiary.save();
+    beneficiary.payee = payee;
+
+    res.status(201).json({
+      message: 'Beneficiary added successfully',
+      beneficiary: formatBeneficiary(beneficiary)
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Add beneficiary error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while adding beneficiary' 
+    });
+  }
+});
+
+// Get user's beneficiaries
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const beneficiaries = await Beneficiary.find({ user: req.user._id })
+      .populate('payee', 'username accountNumber debitCard.cardHolder')
+      .sort({ nickname: 1 });
+
+    res.json({
+      beneficiaries: beneficiaries
+        .filter(beneficiary => beneficiary.payee)
+        .map(formatBeneficiary)
+    });
+
+  } catch (error) {
+    console.error('Get beneficiaries error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching beneficiaries' 
+    });
+  }
+});
+
+// Get beneficiary by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const beneficiary = await Beneficiary.findById(req.params.id)
+      .populate('payee', 'username accountNumber debitCard.cardHolder');
+
+    if (!beneficiary || !beneficiary.payee) {
+      return res.status(404).json({ 
+        message: 'Beneficiary not found' 
+      });
+    }
+
+    // Check if user owns this beneficiary
+    if (beneficiary.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this beneficiary' 
+      });
+    }
+
+    res.json({ beneficiary: formatBeneficiary(beneficiary) });
+
+  } catch (error) {
+    console.error('Get beneficiary error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching beneficiary' 
+    });
+  }
+});
+
+// Update beneficiary
+router.patch('/:id', authenticateToken, [
+  body('nickname')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Nickname must be between 1 and 50 characters'),
+  body('transferLimit')
+    .optional({ values: 'null' })
+    .isFloat({ min: 1 })
+    .withMessage('Transfer limit must be at least ₹1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const beneficiary = await Beneficiary.findById(req.params.id)
+      .populate('payee', 'username accountNumber debitCard.cardHolder');
+
+    if (!beneficiary || !beneficiary.payee) {
+      return res.status(404).json({ 
+        message: 'Beneficiary not found' 
+      });
+    }
+
+    // Check if user owns this beneficiary
+    if (beneficiary.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this beneficiary' 
+      });
+    }
+
+    // Update allowed fields; a null transferLimit removes the limit
+    const { nickname, transferLimit } = req.body;
+    if (nickname) beneficiary.nickname = nickname;
+    if (transferLimit !== undefined) beneficiary.transferLimit = transferLimit || undefined;
+
+    await beneficiary.save();
+
+    res.json({
+      message: 'Beneficiary updated successfully',
+      beneficiary: formatBeneficiary(beneficiary)
+    });
+
+  } catch (error) {
+    console.error('Update beneficiary error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating beneficiary' 
+    });
+  }
+});
+
+// Delete beneficiary
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const beneficiary = await Beneficiary.findById(req.params.id);
+
+    if (!beneficiary) {
+      return res.status(404).json({ 
+        message: 'Beneficiary not found' 
+      });
+    }
+
+    // Check if user owns this beneficiary
+    if (beneficiary.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this beneficiary' 
+      });
+    }
+
+    await beneficiary.deleteOne();
+
+    res.json({
+      message: 'Beneficiary deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete beneficiary error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while deleting beneficiary' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,490 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Biller = require('../models/Biller');
+const BillPayment = require('../models/BillPayment');
+const SavedBiller = require('../models/SavedBiller');
+const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const {
+  BILLER_CATEGORIES,
+  fetchBill,
+  payBill,
+  buildReceipt,
+  receiptToPDF
+} = require('../services/billPayment');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// List active billers, optionally by category
+router.get('/billers', authenticateToken, [
+  query('category')
+    .optional()
+    .isIn(BILLER_CATEGORIES)
+    .withMessage(`Category must be one of ${BILLER_CATEGORIES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const filter = { isActive: true };
+    if (req.query.category) filter.category = req.query.category;
+
+    const billers = await Biller.find(filter)
+      .select('-adapter -__v')
+      .sort({ category: 1, name: 1 });
+
+    res.json({ billers });
+
+  } catch (error) {
+    console.error('Get billers error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching billers' 
+    });
+  }
+});
+
+// Get a specific biller
+router.get('/billers/:id', authenticateToken, async (req, res) => {
+  try {
+    const biller = await Biller.findOne({ _id: req.params.id, isActive: true })
+      .select('-adapter -__v');
+
+    if (!biller) {
+      return res.status(404).json({ 
+        message: 'Biller not found' 
+      });
+    }
+
+    res.json({ biller });
+
+  } catch (error) {
+    console.error('Get biller error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching biller' 
+    });
+  }
+});
+
+// Save a biller account for quick payments
+router.post('/saved', authenticateToken, [
+  body('billerId')
+    .isMongoId()
+    .withMessage('Invalid biller ID'),
+  body('accountNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Biller account number is required'),
+  body('nickname')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Nickname must be less than 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { billerId, accountNumber, nickname } = req.body;
+
+    const biller = await Biller.findOne({ _id: billerId, isActive: true });
+    if (!biller) {
+      return res.status(404).json({ 
+        message: 'Biller not found' 
+      });
+    }
+
+    if (!biller.isValidAccount(accountNumber)) {
+      return res.status(400).json({ 
+        message: `Invalid ${biller.accountLabel} for ${biller.name}` 
+      });
+    }
+
+    const existing = await SavedBiller.findOne({ user: req.user._id, biller: biller._id, accountNumber });
+    if (existing) {
+      return res.status(409).json({ 
+        message: 'This biller account is already saved' 
+      });
+    }
+
+    const saved = new SavedBiller({
+      user: req.user._id,
+      biller: biller._id,
+      accountNumber,
+      nickname
+    });
+    await saved.save();
+    await saved.populate('biller', 'code name category accountLabel fetchRequired');
+
+    res.status(201).json({
+      message: 'Biller saved successfully',
+      saved
+    });
+
+  } catch (error) {
+    console.error('Save biller error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while saving biller' 
+    });
+  }
+});
+
+// Get user's saved billers
+router.get('/saved', authenticateToken, async (req, res) => {
+  try {
+    const saved = await SavedBiller.find({ user: req.user._id })
+      .populate('biller', 'code name category accountLabel fetchRequired isActive')
+      .sort({ createdAt: -1 });
+
+    res.json({ saved });
+
+  } catch (error) {
+    console.error('Get saved billers error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching saved billers' 
+    });
+  }
+});
+
+// Remove a saved biller
+router.delete('/saved/:id', authenticateToken, async (req, res) => {
+  try {
+    const saved = await SavedBiller.findById(req.params.id);
+
+    if (!saved) {
+      return res.status(404).json({ 
+        message: 'Saved biller not found' 
+      });
+    }
+
+    if (saved.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this saved biller' 
+      });
+    }
+
+    await saved.deleteOne();
+
+    res.json({ 
+      message: 'Saved biller removed successfully' 
+    });
+
+  } catch (error) {
+    console.error('Delete saved biller error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while removing saved biller' 
+    });
+  }
+});
+
+// Fetch the current bill for a postpaid biller account
+router.get('/fetch', authenticateToken, [
+  query('billerId')
+    .isMongoId()
+    .withMessage('Invalid biller ID'),
+  query('accountNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Biller account number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { biller, bill } = await fetchBill(req.query.billerId, req.query.accountNumber);
+
+    res.json({
+      biller: { id: biller._id, name: biller.name, category: biller.category },
+      accountNumber: req.query.accountNumber,
+      bill
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Fetch bill error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching bill' 
+    });
+  }
+});
+
+// Pay a bill or recharge. Postpaid amounts default to the fetched bill.
+router.post('/pay', authenticateToken, idempotency, [
+  body('billerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid biller ID'),
+  body('savedBillerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved biller ID'),
+  body('billerId')
+    .if(body('savedBillerId').not().exists())
+    .notEmpty()
+    .withMessage('Biller or saved biller is required'),
+  body('accountNumber')
+    .if(body('savedBillerId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Biller account number is required'),
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    let { billerId, accountNumber } = req.body;
+    if (req.body.savedBillerId) {
+      const saved = await SavedBiller.findOne({ _id: req.body.savedBillerId, user: req.user._id });
+      if (!saved) {
+        return res.status(404).json({ 
+          message: 'Saved biller not found' 
+        });
+      }
+      billerId = saved.biller;
+      accountNumber = saved.accountNumber;
+    }
+
+    const payment = await payBill(req.user._id, {
+      billerId,
+      accountNumber,
+      amount: req.body.amount != null ? parseFloat(req.body.amount) : undefined
+    });
+
+    if (payment.status === 'failed') {
+      return res.status(502).json({
+        message: 'Biller rejected the payment; the amount has been reversed',
+        payment
+      });
+    }
+
+    // The biller did not answer; the payment is confirmed again later
+    if (payment.status === 'pending') {
+      return res.status(202).json({
+        message: 'Payment is awaiting confirmation from the biller',
+        payment
+      });
+    }
+
+    res.status(201).json({
+      message: 'Bill paid successfully',
+      payment
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Pay bill error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while paying bill' 
+    });
+  }
+});
+
+// Get user's bill payments
+router.get('/payments', authenticateToken, [
+  query('status')
+    .optional()
+    .isIn(['pending', 'paid', 'failed'])
+    .withMessage('Invalid status'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const payments = await BillPayment.find(filter)
+      .populate('biller', 'code name category')
+      .populate('transaction', 'reference fees gst')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await BillPayment.countDocuments(filter);
+
+    res.json({
+      payments,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalPayments: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bill payments error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching bill payments' 
+    });
+  }
+});
+
+// Get a specific bill payment
+router.get('/payments/:id', authenticateToken, async (req, res) => {
+  try {
+    const payment = await BillPayment.findById(req.params.id)
+      .populate('biller', 'code name category accountLabel')
+      .populate('transaction', 'reference amount fees gst status completedAt')
+      .populate('reversalTransaction', 'reference amount completedAt');
+
+    if (!payment) {
+      return res.status(404).json({ 
+        message: 'Bill payment not found' 
+      });
+    }
+
+    if (payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this bill payment' 
+      });
+    }
+
+    res.json({ payment });
+
+  } catch (error) {
+    console.error('Get bill payment error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching bill payment' 
+    });
+  }
+});
+
+// Receipt for a paid bill as JSON, or a PDF with ?format=pdf
+router.get('/payments/:id/receipt', authenticateToken, [
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const payment = await BillPayment.findById(req.params.id)
+      .populate('biller', 'name category accountLabel')
+      .populate('transaction', 'reference fees gst');
+
+    if (!payment) {
+      return res.status(404).json({ 
+        message: 'Bill payment not found' 
+      });
+    }
+
+    if (payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this bill payment' 
+      });
+    }
+
+    if (payment.status !== 'paid') {
+      return res.status(400).json({ 
+        message: 'Receipts are only available for paid bills' 
+      });
+    }
+
+    const receipt = buildReceipt(payment);
+
+    if (req.query.format === 'pdf') {
+      const pdf = await receiptToPDF(receipt);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.json({ receipt });
+
+  } catch (error) {
+    console.error('Get bill receipt error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while generating receipt' 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const {
+  BUDGET_CATEGORIES,
+  monthStart,
+  refreshBudget,
+  budgetProgress
+} = require('../services/budget');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Create a monthly budget for a category
+router.post('/', authenticateToken, [
+  body('category')
+    .isIn(BUDGET_CATEGORIES)
+    .withMessage('Invalid budget category'),
+  body('limit')
+    .isFloat({ min: 1 })
+    .withMessage('Limit must be at least ₹1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { category } = req.body;
+    const limit = parseFloat(req.body.limit);
+
+    // Check if category already has a budget
+    const existing = await Budget.findOne({ user: req.user._id, category });
+    if (existing) {
+      return res.status(400).json({ 
+        message: `You already have a budget for ${category}` 
+      });
+    }
+
+    const budget = new Budget({
+      user: req.user._id,
+      category,
+      limit,
+      periodStart: monthStart()
+    });
+
+    // Count what has already been spent this month
+    await refreshBudget(budget);
+
+    res.status(201).json({
+      message: 'Budget created successfully',
+      budget: budgetProgress(budget)
+    });
+
+  } catch (error) {
+    console.error('Create budget error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while creating budget' 
+    });
+  }
+});
+
+// Get user's budgets with this month's progress
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const budgets = await Budget.find({ user: req.user._id })
+      .sort({ category: 1 });
+
+    // Start a new month for budgets last touched in an earlier one
+    const currentMonth = monthStart();
+    for (const budget of budgets) {
+      if (budget.periodStart < currentMonth) {
+        await refreshBudget(budget);
+      }
+    }
+
+    const progress = budgets.map(budgetProgress);
+    const totals = progress.reduce((sum, budget) => ({
+      limit: sum.limit + budget.limit,
+      spent: sum.spent + budget.spent
+    }), { limit: 0, spent: 0 });
+
+    res.json({
+      periodStart: currentMonth,
+      budgets: progress,
+      totals,
+      alerts: progress
+        .flatMap(budget => budget.alerts.map(alert => ({ category: budget.category, ...alert.toObject() })))
+        .sort((a, b) => b.triggeredAt - a.triggeredAt)
+    });
+
+  } catch (error) {
+    console.error('Get budgets error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching budgets' 
+    });
+  }
+});
+
+// Get budget by ID, with alerts from earlier months too
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ 
+        message: 'Budget not found' 
+      });
+    }
+
+    // Check if user owns this budget
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this budget' 
+      });
+    }
+
+    if (budget.periodStart < monthStart()) {
+      await refreshBudget(budget);
+    }
+
+    res.json({
+      budget: budgetProgress(budget),
+      alertHistory: budget.alerts.slice().reverse()
+    });
+
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching budget' 
+    });
+  }
+});
+
+// Change a budget's monthly limit
+router.patch('/:id', authenticateToken, [
+  body('limit')
+    .isFloat({ min: 1 })
+    .withMessage('Limit must be at least ₹1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ 
+        message: 'Budget not found' 
+      });
+    }
+
+    // Check if user owns this budget
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this budget' 
+      });
+    }
+
+    budget.limit = parseFloat(req.body.limit);
+
+    // A lower limit may cross a threshold straight away
+    await refreshBudget(budget);
+
+    res.json({
+      message: 'Budget updated successfully',
+      budget: budgetProgress(budget)
+    });
+
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating budget' 
+    });
+  }
+});
+
+// Delete budget
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const budget = await Budget.findById(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ 
+        message: 'Budget not found' 
+      });
+    }
+
+    // Check if user owns this budget
+    if (budget.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this budget' 
+      });
+    }
+
+    await budget.deleteOne();
+
+    res.json({
+      message: 'Budget deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete budget error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while deleting budget' 
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Card = require('../models/Card');
 const User = require('../models/User');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -32,7 +33,7 @@ const authenticateToken = async (req, res, next) => {
 };
 
 // Apply for a new card
-router.post('/apply', authenticateToken, [
+router.post('/apply', authenticateToken, idempotency, [
   body('cardType')
     .isIn(['credit', 'debit'])
     .withMessage('Card type must be either credit or debit'),
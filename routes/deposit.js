@@ -0,0 +1,459 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Deposit = require('../models/Deposit');
+const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const { roundMoney } = require('../services/ledger');
+const {
+  FD_RATES,
+  PREMATURE_PENALTY_RATE,
+  RD_PENALTY_RATE,
+  calculateMaturity,
+  calculateRecurringMaturity,
+  prematureQuote,
+  openDeposit,
+  openRecurringDeposit,
+  closeDepositEarly,
+  payMissedInstalments,
+  instalmentSchedule
+} = require('../services/deposit');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Validators shared by the calculator and opening a deposit
+const depositTermsValidation = [
+  body('principal')
+    .isFloat({ min: 1000 })
+    .withMessage('Deposit amount must be at least ₹1,000'),
+  body('tenureMonths')
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Tenure must be between 1 and 120 months'),
+  body('compounding')
+    .optional()
+    .isIn(['simple', 'quarterly'])
+    .withMessage('Compounding must be simple or quarterly')
+];
+
+// Validators shared by the recurring deposit calculator and opening one
+const recurringTermsValidation = [
+  body('instalmentAmount')
+    .isFloat({ min: 100 })
+    .withMessage('Monthly instalment must be at least ₹100'),
+  body('tenureMonths')
+    .isInt({ min: 6, max: 120 })
+    .withMessage('Tenure must be between 6 and 120 months'),
+  body('dayOfMonth')
+    .isInt({ min: 1, max: 28 })
+    .withMessage('Instalment day must be between 1 and 28')
+];
+
+// Get deposit rates
+router.get('/rates', (req, res) => {
+  res.json({
+    rates: FD_RATES,
+    prematurePenaltyRate: PREMATURE_PENALTY_RATE,
+    recurringLatePenaltyRate: RD_PENALTY_RATE
+  });
+});
+
+// Get deposit maturity calculator
+router.post('/calculator', depositTermsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const calculation = calculateMaturity({
+      principal: parseFloat(req.body.principal),
+      tenureMonths: parseInt(req.body.tenureMonths),
+      compounding: req.body.compounding
+    });
+
+    res.json({ calculation });
+
+  } catch (error) {
+    console.error('Deposit calculator error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while calculating deposit' 
+    });
+  }
+});
+
+// Open a fixed deposit from the account balance
+router.post('/', authenticateToken, idempotency, [
+  ...depositTermsValidation,
+  body('maturityInstruction')
+    .optional()
+    .isIn(['credit', 'renew'])
+    .withMessage('Maturity instruction must be credit or renew')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const deposit = await openDeposit(req.user._id, {
+      principal: parseFloat(req.body.principal),
+      tenureMonths: parseInt(req.body.tenureMonths),
+      compounding: req.body.compounding,
+      maturityInstruction: req.body.maturityInstruction
+    });
+
+    res.status(201).json({
+      message: 'Fixed deposit opened successfully',
+      deposit
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Open deposit error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while opening deposit' 
+    });
+  }
+});
+
+// Get recurring deposit maturity calculator
+router.post('/recurring/calculator', recurringTermsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const calculation = calculateRecurringMaturity({
+      instalmentAmount: parseFloat(req.body.instalmentAmount),
+      tenureMonths: parseInt(req.body.tenureMonths),
+      dayOfMonth: parseInt(req.body.dayOfMonth)
+    });
+
+    res.json({ calculation });
+
+  } catch (error) {
+    console.error('Recurring deposit calculator error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while calculating recurring deposit' 
+    });
+  }
+});
+
+// Open a recurring deposit; the first instalment is debited now
+router.post('/recurring', authenticateToken, idempotency, recurringTermsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const deposit = await openRecurringDeposit(req.user._id, {
+      instalmentAmount: parseFloat(req.body.instalmentAmount),
+      tenureMonths: parseInt(req.body.tenureMonths),
+      dayOfMonth: parseInt(req.body.dayOfMonth)
+    });
+
+    res.status(201).json({
+      message: 'Recurring deposit opened successfully',
+      deposit,
+      schedule: instalmentSchedule(deposit)
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Open recurring deposit error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while opening recurring deposit' 
+    });
+  }
+});
+
+// Get user's deposits
+router.get('/', authenticateToken, [
+  query('status')
+    .optional()
+    .isIn(Deposit.schema.path('status').enumValues)
+    .withMessage('Invalid deposit status'),
+  query('depositType')
+    .optional()
+    .isIn(Deposit.schema.path('depositType').enumValues)
+    .withMessage('Deposit type must be fixed or recurring')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.depositType) filter.depositType = req.query.depositType;
+
+    const deposits = await Deposit.find(filter)
+      .select('-instalments')
+      .sort({ createdAt: -1 });
+
+    const active = deposits.filter(deposit => deposit.status === 'active');
+
+    res.json({
+      deposits,
+      summary: {
+        activeCount: active.length,
+        totalPrincipal: roundMoney(active.reduce((sum, deposit) => sum + deposit.principal, 0)),
+        totalMaturityAmount: roundMoney(active.reduce((sum, deposit) => sum + deposit.maturityAmount, 0))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deposits error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching deposits' 
+    });
+  }
+});
+
+// Get deposit by ID, with what breaking it today would pay
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const deposit = await Deposit.findById(req.params.id)
+      .populate('bookingTransaction', 'reference amount createdAt')
+      .populate('payoutTransaction', 'reference amount createdAt');
+
+    if (!deposit) {
+      return res.status(404).json({ 
+        message: 'Deposit not found' 
+      });
+    }
+
+    // Check if user owns this deposit
+    if (deposit.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this deposit' 
+      });
+    }
+
+    res.json({
+      deposit,
+      prematureQuote: deposit.status === 'active' ? prematureQuote(deposit) : null
+    });
+
+  } catch (error) {
+    console.error('Get deposit error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching deposit' 
+    });
+  }
+});
+
+// Change what happens at maturity
+router.patch('/:id', authenticateToken, [
+  body('maturityInstruction')
+    .isIn(['credit', 'renew'])
+    .withMessage('Maturity instruction must be credit or renew')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const deposit = await Deposit.findById(req.params.id);
+
+    if (!deposit) {
+      return res.status(404).json({ 
+        message: 'Deposit not found' 
+      });
+    }
+
+    // Check if user owns this deposit
+    if (deposit.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this deposit' 
+      });
+    }
+
+    if (deposit.status !== 'active') {
+      return res.status(400).json({ 
+        message: 'Only active deposits can be updated' 
+      });
+    }
+
+    if (deposit.depositType === 'recurring' && req.body.maturityInstruction === 'renew') {
+      return res.status(400).json({ 
+        message: 'Recurring deposits cannot be renewed' 
+      });
+    }
+
+    deposit.maturityInstruction = req.body.maturityInstruction;
+    await deposit.save();
+
+    res.json({
+      message: 'Deposit updated successfully',
+      deposit
+    });
+
+  } catch (error) {
+    console.error('Update deposit error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating deposit' 
+    });
+  }
+});
+
+// Get a recurring deposit's instalments: paid, due, upcoming and missed
+router.get('/:id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const deposit = await Deposit.findById(req.params.id);
+
+    if (!deposit || deposit.depositType !== 'recurring') {
+      return res.status(404).json({ 
+        message: 'Recurring deposit not found' 
+      });
+    }
+
+    // Check if user owns this deposit
+    if (deposit.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this deposit' 
+      });
+    }
+
+    const schedule = instalmentSchedule(deposit);
+    const count = (status) => schedule.filter(instalment => instalment.status === status).length;
+
+    res.json({
+      depositId: deposit._id,
+      status: deposit.status,
+      instalmentAmount: deposit.instalmentAmount,
+      dayOfMonth: deposit.dayOfMonth,
+      deposited: deposit.principal,
+      maturityDate: deposit.maturityDate,
+      maturityAmount: deposit.maturityAmount,
+      summary: {
+        paid: count('paid'),
+        due: count('due'),
+        upcoming: count('upcoming'),
+        missed: count('missed'),
+        penaltiesPaid: roundMoney(schedule.reduce((sum, instalment) =>
+          instalment.status === 'paid' ? sum + instalment.penalty : sum, 0))
+      },
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Get deposit schedule error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching deposit schedule' 
+    });
+  }
+});
+
+// Pay all missed instalments of a recurring deposit, with late penalties
+router.post('/:id/instalments/pay-missed', authenticateToken, idempotency, async (req, res) => {
+  try {
+    const deposit = await payMissedInstalments(req.params.id, req.user._id);
+
+    res.json({
+      message: 'Missed instalments paid successfully',
+      deposit,
+      schedule: instalmentSchedule(deposit)
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Pay missed instalments error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while paying missed instalments' 
+    });
+  }
+});
+
+// Break a deposit before maturity at the penalty rate
+router.post('/:id/withdraw', authenticateToken, idempotency, async (req, res) => {
+  try {
+    const deposit = await closeDepositEarly(req.params.id, req.user._id);
+
+    res.json({
+      message: 'Deposit withdrawn successfully',
+      deposit
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Withdraw deposit error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while withdrawing deposit' 
+    });
+  }
+});
+
+module.exports = router;
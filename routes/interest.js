@@ -0,0 +1,178 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const InterestRun = require('../models/InterestRun');
+const { ServiceError } = require('../services/errors');
+const {
+  INTEREST_SLABS,
+  TDS_RATE,
+  TDS_THRESHOLD,
+  accrueInterest,
+  creditInterest,
+  getAccruedInterest
+} = require('../services/interest');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Batch runs are for operators only
+const requireOperator = (req, res, next) => {
+  if (req.user.role !== 'operator') {
+    return res.status(403).json({ message: 'Operator access required' });
+  }
+  next();
+};
+
+// Get interest accrued since the last credit
+router.get('/accrued', authenticateToken, async (req, res) => {
+  try {
+    const accrued = await getAccruedInterest(req.user._id);
+
+    res.json({
+      ...accrued,
+      rates: INTEREST_SLABS,
+      tds: {
+        rate: TDS_RATE,
+        threshold: TDS_THRESHOLD
+      }
+    });
+
+  } catch (error) {
+    console.error('Get accrued interest error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching accrued interest' 
+    });
+  }
+});
+
+// Run (or re-run) the daily accrual for a date
+router.post('/accrual', authenticateToken, requireOperator, [
+  body('date')
+    .isISO8601()
+    .withMessage('Date must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const run = await accrueInterest(new Date(req.body.date));
+
+    res.json({
+      message: 'Interest accrued successfully',
+      run
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Accrue interest error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while accruing interest' 
+    });
+  }
+});
+
+// Run (or re-run) the monthly credit, e.g. { "month": "2026-09" }
+router.post('/credit', authenticateToken, requireOperator, [
+  body('month')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const [year, month] = req.body.month.split('-').map(Number);
+    const run = await creditInterest(new Date(year, month - 1, 1));
+
+    res.json({
+      message: 'Interest credited successfully',
+      run
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Credit interest error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while crediting interest' 
+    });
+  }
+});
+
+// Get recent batch runs
+router.get('/runs', authenticateToken, requireOperator, [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Limit must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const runs = await InterestRun.find()
+      .sort({ date: -1, type: 1 })
+      .limit(parseInt(req.query.limit) || 60);
+
+    res.json({ runs });
+
+  } catch (error) {
+    console.error('Get interest runs error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching interest runs' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Loan = require('../models/Loan');
 const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const { buildSchedule, scheduleTotals, scheduleToCSV } = require('../services/amortization');
+const {
+  PREPAYMENT_OPTIONS,
+  PENALTY_POLICY,
+  chargesDue,
+  amountDue,
+  daysPastDue,
+  disburseLoan,
+  repayLoan,
+  foreclosureQuote,
+  prepayLoan,
+  forecloseLoan
+} = require('../services/loan');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -31,8 +46,16 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Disbursement is an operator action
+const requireOperator = (req, res, next) => {
+  if (req.user.role !== 'operator') {
+    return res.status(403).json({ message: 'Operator access required' });
+  }
+  next();
+};
+
 // Apply for a loan
-router.post('/apply', authenticateToken, [
+router.post('/apply', authenticateToken, idempotency, [
   body('loanType')
     .isIn(['personal', 'home', 'business', 'education', 'vehicle'])
     .withMessage('Invalid loan type'),
@@ -191,6 +214,379 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the loan's instalment schedule as JSON, or CSV with ?format=csv.
+// Loans that are not active yet get a projection from today.
+router.get('/:id/schedule', authenticateToken, [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ 
+        message: 'Loan not found' 
+      });
+    }
+
+    // Check if user owns this loan
+    if (loan.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this loan' 
+      });
+    }
+
+    const projected = !loan.schedule.length;
+    const schedule = projected
+      ? buildSchedule({
+        principal: loan.amount,
+        annualRate: loan.interestRate,
+        instalments: loan.term,
+        anchorDate: new Date()
+      })
+      : loan.schedule.map(line => line.toObject());
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="loan-${loan._id}-schedule.csv"`);
+      return res.send(scheduleToCSV(schedule));
+    }
+
+    const paid = schedule.filter(line => line.status === 'paid');
+    res.json({
+      loan: {
+        id: loan._id,
+        amount: loan.amount,
+        interestRate: loan.interestRate,
+        term: loan.term,
+        status: loan.status,
+        nextPaymentDate: loan.nextPaymentDate,
+        remainingBalance: loan.remainingBalance
+      },
+      projected,
+      totals: scheduleTotals(schedule),
+      paidInstalments: paid.length,
+      remainingInstalments: schedule.length - paid.length,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('Get loan schedule error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching loan schedule' 
+    });
+  }
+});
+
+// Disburse an approved loan, or the next tranche of a home loan. Without
+// an amount the whole undisbursed balance is paid out.
+router.post('/:id/disburse', authenticateToken, requireOperator, idempotency, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const amount = req.body.amount != null ? parseFloat(req.body.amount) : null;
+    const { loan, transaction } = await disburseLoan(req.params.id, req.user, amount);
+
+    res.status(201).json({
+      message: 'Loan disbursed successfully',
+      loan: {
+        id: loan._id,
+        status: loan.status,
+        amount: loan.amount,
+        disbursedAmount: loan.disbursedAmount,
+        disbursedAt: loan.disbursedAt,
+        monthlyPayment: loan.monthlyPayment,
+        nextPaymentDate: loan.nextPaymentDate,
+        remainingBalance: loan.remainingBalance
+      },
+      transaction: {
+        id: transaction._id,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        type: transaction.type,
+        fees: transaction.fees,
+        gst: transaction.gst,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Disburse loan error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while disbursing loan' 
+    });
+  }
+});
+
+// Pay EMIs from the account balance. Without an amount, everything due
+// is paid, or the next EMI when nothing is due yet.
+router.post('/:id/repay', authenticateToken, idempotency, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { loan, transaction, allocation } = await repayLoan(req.params.id, {
+      userId: req.user._id,
+      amount: req.body.amount != null ? parseFloat(req.body.amount) : null
+    });
+
+    res.status(201).json({
+      message: loan.status === 'closed' ? 'Loan repaid in full and closed' : 'EMI paid successfully',
+      allocation,
+      loan: {
+        id: loan._id,
+        status: loan.status,
+        nextPaymentDate: loan.nextPaymentDate,
+        remainingBalance: loan.remainingBalance,
+        closedAt: loan.closedAt
+      },
+      transaction: {
+        id: transaction._id,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        type: transaction.type,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      },
+      budgetAlerts: transaction.$locals.budgetAlerts || []
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Repay loan error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while repaying loan' 
+    });
+  }
+});
+
+// Get what it would cost to close the loan today
+router.get('/:id/foreclosure-quote', authenticateToken, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ 
+        message: 'Loan not found' 
+      });
+    }
+
+    // Check if user owns this loan
+    if (loan.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this loan' 
+      });
+    }
+
+    if (loan.status !== 'active') {
+      return res.status(400).json({ 
+        message: 'Only active loans can be foreclosed' 
+      });
+    }
+
+    res.json({ quote: foreclosureQuote(loan) });
+
+  } catch (error) {
+    console.error('Get foreclosure quote error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching foreclosure quote' 
+    });
+  }
+});
+
+// Days past due, delinquency bucket and unpaid late-payment charges, with
+// the bucket history. DPD is worked out live; the bucket is the one set by
+// the last repayment or daily delinquency run.
+router.get('/:id/delinquency', authenticateToken, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+
+    if (!loan) {
+      return res.status(404).json({ 
+        message: 'Loan not found' 
+      });
+    }
+
+    // Check if user owns this loan
+    if (loan.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this loan' 
+      });
+    }
+
+    res.json({
+      status: loan.status,
+      dpd: loan.status === 'active' ? daysPastDue(loan) : 0,
+      delinquency: loan.delinquency,
+      overdueCharges: {
+        lateFee: loan.overdueCharges.lateFee,
+        gst: loan.overdueCharges.gst,
+        penalInterest: loan.overdueCharges.penalInterest,
+        total: chargesDue(loan)
+      },
+      amountDue: loan.status === 'active' ? amountDue(loan) : 0,
+      policy: PENALTY_POLICY,
+      history: loan.delinquencyHistory
+    });
+
+  } catch (error) {
+    console.error('Get loan delinquency error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching loan delinquency' 
+    });
+  }
+});
+
+// Part-pay the loan, re-planning the schedule with a lower EMI or fewer
+// instalments
+router.post('/:id/prepay', authenticateToken, idempotency, [
+  body('amount')
+    .isFloat({ min: 1 })
+    .withMessage('Amount must be at least 1'),
+  body('option')
+    .optional()
+    .isIn(PREPAYMENT_OPTIONS)
+    .withMessage(`Option must be one of ${PREPAYMENT_OPTIONS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { loan, transaction } = await prepayLoan(req.params.id, req.user._id, {
+      amount: parseFloat(req.body.amount),
+      option: req.body.option
+    });
+
+    res.status(201).json({
+      message: 'Part-payment applied successfully',
+      loan: {
+        id: loan._id,
+        monthlyPayment: loan.monthlyPayment,
+        remainingInstalments: loan.schedule.filter(line => line.status !== 'paid').length,
+        nextPaymentDate: loan.nextPaymentDate,
+        remainingBalance: loan.remainingBalance
+      },
+      repayment: loan.repayments[loan.repayments.length - 1],
+      transaction: {
+        id: transaction._id,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        type: transaction.type,
+        fees: transaction.fees,
+        gst: transaction.gst,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      },
+      budgetAlerts: transaction.$locals.budgetAlerts || []
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Prepay loan error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while prepaying loan' 
+    });
+  }
+});
+
+// Close the loan early at today's foreclosure quote
+router.post('/:id/foreclose', authenticateToken, idempotency, async (req, res) => {
+  try {
+    const { loan, transaction, quote } = await forecloseLoan(req.params.id, req.user._id);
+
+    res.status(201).json({
+      message: 'Loan foreclosed successfully',
+      quote,
+      loan: {
+        id: loan._id,
+        status: loan.status,
+        closureType: loan.closureType,
+        closedAt: loan.closedAt
+      },
+      transaction: {
+        id: transaction._id,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        type: transaction.type,
+        fees: transaction.fees,
+        gst: transaction.gst,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      },
+      budgetAlerts: transaction.$locals.budgetAlerts || []
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Foreclose loan error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while foreclosing loan' 
+    });
+  }
+});
+
 // Update loan application
 router.patch('/:id', authenticateToken, [
   body('purpose')
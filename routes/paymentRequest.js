@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const PaymentRequest = require('../models/PaymentRequest');
+const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const {
+  createPaymentRequest,
+  approvePaymentRequest,
+  declinePaymentRequest
+} = require('../services/paymentRequest');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+const STATUSES = PaymentRequest.schema.path('status').enumValues;
+
+// Ask another user to pay you
+router.post('/', authenticateToken, idempotency, [
+  body('payer')
+    .trim()
+    .notEmpty()
+    .withMessage('Payer account number, UPI ID or mobile number is required'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must be less than 200 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const request = await createPaymentRequest(req.user, {
+      payerIdentifier: req.body.payer,
+      amount: parseFloat(req.body.amount),
+      note: req.body.note,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : undefined
+    });
+    await request.populate('payer', 'username accountNumber');
+
+    res.status(201).json({
+      message: 'Payment request sent successfully',
+      request
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create payment request error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while creating payment request' 
+    });
+  }
+});
+
+// List requests the user has been asked to pay (incoming) or has sent
+// (outgoing), newest first
+const listRequests = (direction) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = direction === 'incoming'
+      ? { payer: req.user._id }
+      : { requester: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await PaymentRequest.find(filter)
+      .select('-lockedUntil')
+      .populate('requester', 'username accountNumber')
+      .populate('payer', 'username accountNumber')
+      .populate('transaction', 'reference amount fees gst completedAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PaymentRequest.countDocuments(filter);
+
+    res.json({
+      requests,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalRequests: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error(`Get ${direction} payment requests error:`, error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching payment requests' 
+    });
+  }
+};
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of ${STATUSES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+router.get('/incoming', authenticateToken, listValidation, listRequests('incoming'));
+router.get('/outgoing', authenticateToken, listValidation, listRequests('outgoing'));
+
+// Get a specific payment request
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await PaymentRequest.findById(req.params.id)
+      .select('-lockedUntil')
+      .populate('requester', 'username accountNumber')
+      .populate('payer', 'username accountNumber')
+      .populate('transaction', 'reference amount fees gst completedAt');
+
+    if (!request) {
+      return res.status(404).json({ 
+        message: 'Payment request not found' 
+      });
+    }
+
+    const userId = req.user._id.toString();
+    if (request.requester._id.toString() !== userId && request.payer._id.toString() !== userId) {
+      return res.status(403).json({ 
+        message: 'Access denied to this payment request' 
+      });
+    }
+
+    res.json({ request });
+
+  } catch (error) {
+    console.error('Get payment request error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching payment request' 
+    });
+  }
+});
+
+// Approve a request, paying the requester by transfer
+router.patch('/:id/approve', authenticateToken, async (req, res) => {
+  try {
+    const { request, transaction } = await approvePaymentRequest(req.params.id, req.user);
+
+    res.json({
+      message: 'Payment request paid successfully',
+      request,
+      transaction: {
+        id: transaction._id,
+        reference: transaction.reference,
+        amount: transaction.amount,
+        type: transaction.type,
+        fees: transaction.fees,
+        gst: transaction.gst,
+        status: transaction.status,
+        createdAt: transaction.createdAt
+      },
+      budgetAlerts: transaction.$locals.budgetAlerts || []
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Approve payment request error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while approving payment request' 
+    });
+  }
+});
+
+// Decline a request
+router.patch('/:id/decline', authenticateToken, [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const request = await declinePaymentRequest(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      message: 'Payment request declined',
+      request
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Decline payment request error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while declining payment request' 
+    });
+  }
+});
+
+module.exports = router;
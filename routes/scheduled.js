@@ -0,0 +1,381 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const StandingInstruction = require('../models/StandingInstruction');
+const Beneficiary = require('../models/Beneficiary');
+const User = require('../models/User');
+const { ServiceError } = require('../services/errors');
+const { resolvePayee } = require('../services/payee');
+
+const router = express.Router();
+
+// Middleware to check if user is authenticated
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  try {
+    const jwt = require('jsonwebtoken');
+    const JWT_SECRET = process.env.JWT_SECRET || 'infinity-bank-secret-key';
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ message: 'Invalid token' });
+  }
+};
+
+// Create a scheduled or recurring transfer
+router.post('/', authenticateToken, [
+  body('beneficiaryId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid beneficiary ID'),
+  body('receiverId')
+    .if(body('beneficiaryId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Receiver account number, UPI ID or mobile number is required'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('frequency')
+    .isIn(['once', 'weekly', 'monthly'])
+    .withMessage('Frequency must be once, weekly or monthly'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Start date must be in the future'),
+  body('dayOfMonth')
+    .optional()
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => new Date(value) > new Date(req.body.startDate))
+    .withMessage('End date must be after the start date'),
+  body('maxRuns')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Number of runs must be at least 1'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const {
+      receiverId,
+      beneficiaryId,
+      amount,
+      frequency,
+      startDate,
+      dayOfMonth,
+      endDate,
+      maxRuns,
+      description
+    } = req.body;
+
+    let receiver;
+    let beneficiary = null;
+    if (beneficiaryId) {
+      beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, user: req.user._id });
+      if (!beneficiary) {
+        return res.status(404).json({ 
+          message: 'Beneficiary not found' 
+        });
+      }
+      receiver = beneficiary.payee;
+    } else {
+      ({ payee: { _id: receiver } } = await resolvePayee(receiverId));
+    }
+
+    if (receiver.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'Cannot transfer to your own account' 
+      });
+    }
+
+    const instruction = new StandingInstruction({
+      user: req.user._id,
+      receiver,
+      beneficiary: beneficiary?._id,
+      amount,
+      description,
+      frequency,
+      dayOfMonth: frequency === 'monthly' ? dayOfMonth : undefined,
+      startDate,
+      endDate,
+      maxRuns: frequency === 'once' ? 1 : maxRuns
+    });
+
+    await instruction.save();
+
+    res.status(201).json({
+      message: 'Scheduled transfer created successfully',
+      instruction
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create scheduled transfer error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while creating scheduled transfer' 
+    });
+  }
+});
+
+// Get user's scheduled transfers
+router.get('/', authenticateToken, [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'completed', 'cancelled'])
+    .withMessage('Status must be active, paused, completed or cancelled'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build query
+    const filter = { user: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    // Get instructions without their run history
+    const instructions = await StandingInstruction.find(filter)
+      .select('-runs')
+      .populate('receiver', 'username accountNumber')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count
+    const total = await StandingInstruction.countDocuments(filter);
+
+    res.json({
+      instructions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalInstructions: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled transfers error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching scheduled transfers' 
+    });
+  }
+});
+
+// Get scheduled transfer with run history
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const instruction = await StandingInstruction.findById(req.params.id)
+      .populate('receiver', 'username accountNumber')
+      .populate('runs.transaction', 'reference status');
+
+    if (!instruction) {
+      return res.status(404).json({ 
+        message: 'Scheduled transfer not found' 
+      });
+    }
+
+    // Check if user owns this instruction
+    if (instruction.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this scheduled transfer' 
+      });
+    }
+
+    res.json({ instruction });
+
+  } catch (error) {
+    console.error('Get scheduled transfer error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching scheduled transfer' 
+    });
+  }
+});
+
+// Update, pause or resume a scheduled transfer
+router.patch('/:id', authenticateToken, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  body('maxRuns')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Number of runs must be at least 1'),
+  body('status')
+    .optional()
+    .isIn(['active', 'paused'])
+    .withMessage('Status must be active or paused')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const instruction = await StandingInstruction.findById(req.params.id);
+
+    if (!instruction) {
+      return res.status(404).json({ 
+        message: 'Scheduled transfer not found' 
+      });
+    }
+
+    // Check if user owns this instruction
+    if (instruction.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this scheduled transfer' 
+      });
+    }
+
+    // Check if instruction can be updated
+    if (!['active', 'paused'].includes(instruction.status)) {
+      return res.status(400).json({ 
+        message: 'Only active or paused scheduled transfers can be updated' 
+      });
+    }
+
+    // Update allowed fields
+    const { amount, description, endDate, maxRuns, status } = req.body;
+    if (amount) instruction.amount = amount;
+    if (description !== undefined) instruction.description = description;
+    if (endDate) instruction.endDate = endDate;
+    if (maxRuns && instruction.frequency !== 'once') instruction.maxRuns = maxRuns;
+
+    if (status === 'active' && instruction.status === 'paused') {
+      instruction.status = status;
+      instruction.skipMissedOccurrences();
+    } else if (status) {
+      instruction.status = status;
+    }
+
+    if (endDate && instruction.nextOccurrence && instruction.endDate < instruction.nextOccurrence) {
+      return res.status(400).json({ 
+        message: 'End date cannot be before the next scheduled transfer',
+        nextOccurrence: instruction.nextOccurrence
+      });
+    }
+
+    await instruction.save();
+
+    res.json({
+      message: 'Scheduled transfer updated successfully',
+      instruction
+    });
+
+  } catch (error) {
+    console.error('Update scheduled transfer error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating scheduled transfer' 
+    });
+  }
+});
+
+// Cancel a scheduled transfer
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const instruction = await StandingInstruction.findById(req.params.id);
+
+    if (!instruction) {
+      return res.status(404).json({ 
+        message: 'Scheduled transfer not found' 
+      });
+    }
+
+    // Check if user owns this instruction
+    if (instruction.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this scheduled transfer' 
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(instruction.status)) {
+      return res.status(400).json({ 
+        message: `Scheduled transfer is already ${instruction.status}` 
+      });
+    }
+
+    instruction.status = 'cancelled';
+    instruction.nextRunAt = undefined;
+    await instruction.save();
+
+    res.json({
+      message: 'Scheduled transfer cancelled successfully',
+      instruction: {
+        id: instruction._id,
+        status: instruction.status,
+        updatedAt: instruction.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel scheduled transfer error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while cancelling scheduled transfer' 
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const Beneficiary = require('../models/Beneficiary');
+const Refund = require('../models/Refund');
+const CategoryRule = require('../models/CategoryRule');
+const { executeTransaction } = require('../services/transaction');
+const { ServiceError } = require('../services/errors');
+const { resolvePayee, getPayeePreview } = require('../services/payee');
+const { calculateFees } = require('../services/fees');
+const { roundMoney } = require('../services/ledger');
+const { refundableAmount, approveRefund } = require('../services/refund');
+const { buildStatement, toCSV, toPDF } = require('../services/statement');
+const { EXPORT_FORMATS } = require('../services/statementFormats');
+const { SORT_FIELDS, buildHistoryQuery, applyCursor, encodeCursor } = require('../services/history');
+const { CATEGORIES } = require('../services/categories');
+const { refreshBudgets } = require('../services/budget');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -32,10 +47,17 @@ const authenticateToken = async (req, res, next) => {
 };
 
 // Create a new transaction
-router.post('/create', authenticateToken, [
-  body('receiverId')
+router.post('/create', authenticateToken, idempotency, [
+  body('beneficiaryId')
+    .optional()
     .isMongoId()
-    .withMessage('Valid receiver ID is required'),
+    .withMessage('Invalid beneficiary ID'),
+  body('receiverId')
+    .if(body('type').isIn(['transfer', 'payment']))
+    .if(body('beneficiaryId').not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Receiver account number, UPI ID or mobile number is required'),
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be greater than 0'),
@@ -56,75 +78,33 @@ router.post('/create', authenticateToken, [
       });
     }
 
-    const { receiverId, amount, type, description } = req.body;
-    const senderId = req.user._id;
+    const { receiverId, beneficiaryId, amount, type, description } = req.body;
 
-    // Check if sender has sufficient balance
-    if (type === 'transfer' && req.user.accountBalance < amount) {
-      return res.status(400).json({ 
-        message: 'Insufficient balance' 
-      });
-    }
+    // Deposits and withdrawals stay on the caller's own account
+    let receiver = req.user;
+    let beneficiary = null;
 
-    // Find receiver
-    const receiver = await User.findById(receiverId);
-    if (!receiver || !receiver.isActive) {
-      return res.status(404).json({ 
-        message: 'Receiver not found' 
-      });
+    if (beneficiaryId && type === 'transfer') {
+      beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, user: req.user._id });
+      if (!beneficiary) {
+        return res.status(404).json({ 
+          message: 'Beneficiary not found' 
+        });
+      }
+      receiver = { _id: beneficiary.payee };
+    } else if (type === 'transfer' || type === 'payment') {
+      ({ payee: receiver } = await resolvePayee(receiverId));
     }
 
-    // Create transaction
-    const transaction = new Transaction({
-      sender: senderId,
-      receiver: receiverId,
+    const transaction = await executeTransaction({
+      senderId: req.user._id,
+      receiverId: receiver._id,
       amount,
       type,
       description,
-      status: 'pending'
+      beneficiary
     });
 
-    await transaction.save();
-
-    // Process transaction based on type
-    if (type === 'transfer') {
-      // Deduct from sender
-      req.user.accountBalance -= amount;
-      await req.user.save();
-
-      // Add to receiver
-      receiver.accountBalance += amount;
-      await receiver.save();
-
-      // Update transaction status
-      transaction.status = 'completed';
-      transaction.completedAt = new Date();
-      await transaction.save();
-    } else if (type === 'deposit') {
-      // Add to sender's account
-      req.user.accountBalance += amount;
-      await req.user.save();
-
-      transaction.status = 'completed';
-      transaction.completedAt = new Date();
-      await transaction.save();
-    } else if (type === 'withdrawal') {
-      // Check if user has sufficient balance
-      if (req.user.accountBalance < amount) {
-        return res.status(400).json({ 
-          message: 'Insufficient balance for withdrawal' 
-        });
-      }
-
-      // Deduct from sender
-      req.user.accountBalance -= amount;
-      await req.user.save();
-
-      transaction.status = 'completed';
-      transaction.completedAt = new Date();
-      await transaction.save();
-    }
-
     res.status(201).json({
       message: 'Transaction created successfully',
       transaction: {
@@ -132,12 +112,22 @@ router.post('/create', authenticateToken, [
         reference: transaction.reference,
         amount: transaction.amount,
         type: transaction.type,
+        fees: transaction.fees,
+        gst: transaction.gst,
         status: transaction.status,
         createdAt: transaction.createdAt
-      }
+      },
+      budgetAlerts: transaction.$locals.budgetAlerts || []
     });
 
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Create transaction error:', error);
     res.status(500).json({ 
       message: 'Internal server error while creating transaction' 
@@ -145,46 +135,187 @@ router.post('/create', authenticateToken, [
   }
 });
 
+// Resolve an account number, UPI ID or mobile number to a payee preview
+router.get('/payee/resolve', authenticateToken, [
+  query('identifier')
+    .trim()
+    .notEmpty()
+    .withMessage('Account number, UPI ID or mobile number is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { payee, identifierType } = await resolvePayee(req.query.identifier);
+
+    if (payee._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ 
+        message: 'Cannot transfer to your own account' 
+      });
+    }
+
+    res.json({ payee: getPayeePreview(payee, identifierType) });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Resolve payee error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while resolving payee' 
+    });
+  }
+});
+
+// Preview the charges for a transaction before confirming it
+router.get('/fees/preview', authenticateToken, [
+  query('type')
+    .isIn(['transfer', 'deposit', 'withdrawal', 'payment'])
+    .withMessage('Invalid transaction type'),
+  query('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const type = req.query.type;
+    const amount = parseFloat(req.query.amount);
+    const charges = await calculateFees(req.user, type, amount);
+
+    res.json({
+      preview: {
+        type,
+        amount,
+        fee: charges.fee,
+        gst: charges.gst,
+        totalCharges: charges.total,
+        totalDebit: type === 'deposit' ? charges.total : roundMoney(amount + charges.total),
+        freeTransactionsRemaining: charges.freeRemaining
+      }
+    });
+
+  } catch (error) {
+    console.error('Fee preview error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while calculating fees' 
+    });
+  }
+});
+
 // Get transaction history for user
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .isIn(Transaction.schema.path('type').enumValues)
+    .withMessage('Invalid transaction type'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'failed', 'cancelled'])
+    .withMessage('Invalid transaction status'),
+  query('direction')
+    .optional()
+    .isIn(['in', 'out'])
+    .withMessage('Direction must be in or out'),
+  query(['minAmount', 'maxAmount'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount filters must be positive numbers'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be valid dates'),
+  query(['counterparty', 'q'])
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search text must be between 1 and 100 characters'),
+  query('category')
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage('Invalid category'),
+  query('sort')
+    .optional()
+    .isIn(SORT_FIELDS)
+    .withMessage(`Sort must be one of ${SORT_FIELDS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('cursor')
+    .optional()
+    .isString()
+    .withMessage('Invalid cursor')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10, type, status } = req.query;
-    const skip = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { cursor, sort = 'createdAt', order = 'desc' } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+    const direction = order === 'asc' ? 1 : -1;
 
     // Build query
-    const query = {
-      $or: [
-        { sender: req.user._id },
-        { receiver: req.user._id }
-      ]
-    };
-
-    if (type) query.type = type;
-    if (status) query.status = status;
+    const filter = await buildHistoryQuery(req.user._id, req.query);
 
-    // Get transactions
-    const transactions = await Transaction.find(query)
+    // Fetch one extra row to know whether there is a next page
+    const transactions = await Transaction.find(applyCursor(filter, cursor, sort, order))
       .populate('sender', 'username accountNumber')
       .populate('receiver', 'username accountNumber')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .populate('originalTransaction', 'reference amount createdAt')
+      .populate('reversals', 'reference amount createdAt')
+      .sort({ [sort]: direction, _id: direction })
+      .limit(limit + 1);
 
-    // Get total count
-    const total = await Transaction.countDocuments(query);
+    const hasNextPage = transactions.length > limit;
+    if (hasNextPage) transactions.pop();
 
     res.json({
       transactions,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalTransactions: total,
-        hasNextPage: page * limit < total,
-        hasPrevPage: page > 1
+        limit,
+        sort,
+        order,
+        hasNextPage,
+        nextCursor: hasNextPage
+          ? encodeCursor(transactions[transactions.length - 1], sort, order)
+          : null
       }
     });
 
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Get transaction history error:', error);
     res.status(500).json({ 
       message: 'Internal server error while fetching transaction history' 
@@ -192,12 +323,302 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// Download an account statement for a date range
+router.get('/statement', authenticateToken, [
+  query('from')
+    .isISO8601()
+    .withMessage('From date must be a valid date'),
+  query('to')
+    .isISO8601()
+    .withMessage('To date must be a valid date'),
+  query('format')
+    .optional()
+    .isIn(['pdf', 'csv', ...Object.keys(EXPORT_FORMATS)])
+    .withMessage(`Format must be one of pdf, csv, ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { format = 'pdf' } = req.query;
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    // A date-only "to" covers the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (from > to) {
+      return res.status(400).json({ 
+        message: 'From date must be before to date' 
+      });
+    }
+
+    const statement = await buildStatement(req.user, from, to);
+    const filename = `statement-${req.user.accountNumber}-${req.query.from}-${req.query.to}`;
+
+    // Accounting-tool formats
+    if (EXPORT_FORMATS[format]) {
+      const { render, contentType, extension } = EXPORT_FORMATS[format];
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+      return res.send(render(statement));
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(toCSV(statement));
+    }
+
+    const pdf = await toPDF(statement);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Generate statement error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while generating statement' 
+    });
+  }
+});
+
+// Get refund requests made by or waiting on the user
+router.get('/refunds', authenticateToken, [
+  query('direction')
+    .optional()
+    .isIn(['incoming', 'outgoing'])
+    .withMessage('Direction must be incoming or outgoing'),
+  query('status')
+    .optional()
+    .isIn(Refund.schema.path('status').enumValues)
+    .withMessage('Invalid refund status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { direction = 'outgoing', status } = req.query;
+
+    // Incoming refunds are ones the user has been asked to approve
+    const query = direction === 'incoming'
+      ? { payer: req.user._id }
+      : { requestedBy: req.user._id };
+    if (status) query.status = status;
+
+    const refunds = await Refund.find(query)
+      .populate('transaction', 'reference amount refundedAmount createdAt')
+      .populate('requestedBy', 'username accountNumber')
+      .populate('payer', 'username accountNumber')
+      .populate('reversalTransaction', 'reference amount createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ refunds });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching refunds' 
+    });
+  }
+});
+
+// Approve a refund request, creating the reversal transaction
+router.patch('/refunds/:refundId/approve', authenticateToken, async (req, res) => {
+  try {
+    const { refund, reversal } = await approveRefund(req.params.refundId, req.user);
+
+    res.json({
+      message: 'Refund approved successfully',
+      refund,
+      reversal: {
+        id: reversal._id,
+        reference: reversal.reference,
+        amount: reversal.amount,
+        originalTransaction: reversal.originalTransaction,
+        status: reversal.status,
+        createdAt: reversal.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ 
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Approve refund error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while approving refund' 
+    });
+  }
+});
+
+// Reject a refund request. The status is only changed while it is still
+// pending, so a reject racing an approval cannot undo a refund already paid.
+router.patch('/refunds/:refundId/reject', authenticateToken, async (req, res) => {
+  try {
+    const pending = await Refund.findById(req.params.refundId);
+
+    if (!pending) {
+      return res.status(404).json({ 
+        message: 'Refund request not found' 
+      });
+    }
+
+    // Only the receiver or an operator can decide
+    if (pending.payer.toString() !== req.user._id.toString() && req.user.role !== 'operator') {
+      return res.status(403).json({ 
+        message: 'Only the receiver or an operator can reject this refund' 
+      });
+    }
+
+    const refund = await Refund.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { status: 'rejected', decidedBy: req.user._id, decidedAt: new Date() },
+      { new: true }
+    );
+
+    if (!refund) {
+      return res.status(409).json({ 
+        message: 'Refund request has already been decided' 
+      });
+    }
+
+    res.json({
+      message: 'Refund rejected',
+      refund
+    });
+
+  } catch (error) {
+    console.error('Reject refund error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while rejecting refund' 
+    });
+  }
+});
+
+// List categories and the user's own categorisation rules
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    const rules = await CategoryRule.find({ user: req.user._id })
+      .populate('counterparty', 'username accountNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      categories: CATEGORIES,
+      rules
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching categories' 
+    });
+  }
+});
+
+// Add a keyword rule, e.g. "blinkit" -> groceries
+router.post('/categories/rules', authenticateToken, [
+  body('keyword')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Keyword must be between 2 and 50 characters'),
+  body('category')
+    .isIn(CATEGORIES)
+    .withMessage('Invalid category'),
+  body('direction')
+    .optional()
+    .isIn(['in', 'out'])
+    .withMessage('Direction must be in or out')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { keyword, category, direction } = req.body;
+
+    const rule = new CategoryRule({
+      user: req.user._id,
+      keyword,
+      category,
+      direction
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Category rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create category rule error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while creating category rule' 
+    });
+  }
+});
+
+// Delete one of the user's categorisation rules
+router.delete('/categories/rules/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const rule = await CategoryRule.findById(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json({ 
+        message: 'Category rule not found' 
+      });
+    }
+
+    if (rule.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Access denied to this category rule' 
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.json({ 
+      message: 'Category rule deleted successfully' 
+    });
+
+  } catch (error) {
+    console.error('Delete category rule error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while deleting category rule' 
+    });
+  }
+});
+
 // Get transaction by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const transaction = await Transaction.findById(req.params.id)
       .populate('sender', 'username accountNumber')
-      .populate('receiver', 'username accountNumber');
+      .populate('receiver', 'username accountNumber')
+      .populate('originalTransaction', 'reference amount createdAt')
+      .populate('reversals', 'reference amount createdAt');
 
     if (!transaction) {
       return res.status(404).json({ 
@@ -269,6 +690,163 @@ router.patch('/:id/cancel', authenticateToken, async (req, res) => {
   }
 });
 
+// Correct the category of a transaction from the user's side. With
+// `remember`, future transactions with the same counterparty follow suit.
+router.patch('/:id/category', authenticateToken, [
+  body('category')
+    .isIn(CATEGORIES)
+    .withMessage('Invalid category'),
+  body('remember')
+    .optional()
+    .isBoolean()
+    .withMessage('Remember must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ 
+        message: 'Transaction not found' 
+      });
+    }
+
+    const userId = req.user._id.toString();
+    const isSender = transaction.sender.toString() === userId;
+    const isReceiver = transaction.receiver.toString() === userId;
+
+    if (!isSender && !isReceiver) {
+      return res.status(403).json({ 
+        message: 'Access denied to this transaction' 
+      });
+    }
+
+    const { category } = req.body;
+    const remember = req.body.remember === true || req.body.remember === 'true';
+
+    const previous = isSender ? transaction.category : transaction.receiverCategory;
+
+    // Deposits and withdrawals have the user on both sides
+    if (isSender) transaction.category = category;
+    if (isReceiver) transaction.receiverCategory = category;
+    await transaction.save();
+
+    // Move the spend between budgets
+    if (isSender && previous !== category) {
+      await refreshBudgets(req.user._id, [previous, category]);
+    }
+
+    let rule = null;
+    if (remember && !(isSender && isReceiver)) {
+      const direction = isSender ? 'out' : 'in';
+      const counterparty = isSender ? transaction.receiver : transaction.sender;
+
+      rule = await CategoryRule.findOneAndUpdate(
+        { user: req.user._id, counterparty, direction },
+        { category, createdAt: new Date() },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    res.json({
+      message: 'Transaction category updated successfully',
+      transaction: {
+        id: transaction._id,
+        category: isSender ? transaction.category : transaction.receiverCategory
+      },
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update transaction category error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating transaction category' 
+    });
+  }
+});
+
+// Request a full or partial refund of a completed transfer
+router.post('/:id/refund', authenticateToken, [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be greater than 0'),
+  body('reason')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be less than 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ 
+        message: 'Transaction not found' 
+      });
+    }
+
+    // Check if user is the sender
+    if (transaction.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ 
+        message: 'Only sender can request a refund' 
+      });
+    }
+
+    // Check if transaction can be refunded
+    if (transaction.type !== 'transfer' || transaction.status !== 'completed') {
+      return res.status(400).json({ 
+        message: 'Only completed transfers can be refunded' 
+      });
+    }
+
+    const refundable = await refundableAmount(transaction);
+    const amount = req.body.amount ? parseFloat(req.body.amount) : refundable;
+
+    if (refundable <= 0 || amount > refundable) {
+      return res.status(400).json({ 
+        message: 'Refund exceeds the amount left to refund',
+        refundable: Math.max(refundable, 0)
+      });
+    }
+
+    const refund = new Refund({
+      transaction: transaction._id,
+      requestedBy: req.user._id,
+      payer: transaction.receiver,
+      amount,
+      reason: req.body.reason
+    });
+
+    await refund.save();
+
+    res.status(201).json({
+      message: 'Refund requested successfully',
+      refund
+    });
+
+  } catch (error) {
+    console.error('Request refund error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while requesting refund' 
+    });
+  }
+});
+
 // Get transaction statistics
 router.get('/stats/summary', authenticateToken, async (req, res) => {
   try {
@@ -303,6 +881,19 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
       { $group: { _id: '$status', count: { $sum: 1 } } }
     ]);
 
+    // Get completed amounts by category, each from the user's own side
+    const spendingByCategory = await Transaction.aggregate([
+      { $match: { sender: userId, status: 'completed' } },
+      { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $sort: { total: -1 } }
+    ]);
+
+    const incomeByCategory = await Transaction.aggregate([
+      { $match: { receiver: userId, status: 'completed' } },
+      { $group: { _id: '$receiverCategory', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+      { $sort: { total: -1 } }
+    ]);
+
     res.json({
       summary: {
         totalTransactions,
@@ -311,7 +902,9 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
         currentBalance: req.user.accountBalance
       },
       transactionsByType,
-      transactionsByStatus
+      transactionsByStatus,
+      spendingByCategory,
+      incomeByCategory
     });
 
   } catch (error) {
@@ -1,6 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const { getLedgerBalance, roundMoney } = require('../services/ledger');
+const {
+  LIMIT_KEYS,
+  TIER_LIMITS,
+  getTierLimits,
+  getEffectiveLimits,
+  getUsage,
+  getHeadroom
+} = require('../services/limits');
 
 const router = express.Router();
 
@@ -124,6 +134,76 @@ router.get('/balance', authenticateToken, async (req, res) => {
   }
 });
 
+// Get ledger entries with running balance
+router.get('/balance/ledger', authenticateToken, [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { account: req.user._id };
+
+    // Get entries, newest first
+    const entries = await LedgerEntry.find(filter)
+      .populate('transaction', 'reference type status')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count
+    const total = await LedgerEntry.countDocuments(filter);
+
+    // Reconcile the stored balance against the ledger
+    const ledgerBalance = await getLedgerBalance(req.user._id);
+
+    res.json({
+      accountNumber: req.user.accountNumber,
+      accountBalance: req.user.accountBalance,
+      ledgerBalance,
+      drift: roundMoney(req.user.accountBalance - ledgerBalance),
+      currency: 'INR',
+      entries: entries.map(entry => ({
+        id: entry._id,
+        transaction: entry.transaction,
+        direction: entry.direction,
+        amount: entry.amount,
+        runningBalance: entry.balanceAfter,
+        description: entry.description,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get balance ledger error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching balance ledger' 
+    });
+  }
+});
+
 // Get account summary
 router.get('/summary', authenticateToken, async (req, res) => {
   try {
@@ -147,6 +227,91 @@ router.get('/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Get transaction limits with current usage
+router.get('/limits', authenticateToken, async (req, res) => {
+  try {
+    const tierLimits = TIER_LIMITS[req.user.accountTier] || TIER_LIMITS.basic;
+    const limits = {};
+
+    for (const type of Object.keys(tierLimits)) {
+      const effective = getEffectiveLimits(req.user, type);
+      const usage = await getUsage(req.user._id, type);
+      limits[type] = {
+        limits: effective,
+        maximum: tierLimits[type],
+        usage,
+        remaining: getHeadroom(effective, usage)
+      };
+    }
+
+    res.json({
+      accountTier: req.user.accountTier,
+      limits
+    });
+  } catch (error) {
+    console.error('Get limits error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while fetching limits' 
+    });
+  }
+});
+
+// Lower (or restore) your own limits for a transaction type
+router.patch('/limits', authenticateToken, [
+  body('type')
+    .isIn(['transfer', 'deposit', 'withdrawal', 'payment'])
+    .withMessage('Invalid transaction type'),
+  ...LIMIT_KEYS.map(key => body(key)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage(`${key} must be a positive number`))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const { type } = req.body;
+    const maximum = getTierLimits(req.user, type);
+    const overrides = { ...(req.user.limitOverrides.get(type)?.toObject() || {}) };
+
+    // Limits can only be lowered below the tier maximum; null restores it
+    for (const key of LIMIT_KEYS) {
+      const value = req.body[key];
+      if (value === undefined) continue;
+
+      if (value === null) {
+        delete overrides[key];
+      } else if (Number(value) > maximum[key]) {
+        return res.status(400).json({ 
+          message: `${key} cannot be higher than your tier maximum of ${maximum[key]}` 
+        });
+      } else {
+        overrides[key] = Number(value);
+      }
+    }
+
+    req.user.limitOverrides.set(type, overrides);
+    await req.user.save();
+
+    res.json({
+      message: 'Limits updated successfully',
+      type,
+      limits: getEffectiveLimits(req.user, type),
+      maximum
+    });
+  } catch (error) {
+    console.error('Update limits error:', error);
+    res.status(500).json({ 
+      message: 'Internal server error while updating limits' 
+    });
+  }
+});
+
 // UPI Integration - Link bank account
 router.post('/upi/link', authenticateToken, [
   body('upiId')
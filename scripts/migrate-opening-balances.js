@@ -0,0 +1,22 @@
+// One-time migration: post an opening-balance ledger entry for every account
+// whose balance predates the ledger. Run once after deploying the ledger,
+// before customers transact: `npm run migrate:opening-balances`.
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { ensureSystemAccounts } = require('../services/systemAccounts');
+const { backfillOpeningBalances } = require('../services/openingBalances');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/infinity-bank');
+  await ensureSystemAccounts();
+
+  const { accounts, posted } = await backfillOpeningBalances();
+  console.log(`Checked ${accounts} accounts, posted ${posted} opening balances`);
+};
+
+run()
+  .catch(error => {
+    console.error('Opening balance migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
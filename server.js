@@ -5,6 +5,16 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { ensureSystemAccounts } = require('./services/systemAccounts');
+const { ensureBillers } = require('./services/billPayment');
+const { checkLedgerInvariants } = require('./services/ledger');
+const { registerJob, startScheduler } = require('./services/scheduler');
+const { runDueInstructions } = require('./jobs/standingInstructions');
+const { runInterestBatch } = require('./jobs/interest');
+const { runMaturedDeposits, runDueInstalments } = require('./jobs/deposits');
+const { expirePaymentRequests } = require('./jobs/paymentRequests');
+const { runDueEmis, runLoanDelinquency } = require('./jobs/loans');
+const { reconcileBillPayments } = require('./jobs/billPayments');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,22 +42,90 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/infinity-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(async () => {
+  console.log('Connected to MongoDB');
+  await ensureSystemAccounts();
+  await ensureBillers();
+  startScheduler();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Background jobs, started once the database is connected
+registerJob(
+  'ledger-check',
+  parseInt(process.env.LEDGER_CHECK_INTERVAL_MS) || 60 * 60 * 1000,
+  checkLedgerInvariants
+);
+registerJob(
+  'standing-instructions',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  runDueInstructions
+);
+registerJob(
+  'interest',
+  parseInt(process.env.INTEREST_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  runInterestBatch
+);
+registerJob(
+  'deposit-maturity',
+  parseInt(process.env.DEPOSIT_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  runMaturedDeposits
+);
+registerJob(
+  'recurring-deposit-instalments',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  runDueInstalments
+);
+registerJob(
+  'payment-request-expiry',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  expirePaymentRequests
+);
+registerJob(
+  'loan-emi-debits',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  runDueEmis
+);
+registerJob(
+  'loan-delinquency',
+  parseInt(process.env.LOAN_DELINQUENCY_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+  runLoanDelinquency
+);
+registerJob(
+  'bill-payment-reconciliation',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  reconcileBillPayments
+);
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const transactionRoutes = require('./routes/transaction');
 const loanRoutes = require('./routes/loan');
 const cardRoutes = require('./routes/card');
+const beneficiaryRoutes = require('./routes/beneficiary');
+const scheduledRoutes = require('./routes/scheduled');
+const paymentRequestRoutes = require('./routes/paymentRequest');
+const budgetRoutes = require('./routes/budget');
+const analyticsRoutes = require('./routes/analytics');
+const interestRoutes = require('./routes/interest');
+const depositRoutes = require('./routes/deposit');
+const billRoutes = require('./routes/bill');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/transaction/scheduled', scheduledRoutes);
+app.use('/api/transaction/requests', paymentRequestRoutes);
 app.use('/api/transaction', transactionRoutes);
 app.use('/api/loan', loanRoutes);
 app.use('/api/card', cardRoutes);
+app.use('/api/beneficiary', beneficiaryRoutes);
+app.use('/api/budget', budgetRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/interest', interestRoutes);
+app.use('/api/deposit', depositRoutes);
+app.use('/api/bill', billRoutes);
 
 // Serve main HTML files
 app.get('/', (req, res) => {
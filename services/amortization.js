@@ -0,0 +1,108 @@
+// Loan amortization maths. Kept free of models so the Loan model can use
+// it in its save hooks. Amounts are worked in paise so every line adds up
+// exactly; the final instalment absorbs whatever rounding is left over.
+
+const toPaise = (amount) => Math.round(amount * 100);
+const fromPaise = (paise) => paise / 100;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Equated monthly instalment, rounded to the paisa
+const calculateEmi = (principal, annualRate, instalments) => {
+  const monthlyRate = annualRate / 100 / 12;
+  if (monthlyRate === 0) return fromPaise(Math.ceil(toPaise(principal) / instalments));
+
+  const factor = Math.pow(1 + monthlyRate, instalments);
+  return fromPaise(Math.round(toPaise(principal) * monthlyRate * factor / (factor - 1)));
+};
+
+// Due date of instalment `number`: that many months after the anchor date,
+// on the same day of the month or the last day of shorter months
+const dueDateFor = (anchorDate, number) => {
+  const due = new Date(anchorDate.getFullYear(), anchorDate.getMonth() + number, 1);
+  const lastDay = new Date(due.getFullYear(), due.getMonth() + 1, 0).getDate();
+  due.setDate(Math.min(anchorDate.getDate(), lastDay));
+  return due;
+};
+
+// Instalment lines repaying `principal` over `instalments` months from
+// instalment `startNumber` on. Interest each month is the opening balance
+// times the monthly rate, rounded to the paisa; the rest of the EMI repays
+// principal. The plan stops early once the principal is cleared, so
+// passing a larger `emi` shortens it.
+const buildSchedule = ({ principal, annualRate, instalments, anchorDate, startNumber = 1, emi }) => {
+  const monthlyRate = annualRate / 100 / 12;
+  const emiPaise = toPaise(emi ?? calculateEmi(principal, annualRate, instalments));
+
+  const lines = [];
+  let balance = toPaise(principal);
+  for (let i = 0; i < instalments && balance > 0; i++) {
+    const interest = Math.round(balance * monthlyRate);
+    let principalPart = emiPaise - interest;
+    if (i === instalments - 1 || principalPart >= balance) {
+      principalPart = balance;
+    }
+
+    const number = startNumber + i;
+    lines.push({
+      number,
+      dueDate: dueDateFor(anchorDate, number),
+      openingBalance: fromPaise(balance),
+      emi: fromPaise(principalPart + interest),
+      principal: fromPaise(principalPart),
+      interest: fromPaise(interest),
+      closingBalance: fromPaise(balance - principalPart)
+    });
+    balance -= principalPart;
+  }
+
+  return lines;
+};
+
+// Totals over a set of schedule lines
+const scheduleTotals = (lines) => {
+  const sum = (field) => fromPaise(lines.reduce((total, line) => total + toPaise(line[field]), 0));
+  return {
+    principal: sum('principal'),
+    interest: sum('interest'),
+    payable: sum('emi')
+  };
+};
+
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Same quoting and formula escaping as the statement CSV
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Schedule as CSV, one row per instalment
+const scheduleToCSV = (lines) => {
+  const rows = [
+    ['Instalment', 'Due Date', 'Opening Balance', 'EMI', 'Principal', 'Interest', 'Closing Balance', 'Status'],
+    ...lines.map(line => [
+      line.number,
+      formatDate(line.dueDate),
+      line.openingBalance.toFixed(2),
+      line.emi.toFixed(2),
+      line.principal.toFixed(2),
+      line.interest.toFixed(2),
+      line.closingBalance.toFixed(2),
+      line.status || 'projected'
+    ])
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  calculateEmi,
+  dueDateFor,
+  buildSchedule,
+  scheduleTotals,
+  scheduleToCSV
+};
@@ -0,0 +1,234 @@
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { roundMoney } = require('./ledger');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Upper bound on buckets per request so daily charts stay readable
+const MAX_BUCKETS = 400;
+
+// Buckets are cut in the server's time zone, like the monthly limits, so
+// Mongo's buckets line up with the ones built with Date below
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const TOP_COUNTERPARTIES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start of the bucket containing `date`; weeks start on Monday
+const bucketStart = (date, granularity) => {
+  if (granularity === 'month') return new Date(date.getFullYear(), date.getMonth(), 1);
+
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (granularity === 'week') day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+  return day;
+};
+
+const nextBucket = (start, granularity) => {
+  const next = new Date(start);
+  if (granularity === 'month') next.setMonth(next.getMonth() + 1);
+  else next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+  return next;
+};
+
+// Number of buckets in [from, to], worked out without building them so an
+// over-long range can be refused cheaply
+const bucketCount = (from, to, granularity) => {
+  const start = bucketStart(from, granularity);
+  if (granularity === 'month') {
+    return (to.getFullYear() - start.getFullYear()) * 12 + to.getMonth() - start.getMonth() + 1;
+  }
+
+  // Whole calendar days, counted in UTC so DST changes don't skew them
+  const days = (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS;
+  return Math.floor(days / (granularity === 'week' ? 7 : 1)) + 1;
+};
+
+// Every bucket start in [from, to], so empty periods still chart as zero
+const bucketStarts = (from, to, granularity) => {
+  const starts = [];
+  for (let start = bucketStart(from, granularity); start <= to; start = nextBucket(start, granularity)) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+// Default range for a granularity: the last 30 days, 12 weeks or 12 months
+const defaultFrom = (to, granularity) => {
+  const from = new Date(to);
+  if (granularity === 'month') from.setMonth(from.getMonth() - 11, 1);
+  else if (granularity === 'week') from.setDate(from.getDate() - 7 * 11);
+  else from.setDate(from.getDate() - 29);
+  return bucketStart(from, granularity);
+};
+
+const truncate = (granularity) => ({
+  $dateTrunc: {
+    date: '$createdAt',
+    unit: granularity,
+    timezone: TIMEZONE,
+    startOfWeek: 'monday'
+  }
+});
+
+// Money out of the account: the amount plus any fee and GST. Deposits only
+// cost their charges.
+const outflowAmount = {
+  $add: [
+    { $cond: [{ $eq: ['$type', 'deposit'] }, 0, '$amount'] },
+    { $ifNull: ['$fees', 0] },
+    { $ifNull: ['$gst', 0] }
+  ]
+};
+
+// Money into the account, net of any TDS withheld from interest
+const inflowAmount = { $subtract: ['$amount', { $ifNull: ['$tds', 0] }] };
+
+// Each side is aggregated separately so the match uses the
+// { sender, createdAt } or { receiver, createdAt } index.
+const outflowStage = (userId, from, to) => ({
+  $match: {
+    sender: userId,
+    createdAt: { $gte: from, $lte: to },
+    status: 'completed'
+  }
+});
+
+const inflowStage = (userId, from, to) => ({
+  $match: {
+    receiver: userId,
+    createdAt: { $gte: from, $lte: to },
+    status: 'completed',
+    type: { $nin: ['withdrawal', 'opening_balance'] }
+  }
+});
+
+// Inflow, outflow and net per bucket over [from, to]
+const cashflowSeries = async (userId, from, to, granularity) => {
+  const [outflows, inflows] = await Promise.all([
+    Transaction.aggregate([
+      outflowStage(userId, from, to),
+      { $group: { _id: truncate(granularity), total: { $sum: outflowAmount }, count: { $sum: 1 } } }
+    ]),
+    Transaction.aggregate([
+      inflowStage(userId, from, to),
+      { $group: { _id: truncate(granularity), total: { $sum: inflowAmount }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const byBucket = (rows) => new Map(rows.map(row => [row._id.getTime(), row]));
+  const outByBucket = byBucket(outflows);
+  const inByBucket = byBucket(inflows);
+
+  return bucketStarts(from, to, granularity).map(start => {
+    const outflow = outByBucket.get(start.getTime());
+    const inflow = inByBucket.get(start.getTime());
+    const inTotal = roundMoney(inflow?.total || 0);
+    const outTotal = roundMoney(outflow?.total || 0);
+
+    return {
+      periodStart: start,
+      inflow: inTotal,
+      outflow: outTotal,
+      net: roundMoney(inTotal - outTotal),
+      count: (inflow?.count || 0) + (outflow?.count || 0)
+    };
+  });
+};
+
+// Total inflow and outflow over [from, to]
+const cashflowTotals = async (userId, from, to) => {
+  const [outflow, inflow] = await Promise.all([
+    Transaction.aggregate([
+      outflowStage(userId, from, to),
+      { $group: { _id: null, total: { $sum: outflowAmount } } }
+    ]),
+    Transaction.aggregate([
+      inflowStage(userId, from, to),
+      { $group: { _id: null, total: { $sum: inflowAmount } } }
+    ])
+  ]);
+
+  const inTotal = roundMoney(inflow[0]?.total || 0);
+  const outTotal = roundMoney(outflow[0]?.total || 0);
+  return { inflow: inTotal, outflow: outTotal, net: roundMoney(inTotal - outTotal) };
+};
+
+// Parties the user moved the most money with, in both directions
+const topCounterparties = async (userId, from, to, limit = TOP_COUNTERPARTIES) => {
+  const pipeline = (matchStage, counterpartyField, direction) => [
+    matchStage,
+    { $match: { $expr: { $ne: ['$sender', '$receiver'] } } },
+    { $group: { _id: `$${counterpartyField}`, [direction]: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ];
+
+  const [sent, received] = await Promise.all([
+    Transaction.aggregate(pipeline(outflowStage(userId, from, to), 'receiver', 'sent')),
+    Transaction.aggregate(pipeline(inflowStage(userId, from, to), 'sender', 'received'))
+  ]);
+
+  const parties = new Map();
+  [...sent, ...received].forEach(row => {
+    const key = row._id.toString();
+    const party = parties.get(key) || { id: row._id, sent: 0, received: 0, count: 0 };
+    party.sent = roundMoney(party.sent + (row.sent || 0));
+    party.received = roundMoney(party.received + (row.received || 0));
+    party.count += row.count;
+    parties.set(key, party);
+  });
+
+  const top = [...parties.values()]
+    .map(party => ({ ...party, total: roundMoney(party.sent + party.received) }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+
+  const users = await User.find({ _id: { $in: top.map(party => party.id) } }, 'username accountNumber isSystem');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return top.map(party => {
+    const user = usersById.get(party.id.toString());
+    return {
+      ...party,
+      username: user?.username || null,
+      accountNumber: user?.isSystem ? null : user?.accountNumber || null
+    };
+  });
+};
+
+const percentChange = (current, previous) => previous
+  ? Math.round((current - previous) / Math.abs(previous) * 10000) / 100
+  : null;
+
+// The calendar month containing `at` (to date) against the month before
+const monthOverMonth = async (userId, at = new Date()) => {
+  const currentStart = new Date(at.getFullYear(), at.getMonth(), 1);
+  const previousStart = new Date(at.getFullYear(), at.getMonth() - 1, 1);
+
+  const [current, previous] = await Promise.all([
+    cashflowTotals(userId, currentStart, at),
+    cashflowTotals(userId, previousStart, new Date(currentStart.getTime() - 1))
+  ]);
+
+  return {
+    currentMonth: { periodStart: currentStart, ...current },
+    previousMonth: { periodStart: previousStart, ...previous },
+    change: {
+      inflow: percentChange(current.inflow, previous.inflow),
+      outflow: percentChange(current.outflow, previous.outflow),
+      net: percentChange(current.net, previous.net)
+    }
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  bucketCount,
+  bucketStarts,
+  defaultFrom,
+  cashflowSeries,
+  cashflowTotals,
+  topCounterparties,
+  monthOverMonth
+};
@@ -0,0 +1,110 @@
+const Beneficiary = require('../models/Beneficiary');
+const Transaction = require('../models/Transaction');
+const { ServiceError } = require('./errors');
+const { roundMoney } = require('./ledger');
+const { envNumber } = require('./env');
+
+// New payees get a cooling period during which the total sent to them is capped
+const COOLING_PERIOD_HOURS = envNumber('BENEFICIARY_COOLING_HOURS', 24);
+const COOLING_PERIOD_LIMIT = envNumber('BENEFICIARY_COOLING_LIMIT', 10000);
+
+const coolingPeriodEnd = (from = new Date()) =>
+  new Date(from.getTime() + COOLING_PERIOD_HOURS * 60 * 60 * 1000);
+
+const PAYMENT_TYPES = ['transfer', 'payment'];
+
+// Reject `amount` if it takes the total sent to a cooling payee since
+// `since` over the cap
+const checkCoolingCap = async ({ senderId, payeeId, since, endsAt, amount, limit, message, session }) => {
+  const sent = await Transaction.aggregate([
+    {
+      $match: {
+        sender: senderId,
+        receiver: payeeId,
+        type: { $in: PAYMENT_TYPES },
+        status: 'completed',
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]).session(session);
+
+  const remaining = roundMoney(COOLING_PERIOD_LIMIT - (sent[0]?.total || 0));
+  if (amount > remaining) {
+    throw new ServiceError(message, 400, {
+      limit,
+      remaining: Math.max(remaining, 0),
+      coolingPeriodEndsAt: endsAt
+    });
+  }
+};
+
+// Enforce a saved beneficiary's own per-transfer limit and, while it is
+// cooling, the cap on everything sent to it so far
+const beneficiaryGuard = (beneficiary) => async ({ amount, session }) => {
+  if (beneficiary.transferLimit && amount > beneficiary.transferLimit) {
+    throw new ServiceError('Amount exceeds the transfer limit set for this beneficiary', 400, {
+      limit: 'beneficiaryTransferLimit',
+      maxAmount: beneficiary.transferLimit
+    });
+  }
+
+  if (!beneficiary.isCooling()) return;
+
+  await checkCoolingCap({
+    senderId: beneficiary.user,
+    payeeId: beneficiary.payee,
+    since: beneficiary.createdAt,
+    endsAt: beneficiary.coolingPeriodEndsAt,
+    amount,
+    limit: 'beneficiaryCoolingPeriod',
+    message: 'Transfers to a new beneficiary are capped during the cooling period',
+    session
+  });
+};
+
+// Guard for executeTransaction on every transfer and payment, however the
+// payee was given. A saved beneficiary is checked as above. Any other payee
+// is new until the sender's first payment to it is older than the cooling
+// period, and gets the same cap until then, so paying an account number,
+// UPI ID or mobile number directly cannot sidestep the control.
+const payeeGuard = async ({ sender, receiver, amount, type, session }) => {
+  if (!PAYMENT_TYPES.includes(type) || sender.isSystem || receiver.isSystem) return;
+
+  const beneficiary = await Beneficiary.findOne({ user: sender._id, payee: receiver._id }).session(session);
+  if (beneficiary) {
+    return beneficiaryGuard(beneficiary)({ amount, session });
+  }
+
+  const first = await Transaction.findOne({
+    sender: sender._id,
+    receiver: receiver._id,
+    type: { $in: PAYMENT_TYPES },
+    status: 'completed'
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  const since = first ? first.createdAt : new Date();
+  const endsAt = coolingPeriodEnd(since);
+  if (new Date() >= endsAt) return;
+
+  await checkCoolingCap({
+    senderId: sender._id,
+    payeeId: receiver._id,
+    since,
+    endsAt,
+    amount,
+    limit: 'newPayeeCoolingPeriod',
+    message: 'Payments to a new payee are capped during the cooling period',
+    session
+  });
+};
+
+module.exports = {
+  COOLING_PERIOD_HOURS,
+  COOLING_PERIOD_LIMIT,
+  coolingPeriodEnd,
+  beneficiaryGuard,
+  payeeGuard
+};
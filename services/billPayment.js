@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Biller = require('../models/Biller');
+const BillPayment = require('../models/BillPayment');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries, roundMoney } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { runInTransaction, executeTransaction } = require('./transaction');
+const { categoriseTransaction } = require('./categories');
+const { releaseSpending } = require('./budget');
+const { BillerRejection, getAdapter } = require('./billerAdapters');
+
+const BILLER_CATEGORIES = ['electricity', 'mobile', 'dth', 'broadband'];
+
+// How long a new payment is left to its own confirmation before the
+// reconciliation job may pick it up
+const CONFIRM_LOCK_MS = 5 * 60 * 1000;
+
+// Payment descriptions use these so keyword rules file them as utilities
+const CATEGORY_LABELS = {
+  electricity: 'Electricity bill',
+  mobile: 'Mobile recharge',
+  dth: 'DTH recharge',
+  broadband: 'Broadband bill'
+};
+
+// Billers available out of the box. Prepaid mobile and DTH take any amount
+// within the limits; postpaid electricity and broadband need a fetched bill.
+const DEFAULT_BILLERS = [
+  { code: 'BESCOM', name: 'Bangalore Electricity Supply', category: 'electricity', accountLabel: 'Account ID', accountPattern: '^[0-9]{10}$' },
+  { code: 'TATAPWR', name: 'Tata Power Mumbai', category: 'electricity', accountLabel: 'Consumer Number', accountPattern: '^[0-9]{12}$' },
+  { code: 'MSEDCL', name: 'Maharashtra State Electricity', category: 'electricity', accountLabel: 'Consumer Number', accountPattern: '^[0-9]{12}$' },
+  { code: 'JIOPRE', name: 'Jio Prepaid', category: 'mobile', accountLabel: 'Mobile Number', accountPattern: '^[6-9][0-9]{9}$', fetchRequired: false, minAmount: 10, maxAmount: 5000 },
+  { code: 'AIRTELPRE', name: 'Airtel Prepaid', category: 'mobile', accountLabel: 'Mobile Number', accountPattern: '^[6-9][0-9]{9}$', fetchRequired: false, minAmount: 10, maxAmount: 5000 },
+  { code: 'TATAPLAY', name: 'Tata Play', category: 'dth', accountLabel: 'Subscriber ID', accountPattern: '^[0-9]{10}$', fetchRequired: false, minAmount: 50, maxAmount: 10000 },
+  { code: 'DISHTV', name: 'Dish TV', category: 'dth', accountLabel: 'Viewing Card Number', accountPattern: '^[0-9]{11}$', fetchRequired: false, minAmount: 50, maxAmount: 10000 },
+  { code: 'ACTFIBER', name: 'ACT Fibernet', category: 'broadband', accountLabel: 'Account Number', accountPattern: '^[0-9]{6,10}$' },
+  { code: 'JIOFIBER', name: 'JioFiber', category: 'broadband', accountLabel: 'Service ID', accountPattern: '^[0-9]{10}$' }
+];
+
+// Add any default biller that is missing; existing ones are left as edited
+const ensureBillers = async () => {
+  for (const biller of DEFAULT_BILLERS) {
+    await Biller.updateOne(
+      { code: biller.code },
+      { $setOnInsert: biller },
+      { upsert: true }
+    );
+  }
+};
+
+// An active biller and an account number in its format
+const findBiller = async (billerId, accountNumber) => {
+  const biller = await Biller.findOne({ _id: billerId, isActive: true });
+  if (!biller) {
+    throw new ServiceError('Biller not found', 404);
+  }
+
+  if (!biller.isValidAccount(accountNumber)) {
+    throw new ServiceError(`Invalid ${biller.accountLabel} for ${biller.name}`);
+  }
+
+  return biller;
+};
+
+// The current bill for an account, marked paid if this bank already paid it
+const fetchBill = async (billerId, accountNumber) => {
+  const biller = await findBiller(billerId, accountNumber);
+  if (!biller.fetchRequired) {
+    throw new ServiceError(`${biller.name} is prepaid and has no bill to fetch`);
+  }
+
+  const bill = await getAdapter(biller.adapter).fetchBill(biller, accountNumber);
+  const paid = await BillPayment.exists({
+    biller: biller._id,
+    accountNumber,
+    billNumber: bill.billNumber,
+    status: 'paid'
+  });
+
+  return { biller, bill: { ...bill, isPaid: Boolean(paid) } };
+};
+
+// Give back a payment the biller rejected, fee and GST included, as a
+// reversal linked to the original transaction. A payment is only ever
+// reversed once, so a retry gets the existing reversal back.
+const reversePayment = async (payment) => {
+  return runInTransaction(async (session) => {
+    const original = await Transaction.findById(payment.transaction).session(session);
+    if (original.reversals.length) {
+      return Transaction.findById(original.reversals[0]).session(session);
+    }
+
+    const user = await User.findById(original.sender).session(session);
+    const billers = await getSystemAccount('billers', session);
+
+    const reversal = new Transaction({
+      sender: billers._id,
+      receiver: user._id,
+      amount: original.amount,
+      type: 'reversal',
+      description: `Reversal of ${original.reference}`,
+      originalTransaction: original._id,
+      status: 'completed',
+      completedAt: new Date()
+    });
+    await categoriseTransaction(reversal, session);
+
+    const legs = [
+      { account: billers, direction: 'debit', amount: original.amount },
+      { account: user, direction: 'credit', amount: original.amount }
+    ];
+    if (original.fees > 0) {
+      legs.push(
+        { account: await getSystemAccount('fees', session), direction: 'debit', amount: original.fees },
+        { account: user, direction: 'credit', amount: original.fees, description: `Fee refund for ${original.reference}` },
+        { account: await getSystemAccount('gst', session), direction: 'debit', amount: original.gst },
+        { account: user, direction: 'credit', amount: original.gst, description: `GST refund for ${original.reference}` }
+      );
+    }
+
+    await postEntries(reversal, legs, session);
+    await reversal.save({ session });
+
+    original.refundedAmount = roundMoney(original.refundedAmount + original.amount);
+    original.reversals.push(reversal._id);
+    await original.save({ session });
+    await releaseSpending(original, original.amount, session);
+
+    return reversal;
+  });
+};
+
+// Confirm a debited payment with the biller and issue a receipt. If the
+// biller rejects it the debit is reversed and the payment marked failed.
+// Any other error may hide a payment the biller took, so the payment stays
+// pending for the reconciliation job to confirm again. Adapters must treat
+// a repeated `reference` as the same payment, so that is always safe.
+const confirmPayment = async (payment, biller, reference) => {
+  try {
+    const confirmation = await getAdapter(biller.adapter).payBill(biller, {
+      accountNumber: payment.accountNumber,
+      amount: payment.amount,
+      billNumber: payment.billNumber,
+      reference
+    });
+
+    payment.status = 'paid';
+    payment.billerReference = confirmation.billerReference;
+    payment.receiptNumber = `RCPT${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    payment.paidAt = new Date();
+  } catch (error) {
+    if (!(error instanceof BillerRejection)) {
+      console.error('Bill payment confirmation error:', error);
+      payment.lockedUntil = undefined;
+      await payment.save();
+      return payment;
+    }
+
+    const reversal = await reversePayment(payment);
+    payment.status = 'failed';
+    payment.failureReason = error.message;
+    payment.reversalTransaction = reversal._id;
+  }
+
+  payment.lockedUntil = undefined;
+  await payment.save();
+  return payment;
+};
+
+// Pay a bill or recharge: debit the user to the billers account and record
+// the payment in one transaction, then confirm it with the biller. The
+// unique bill index stops two payments of the same bill getting through.
+const payBill = async (userId, { billerId, accountNumber, amount }) => {
+  const biller = await findBiller(billerId, accountNumber);
+  // Fail before any debit if the biller has no working integration
+  getAdapter(biller.adapter);
+
+  let bill = null;
+  if (biller.fetchRequired) {
+    ({ bill } = await fetchBill(biller._id, accountNumber));
+    if (bill.isPaid) {
+      throw new ServiceError('This bill has already been paid', 409);
+    }
+    amount = amount ?? bill.amount;
+    if (roundMoney(amount) !== roundMoney(bill.amount)) {
+      throw new ServiceError('Amount must match the bill amount', 400, { billAmount: bill.amount });
+    }
+  } else if (amount == null || amount < biller.minAmount || amount > biller.maxAmount) {
+    throw new ServiceError(`Amount must be between ${biller.minAmount} and ${biller.maxAmount}`);
+  }
+
+  const billers = await getSystemAccount('billers');
+  let payment;
+  let transaction;
+  try {
+    ({ payment, transaction } = await runInTransaction(async (session) => {
+      const transaction = await executeTransaction({
+        senderId: userId,
+        receiverId: billers._id,
+        amount,
+        type: 'payment',
+        description: `${CATEGORY_LABELS[biller.category]} - ${biller.name} ${accountNumber}`,
+        session
+      });
+
+      const [payment] = await BillPayment.create([{
+        user: userId,
+        biller: biller._id,
+        accountNumber,
+        amount: transaction.amount,
+        billNumber: bill?.billNumber,
+        customerName: bill?.customerName,
+        billDate: bill?.billDate,
+        dueDate: bill?.dueDate,
+        transaction: transaction._id,
+        lockedUntil: new Date(Date.now() + CONFIRM_LOCK_MS)
+      }], { session });
+
+      return { payment, transaction };
+    }));
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ServiceError('This bill has already been paid', 409);
+    }
+    throw error;
+  }
+
+  return confirmPayment(payment, biller, transaction.reference);
+};
+
+// Settle a payment left pending, e.g. by a crash between the debit and the
+// biller's confirmation or a biller that did not answer: confirm it again,
+// or reverse it if the biller rejects it
+const reconcilePayment = async (paymentId) => {
+  const payment = await BillPayment.findById(paymentId);
+  if (!payment || payment.status !== 'pending') return null;
+
+  const biller = await Biller.findById(payment.biller);
+  const transaction = await Transaction.findById(payment.transaction, 'reference');
+  return confirmPayment(payment, biller, transaction.reference);
+};
+
+// Receipt for a paid bill, as shown to the user and printed on the PDF
+const buildReceipt = (payment) => ({
+  receiptNumber: payment.receiptNumber,
+  billerReference: payment.billerReference,
+  transactionReference: payment.transaction.reference,
+  biller: payment.biller.name,
+  category: payment.biller.category,
+  accountLabel: payment.biller.accountLabel,
+  accountNumber: payment.accountNumber,
+  customerName: payment.customerName || null,
+  billNumber: payment.billNumber || null,
+  dueDate: payment.dueDate || null,
+  amount: payment.amount,
+  fees: payment.transaction.fees,
+  gst: payment.transaction.gst,
+  total: roundMoney(payment.amount + payment.transaction.fees + payment.transaction.gst),
+  paidAt: payment.paidAt
+});
+
+const receiptToPDF = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const rows = [
+    ['Receipt Number', receipt.receiptNumber],
+    ['Paid On', receipt.paidAt.toISOString().replace('T', ' ').slice(0, 19) + ' UTC'],
+    ['Biller', receipt.biller],
+    [receipt.accountLabel, receipt.accountNumber],
+    ['Customer Name', receipt.customerName],
+    ['Bill Number', receipt.billNumber],
+    ['Biller Reference', receipt.billerReference],
+    ['Transaction Reference', receipt.transactionReference],
+    ['Amount', `INR ${receipt.amount.toFixed(2)}`],
+    ['Convenience Fee', `INR ${receipt.fees.toFixed(2)}`],
+    ['GST', `INR ${receipt.gst.toFixed(2)}`],
+    ['Total Debited', `INR ${receipt.total.toFixed(2)}`]
+  ].filter(([, value]) => value);
+
+  doc.font('Helvetica-Bold').fontSize(14).text('Infinity Bank - Bill Payment Receipt');
+  doc.moveDown();
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value);
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  BILLER_CATEGORIES,
+  CATEGORY_LABELS,
+  DEFAULT_BILLERS,
+  ensureBillers,
+  fetchBill,
+  payBill,
+  reconcilePayment,
+  buildReceipt,
+  receiptToPDF
+};
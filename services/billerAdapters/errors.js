@@ -0,0 +1,11 @@
+const { ServiceError } = require('../errors');
+
+// The biller definitely refused a payment, so it can safely be reversed
+class BillerRejection extends ServiceError {
+  constructor(message) {
+    super(message, 502);
+    this.name = 'BillerRejection';
+  }
+}
+
+module.exports = { BillerRejection };
@@ -0,0 +1,27 @@
+const { BillerRejection } = require('./errors');
+const mock = require('./mock');
+
+// Biller integrations by the name stored on Biller.adapter. Each adapter
+// exposes fetchBill(biller, accountNumber) and
+// payBill(biller, { accountNumber, amount, billNumber, reference }).
+// payBill throws BillerRejection when the biller refuses the payment; any
+// other error (a timeout, a network failure) leaves the outcome unknown.
+// payBill may be called again with the same `reference` when a pending
+// payment is reconciled, and must not charge twice for it.
+const ADAPTERS = {
+  mock
+};
+
+const getAdapter = (name) => {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown biller adapter: ${name}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  ADAPTERS,
+  BillerRejection,
+  getAdapter
+};
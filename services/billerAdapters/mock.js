@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const { BillerRejection } = require('./errors');
+
+// Local stand-in for a biller's API. Bills are derived from the account
+// number and month, so fetching twice gives the same bill. Account numbers
+// ending in 0000 simulate a biller that rejects the payment.
+
+const CUSTOMER_NAMES = ['A. Sharma', 'R. Iyer', 'S. Khan', 'P. Nair', 'M. Gupta', 'K. Reddy'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const seed = (biller, accountNumber, month) => crypto
+  .createHash('sha256')
+  .update(`${biller.code}:${accountNumber}:${month}`)
+  .digest()
+  .readUInt32BE(0);
+
+// This month's bill for a postpaid account
+const fetchBill = async (biller, accountNumber, now = new Date()) => {
+  const month = `${now.getFullYear()}${pad(now.getMonth() + 1)}`;
+  const value = seed(biller, accountNumber, month);
+
+  return {
+    billNumber: `${biller.code}${month}${accountNumber.slice(-4)}`,
+    customerName: CUSTOMER_NAMES[value % CUSTOMER_NAMES.length],
+    amount: 200 + (value % 480000) / 100,
+    billDate: new Date(now.getFullYear(), now.getMonth(), 1),
+    dueDate: new Date(now.getFullYear(), now.getMonth(), 20)
+  };
+};
+
+// Confirm a payment with the biller and return its reference for it
+const payBill = async (biller, { accountNumber, amount, reference }) => {
+  if (accountNumber.endsWith('0000')) {
+    throw new BillerRejection(`${biller.name} did not accept the payment`);
+  }
+
+  return {
+    billerReference: `${biller.code}-${crypto.createHash('sha1').update(reference).digest('hex').slice(0, 10).toUpperCase()}`
+  };
+};
+
+module.exports = {
+  fetchBill,
+  payBill
+};
@@ -0,0 +1,153 @@
+const Budget = require('../models/Budget');
+const Transaction = require('../models/Transaction');
+const { roundMoney } = require('./ledger');
+const { CATEGORIES } = require('./categories');
+
+// Percentages of the limit at which an alert is raised, once per month
+const ALERT_THRESHOLDS = [80, 100];
+
+// Transaction types that count as spending for the sender
+const SPENDING_TYPES = ['transfer', 'withdrawal', 'payment', 'loan_repayment'];
+
+// Categories that money can be budgeted against
+const BUDGET_CATEGORIES = CATEGORIES.filter(category =>
+  !['salary', 'income', 'refund', 'interest', 'self_transfer'].includes(category));
+
+const monthStart = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+// Completed spend in a category since `from`, less anything refunded
+const spentSince = async (userId, category, from, session = null) => {
+  const result = await Transaction.aggregate([
+    {
+      $match: {
+        sender: userId,
+        category,
+        type: { $in: SPENDING_TYPES },
+        status: 'completed',
+        createdAt: { $gte: from }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } }
+      }
+    }
+  ]).session(session);
+  return roundMoney(result[0]?.total || 0);
+};
+
+// Record an alert for every threshold crossed this month and not yet alerted
+const checkAlerts = (budget, now = new Date()) => {
+  const raised = [];
+
+  ALERT_THRESHOLDS.forEach(threshold => {
+    if (budget.spent < budget.limit * threshold / 100) return;
+
+    const alreadyRaised = budget.alerts.some(alert =>
+      alert.threshold === threshold && alert.periodStart.getTime() === budget.periodStart.getTime());
+    if (alreadyRaised) return;
+
+    const alert = {
+      threshold,
+      periodStart: budget.periodStart,
+      spent: budget.spent,
+      limit: budget.limit,
+      triggeredAt: now
+    };
+    budget.alerts.push(alert);
+    raised.push({ budget: budget._id, category: budget.category, ...alert });
+  });
+
+  return raised;
+};
+
+// Recompute this month's spend from transactions, e.g. after the limit
+// changes, a transaction is recategorised or a new month starts
+const refreshBudget = async (budget, now = new Date(), session = null) => {
+  budget.periodStart = monthStart(now);
+  budget.spent = await spentSince(budget.user, budget.category, budget.periodStart, session);
+  const raised = checkAlerts(budget, now);
+  await budget.save({ session });
+  return raised;
+};
+
+// Refresh the user's budgets for the given categories
+const refreshBudgets = async (userId, categories, now = new Date()) => {
+  const budgets = await Budget.find({ user: userId, category: { $in: categories } });
+  for (const budget of budgets) {
+    await refreshBudget(budget, now);
+  }
+};
+
+// Add a completed transaction to the sender's budget for its category.
+// Runs in the transaction's session so spend and balance move together.
+const trackSpending = async (transaction, session = null) => {
+  if (transaction.status !== 'completed' || !SPENDING_TYPES.includes(transaction.type)) {
+    return [];
+  }
+
+  const budget = await Budget.findOne({
+    user: transaction.sender,
+    category: transaction.category
+  }).session(session);
+  if (!budget) return [];
+
+  const now = transaction.completedAt || new Date();
+  if (budget.periodStart < monthStart(now)) {
+    return refreshBudget(budget, now, session);
+  }
+
+  budget.spent = roundMoney(budget.spent + transaction.amount);
+  const raised = checkAlerts(budget, now);
+  await budget.save({ session });
+  return raised;
+};
+
+// Take `amount` refunded or reversed on `original` back off the sender's
+// budget, when the original spend counted towards the budget's month
+const releaseSpending = async (original, amount, session = null) => {
+  if (!SPENDING_TYPES.includes(original.type)) return;
+
+  const budget = await Budget.findOne({
+    user: original.sender,
+    category: original.category
+  }).session(session);
+  if (!budget || original.createdAt < budget.periodStart) return;
+
+  budget.spent = roundMoney(Math.max(budget.spent - amount, 0));
+  await budget.save({ session });
+};
+
+// Progress shown to the client for the current month
+const budgetProgress = (budget) => {
+  const percentUsed = Math.round(budget.spent / budget.limit * 10000) / 100;
+  let status = 'on_track';
+  if (percentUsed >= 100) status = 'exceeded';
+  else if (percentUsed >= ALERT_THRESHOLDS[0]) status = 'warning';
+
+  return {
+    id: budget._id,
+    category: budget.category,
+    limit: budget.limit,
+    spent: budget.spent,
+    remaining: roundMoney(Math.max(budget.limit - budget.spent, 0)),
+    percentUsed,
+    status,
+    periodStart: budget.periodStart,
+    alerts: budget.alerts.filter(alert =>
+      alert.periodStart.getTime() === budget.periodStart.getTime())
+  };
+};
+
+module.exports = {
+  ALERT_THRESHOLDS,
+  BUDGET_CATEGORIES,
+  SPENDING_TYPES,
+  monthStart,
+  refreshBudget,
+  refreshBudgets,
+  trackSpending,
+  releaseSpending,
+  budgetProgress
+};
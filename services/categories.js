@@ -0,0 +1,121 @@
+const CategoryRule = require('../models/CategoryRule');
+
+const CATEGORIES = [
+  'groceries',
+  'rent',
+  'salary',
+  'utilities',
+  'self_transfer',
+  'dining',
+  'shopping',
+  'travel',
+  'fuel',
+  'healthcare',
+  'education',
+  'entertainment',
+  'loan',
+  'investment',
+  'refund',
+  'interest',
+  'income',
+  'transfers',
+  'other'
+];
+
+// Built-in keyword rules, checked in order against the description
+const KEYWORD_RULES = [
+  { category: 'salary', keywords: ['salary', 'payroll', 'wages', 'stipend'], direction: 'in' },
+  { category: 'rent', keywords: ['rent', 'landlord', 'lease', 'pg '] },
+  { category: 'groceries', keywords: ['grocery', 'groceries', 'supermarket', 'kirana', 'bigbasket', 'dmart', 'blinkit', 'zepto'] },
+  { category: 'utilities', keywords: ['electricity', 'water bill', 'gas bill', 'broadband', 'wifi', 'recharge', 'dth', 'postpaid'] },
+  { category: 'dining', keywords: ['restaurant', 'cafe', 'swiggy', 'zomato', 'dinner', 'lunch'] },
+  { category: 'shopping', keywords: ['amazon', 'flipkart', 'myntra', 'shopping'] },
+  { category: 'travel', keywords: ['uber', 'ola', 'irctc', 'flight', 'train', 'cab', 'hotel'] },
+  { category: 'fuel', keywords: ['petrol', 'diesel', 'fuel'] },
+  { category: 'healthcare', keywords: ['hospital', 'pharmacy', 'doctor', 'medical', 'clinic'] },
+  { category: 'education', keywords: ['school', 'college', 'tuition', 'course', 'fees'] },
+  { category: 'entertainment', keywords: ['netflix', 'spotify', 'movie', 'hotstar', 'prime'] },
+  { category: 'loan', keywords: ['emi', 'loan'] },
+  { category: 'investment', keywords: ['sip', 'mutual fund', 'fixed deposit', 'recurring deposit', 'stocks'] }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match, so 'ola' doesn't match "chocolate" or 'rent' "parents".
+// Lookarounds rather than \b so keywords ending in punctuation still work.
+const matchesKeyword = (description, keyword) =>
+  new RegExp(`(?<!\\w)${escapeRegex(keyword.trim())}(?!\\w)`, 'i').test(description);
+
+// Category for one side of a transaction. `direction` is 'out' for the
+// sender and 'in' for the receiver. User rules win over built-in rules;
+// counterparty rules win over keyword rules.
+const categoriseFor = async ({ userId, counterpartyId, direction, type, description, session = null }) => {
+  if (type === 'reversal') return 'refund';
+  if (type === 'interest') return 'interest';
+  if (type === 'deposit_booking' || type === 'deposit_payout') return 'investment';
+  if (type === 'loan_disbursement' || type === 'loan_repayment') return 'loan';
+  if (counterpartyId && userId.toString() === counterpartyId.toString()) return 'self_transfer';
+
+  const text = (description || '').toLowerCase();
+  const rules = await CategoryRule.find({
+    user: userId,
+    $or: [{ direction }, { direction: null }]
+  }).sort({ createdAt: -1 }).session(session);
+
+  const counterpartyRule = counterpartyId && rules.find(rule =>
+    rule.counterparty && rule.counterparty.toString() === counterpartyId.toString());
+  if (counterpartyRule) return counterpartyRule.category;
+
+  const keywordRule = text && rules.find(rule => rule.keyword && matchesKeyword(text, rule.keyword));
+  if (keywordRule) return keywordRule.category;
+
+  const builtIn = text && KEYWORD_RULES.find(rule =>
+    (!rule.direction || rule.direction === direction) &&
+    rule.keywords.some(keyword => matchesKeyword(text, keyword)));
+  if (builtIn) return builtIn.category;
+
+  return direction === 'in' ? 'income' : 'transfers';
+};
+
+// Set both sides' categories on a transaction before it is saved
+const categoriseTransaction = async (transaction, session = null) => {
+  const common = {
+    type: transaction.type,
+    description: transaction.description,
+    session
+  };
+
+  // Deposits and withdrawals have the account on both sides
+  if (transaction.sender.toString() === transaction.receiver.toString() && transaction.type !== 'transfer') {
+    const category = await categoriseFor({
+      ...common,
+      userId: transaction.sender,
+      direction: transaction.type === 'deposit' ? 'in' : 'out'
+    });
+    transaction.category = category;
+    transaction.receiverCategory = category;
+    return transaction;
+  }
+
+  transaction.category = await categoriseFor({
+    ...common,
+    userId: transaction.sender,
+    counterpartyId: transaction.receiver,
+    direction: 'out'
+  });
+  transaction.receiverCategory = await categoriseFor({
+    ...common,
+    userId: transaction.receiver,
+    counterpartyId: transaction.sender,
+    direction: 'in'
+  });
+  return transaction;
+};
+
+module.exports = {
+  CATEGORIES,
+  KEYWORD_RULES,
+  matchesKeyword,
+  categoriseFor,
+  categoriseTransaction
+};
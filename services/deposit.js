@@ -0,0 +1,541 @@
+const Deposit = require('../models/Deposit');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries, roundMoney } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { runInTransaction } = require('./transaction');
+const { categoriseTransaction } = require('./categories');
+const { envNumber } = require('./env');
+
+// Fixed deposit rates by tenure, in percent per year. A deposit gets the
+// rate of the first slab its tenure fits in.
+const FD_RATES = [
+  { upToMonths: 3, rate: 4.5 },
+  { upToMonths: 6, rate: 5.5 },
+  { upToMonths: 12, rate: 6.5 },
+  { upToMonths: 24, rate: 7 },
+  { upToMonths: 60, rate: 7.25 },
+  { upToMonths: 120, rate: 6.75 }
+];
+
+// Percentage points taken off the rate when a deposit is broken early
+const PREMATURE_PENALTY_RATE = envNumber('FD_PREMATURE_PENALTY_RATE', 1);
+
+// Deposits closed within this many days earn no interest
+const MIN_DAYS_FOR_INTEREST = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurring deposits: a failed auto-debit is retried a few times, a day
+// apart, before the instalment counts as missed. Paying a missed instalment
+// late costs RD_PENALTY_RATE per ₹100 for each month it is overdue.
+const RD_MAX_ATTEMPTS = envNumber('RD_MAX_ATTEMPTS', 3);
+const RD_RETRY_DELAY_MS = envNumber('RD_RETRY_DELAY_MS', DAY_MS);
+const RD_PENALTY_RATE = envNumber('RD_PENALTY_RATE', 1.5);
+
+const rateForTenure = (months) => {
+  const slab = FD_RATES.find(rate => months <= rate.upToMonths);
+  return slab ? slab.rate : FD_RATES[FD_RATES.length - 1].rate;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+
+const monthsBetween = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+
+// Value of `principal` after `days` at an annual `rate`, either simple or
+// compounded every quarter (part quarters compound fractionally)
+const valueAfter = (principal, rate, days, compounding) => {
+  const years = days / 365;
+  const value = compounding === 'simple'
+    ? principal * (1 + rate / 100 * years)
+    : principal * Math.pow(1 + rate / 400, 4 * years);
+  return roundMoney(value);
+};
+
+// Maturity figures for a prospective deposit, used by the calculator and
+// when opening one
+const calculateMaturity = ({ principal, tenureMonths, compounding = 'quarterly', startDate = new Date() }) => {
+  const interestRate = rateForTenure(tenureMonths);
+  const maturityDate = addMonths(startDate, tenureMonths);
+  const maturityAmount = valueAfter(principal, interestRate, daysBetween(startDate, maturityDate), compounding);
+
+  return {
+    principal,
+    tenureMonths,
+    compounding,
+    interestRate,
+    maturityDate,
+    maturityAmount,
+    interest: roundMoney(maturityAmount - principal)
+  };
+};
+
+// Due dates of a recurring deposit: the first instalment when it is opened,
+// the rest on `dayOfMonth` of each following month
+const instalmentDates = (startDate, tenureMonths, dayOfMonth) => {
+  const dates = [startDate];
+  for (let i = 1; i < tenureMonths; i++) {
+    dates.push(new Date(startDate.getFullYear(), startDate.getMonth() + i, dayOfMonth));
+  }
+  return dates;
+};
+
+// RD maturity value: each instalment compounds quarterly for the whole
+// months it stays invested until maturity
+const recurringValue = (instalments, rate, maturityDate) => roundMoney(
+  instalments.reduce((sum, instalment) => sum +
+    instalment.amount * Math.pow(1 + rate / 400, 4 * monthsBetween(instalment.dueDate, maturityDate) / 12), 0)
+);
+
+// Maturity figures for a prospective recurring deposit, assuming every
+// instalment is paid on time
+const calculateRecurringMaturity = ({ instalmentAmount, tenureMonths, dayOfMonth, startDate = new Date() }) => {
+  const interestRate = rateForTenure(tenureMonths);
+  const maturityDate = addMonths(startDate, tenureMonths);
+  const instalments = instalmentDates(startDate, tenureMonths, dayOfMonth)
+    .map(dueDate => ({ dueDate, amount: instalmentAmount }));
+  const maturityAmount = recurringValue(instalments, interestRate, maturityDate);
+  const totalDeposit = roundMoney(instalmentAmount * tenureMonths);
+
+  return {
+    instalmentAmount,
+    tenureMonths,
+    dayOfMonth,
+    interestRate,
+    maturityDate,
+    totalDeposit,
+    maturityAmount,
+    interest: roundMoney(maturityAmount - totalDeposit)
+  };
+};
+
+// Late payment penalty for a missed instalment paid on `at`
+const instalmentPenalty = (instalment, at = new Date()) => {
+  const monthsLate = Math.max(Math.ceil(daysBetween(instalment.dueDate, at) / 30), 1);
+  return roundMoney(instalment.amount * RD_PENALTY_RATE / 100 * monthsLate);
+};
+
+// What the customer would get by closing an active deposit on `at`. The
+// rate is the one for the tenure actually completed, less the penalty.
+const prematureQuote = (deposit, at = new Date()) => {
+  const days = daysBetween(deposit.startDate, at);
+  const completedMonths = Math.max(Math.floor(days / 30), 1);
+  const appliedRate = days < MIN_DAYS_FOR_INTEREST
+    ? 0
+    : Math.max(Math.min(rateForTenure(completedMonths), deposit.interestRate) - PREMATURE_PENALTY_RATE, 0);
+  // Recurring instalments each earn from the day they were paid
+  const payoutAmount = deposit.depositType === 'recurring'
+    ? roundMoney(deposit.instalments
+      .filter(instalment => instalment.status === 'paid')
+      .reduce((sum, instalment) => sum +
+        valueAfter(instalment.amount, appliedRate, daysBetween(instalment.paidAt, at), 'quarterly'), 0))
+    : valueAfter(deposit.principal, appliedRate, days, deposit.compounding);
+
+  return {
+    daysHeld: days,
+    appliedRate,
+    penaltyRate: PREMATURE_PENALTY_RATE,
+    interest: roundMoney(payoutAmount - deposit.principal),
+    payoutAmount
+  };
+};
+
+const depositLabel = (deposit) => deposit.depositType === 'recurring' ? 'recurring deposit' : 'fixed deposit';
+
+// Move money from the customer's account into a new deposit
+const bookDeposit = async (user, deposit, session, description) => {
+  const pool = await getSystemAccount('deposits', session);
+
+  const transaction = new Transaction({
+    sender: user._id,
+    receiver: pool._id,
+    amount: deposit.principal,
+    type: 'deposit_booking',
+    description,
+    deposit: deposit._id,
+    status: 'completed',
+    completedAt: new Date()
+  });
+  await categoriseTransaction(transaction, session);
+
+  await postEntries(transaction, [
+    { account: user, direction: 'debit', amount: deposit.principal },
+    { account: pool, direction: 'credit', amount: deposit.principal }
+  ], session);
+  await transaction.save({ session });
+
+  deposit.bookingTransaction = transaction._id;
+  return transaction;
+};
+
+// Pay a deposit's principal and interest back to the customer's account.
+// Principal comes out of the deposits pool, interest from the interest account.
+const payOutDeposit = async (user, deposit, { payoutAmount, closureType, appliedRate }, session) => {
+  const interest = roundMoney(payoutAmount - deposit.principal);
+  const pool = await getSystemAccount('deposits', session);
+
+  const transaction = new Transaction({
+    sender: pool._id,
+    receiver: user._id,
+    amount: payoutAmount,
+    type: 'deposit_payout',
+    description: `${closureType === 'premature' ? 'Premature closure' : 'Maturity'} of ${depositLabel(deposit)} ${deposit._id}`,
+    deposit: deposit._id,
+    status: 'completed',
+    completedAt: new Date()
+  });
+  await categoriseTransaction(transaction, session);
+
+  const legs = [
+    { account: pool, direction: 'debit', amount: deposit.principal },
+    { account: user, direction: 'credit', amount: payoutAmount }
+  ];
+  if (interest > 0) {
+    legs.push({ account: await getSystemAccount('interest', session), direction: 'debit', amount: interest });
+  }
+
+  await postEntries(transaction, legs, session);
+  await transaction.save({ session });
+
+  deposit.status = closureType === 'premature' ? 'closed' : 'matured';
+  deposit.closureType = closureType;
+  deposit.closedAt = transaction.completedAt;
+  deposit.interestPaid = interest;
+  deposit.payoutAmount = payoutAmount;
+  deposit.appliedRate = appliedRate;
+  deposit.payoutTransaction = transaction._id;
+  return transaction;
+};
+
+// Open a fixed deposit funded from the customer's account balance
+const openDeposit = async (userId, { principal, tenureMonths, compounding, maturityInstruction }) => {
+  return runInTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user || !user.isActive) {
+      throw new ServiceError('Account not found', 404);
+    }
+    if (user.accountBalance < principal) {
+      throw new ServiceError('Insufficient balance to open this deposit');
+    }
+
+    const deposit = new Deposit({
+      user: user._id,
+      maturityInstruction,
+      ...calculateMaturity({ principal, tenureMonths, compounding })
+    });
+
+    await bookDeposit(user, deposit, session, `Fixed deposit for ${tenureMonths} months`);
+    await deposit.save({ session });
+    return deposit;
+  });
+};
+
+// Break an active deposit before maturity at the penalty rate
+const closeDepositEarly = async (depositId, userId) => {
+  return runInTransaction(async (session) => {
+    const deposit = await Deposit.findById(depositId).session(session);
+    if (!deposit) {
+      throw new ServiceError('Deposit not found', 404);
+    }
+    if (deposit.user.toString() !== userId.toString()) {
+      throw new ServiceError('Access denied to this deposit', 403);
+    }
+    if (deposit.status !== 'active') {
+      throw new ServiceError('Only active deposits can be withdrawn');
+    }
+
+    const now = new Date();
+    if (now >= deposit.maturityDate) {
+      throw new ServiceError('Deposit has matured and will be paid out shortly');
+    }
+
+    const user = await User.findById(userId).session(session);
+    const quote = prematureQuote(deposit, now);
+    await payOutDeposit(user, deposit, { ...quote, closureType: 'premature' }, session);
+    deposit.nextInstalmentAt = undefined;
+    await deposit.save({ session });
+    return deposit;
+  });
+};
+
+// Pay out a matured deposit, or roll principal and interest into a new
+// deposit for the same tenure at today's rate
+const matureDeposit = async (depositId) => {
+  return runInTransaction(async (session) => {
+    const deposit = await Deposit.findById(depositId).session(session);
+    if (!deposit || deposit.status !== 'active') return null;
+
+    // Recurring deposits mature on what was actually paid in
+    if (deposit.depositType === 'recurring') {
+      deposit.instalments.forEach(instalment => {
+        if (instalment.status === 'pending') instalment.status = 'missed';
+      });
+      deposit.maturityAmount = recurringValue(
+        deposit.instalments.filter(instalment => instalment.status === 'paid'),
+        deposit.interestRate,
+        deposit.maturityDate
+      );
+      deposit.nextInstalmentAt = undefined;
+    }
+
+    const user = await User.findById(deposit.user).session(session);
+    if (deposit.principal > 0) {
+      await payOutDeposit(user, deposit, {
+        payoutAmount: deposit.maturityAmount,
+        appliedRate: deposit.interestRate,
+        closureType: 'maturity'
+      }, session);
+    } else {
+      deposit.status = 'matured';
+      deposit.closureType = 'maturity';
+      deposit.closedAt = new Date();
+    }
+
+    if (deposit.maturityInstruction === 'renew' && deposit.depositType === 'fixed') {
+      const renewal = new Deposit({
+        user: user._id,
+        maturityInstruction: 'renew',
+        renewedFrom: deposit._id,
+        ...calculateMaturity({
+          principal: deposit.maturityAmount,
+          tenureMonths: deposit.tenureMonths,
+          compounding: deposit.compounding,
+          startDate: deposit.maturityDate
+        })
+      });
+
+      await bookDeposit(user, renewal, session, `Renewal of fixed deposit ${deposit._id}`);
+      await renewal.save({ session });
+
+      deposit.status = 'renewed';
+      deposit.renewedTo = renewal._id;
+    }
+
+    deposit.lockedUntil = undefined;
+    await deposit.save({ session });
+    return deposit;
+  });
+};
+
+// Debit one instalment (plus any late penalty) into a recurring deposit
+const postInstalment = async (user, deposit, instalment, penalty, session) => {
+  const total = roundMoney(instalment.amount + penalty);
+  if (user.accountBalance < total) {
+    throw new ServiceError('Insufficient balance for recurring deposit instalment', 400, { required: total });
+  }
+
+  const pool = await getSystemAccount('deposits', session);
+  const transaction = new Transaction({
+    sender: user._id,
+    receiver: pool._id,
+    amount: instalment.amount,
+    fees: penalty,
+    type: 'deposit_booking',
+    description: `Instalment ${instalment.number} of ${deposit.tenureMonths} for recurring deposit ${deposit._id}`,
+    deposit: deposit._id,
+    status: 'completed',
+    completedAt: new Date()
+  });
+  await categoriseTransaction(transaction, session);
+
+  const legs = [
+    { account: user, direction: 'debit', amount: instalment.amount },
+    { account: pool, direction: 'credit', amount: instalment.amount }
+  ];
+  if (penalty > 0) {
+    legs.push(
+      { account: user, direction: 'debit', amount: penalty, description: `Late payment penalty on instalment ${instalment.number}` },
+      { account: await getSystemAccount('fees', session), direction: 'credit', amount: penalty }
+    );
+  }
+
+  await postEntries(transaction, legs, session);
+  await transaction.save({ session });
+
+  instalment.status = 'paid';
+  instalment.paidAt = transaction.completedAt;
+  instalment.penalty = penalty;
+  instalment.transaction = transaction._id;
+  instalment.lastError = undefined;
+  deposit.principal = roundMoney(deposit.principal + instalment.amount);
+  return transaction;
+};
+
+// When the instalment job should next look at a recurring deposit
+const nextPendingDate = (deposit) => {
+  const next = deposit.instalments.find(instalment => instalment.status === 'pending');
+  return next ? next.dueDate : undefined;
+};
+
+// Open a recurring deposit. The first instalment is debited straight away;
+// the rest are auto-debited on `dayOfMonth`.
+const openRecurringDeposit = async (userId, { instalmentAmount, tenureMonths, dayOfMonth }) => {
+  return runInTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user || !user.isActive) {
+      throw new ServiceError('Account not found', 404);
+    }
+
+    const startDate = new Date();
+    const terms = calculateRecurringMaturity({ instalmentAmount, tenureMonths, dayOfMonth, startDate });
+
+    const deposit = new Deposit({
+      user: user._id,
+      depositType: 'recurring',
+      principal: 0,
+      instalmentAmount,
+      dayOfMonth,
+      tenureMonths,
+      interestRate: terms.interestRate,
+      compounding: 'quarterly',
+      startDate,
+      maturityDate: terms.maturityDate,
+      maturityAmount: terms.maturityAmount,
+      maturityInstruction: 'credit',
+      instalments: instalmentDates(startDate, tenureMonths, dayOfMonth).map((dueDate, i) => ({
+        number: i + 1,
+        dueDate,
+        amount: instalmentAmount
+      }))
+    });
+
+    const first = deposit.instalments[0];
+    first.attempts = 1;
+    const transaction = await postInstalment(user, deposit, first, 0, session);
+    deposit.bookingTransaction = transaction._id;
+    deposit.nextInstalmentAt = nextPendingDate(deposit);
+
+    await deposit.save({ session });
+    return deposit;
+  });
+};
+
+// Auto-debit the earliest pending instalment that is due. A failure is
+// recorded and retried later, until the instalment counts as missed.
+const collectDueInstalment = async (depositId, now = new Date()) => {
+  try {
+    return await runInTransaction(async (session) => {
+      const deposit = await Deposit.findById(depositId).session(session);
+      if (!deposit || deposit.status !== 'active') return null;
+
+      const instalment = deposit.instalments.find(item => item.status === 'pending' && item.dueDate <= now);
+      if (instalment) {
+        const user = await User.findById(deposit.user).session(session);
+        if (!user || !user.isActive) {
+          throw new ServiceError('Account not found', 404);
+        }
+        instalment.attempts += 1;
+        await postInstalment(user, deposit, instalment, 0, session);
+      }
+
+      deposit.nextInstalmentAt = nextPendingDate(deposit);
+      deposit.lockedUntil = undefined;
+      await deposit.save({ session });
+      return deposit;
+    });
+  } catch (error) {
+    if (!(error instanceof ServiceError)) {
+      console.error('Recurring deposit instalment error:', error);
+    }
+
+    // The session rolled back, so record the failed attempt on its own.
+    // The deposit may have gone since it was claimed.
+    const deposit = await Deposit.findById(depositId);
+    if (!deposit) return null;
+
+    const instalment = deposit.instalments.find(item => item.status === 'pending' && item.dueDate <= now);
+    if (instalment) {
+      instalment.attempts += 1;
+      instalment.lastError = error instanceof ServiceError ? error.message : 'Internal error';
+      if (instalment.attempts >= RD_MAX_ATTEMPTS) {
+        instalment.status = 'missed';
+        deposit.nextInstalmentAt = nextPendingDate(deposit);
+      } else {
+        deposit.nextInstalmentAt = new Date(now.getTime() + RD_RETRY_DELAY_MS);
+      }
+    }
+    deposit.lockedUntil = undefined;
+    await deposit.save();
+    return deposit;
+  }
+};
+
+// Pay every missed instalment of a recurring deposit with its penalty
+const payMissedInstalments = async (depositId, userId) => {
+  return runInTransaction(async (session) => {
+    const deposit = await Deposit.findById(depositId).session(session);
+    if (!deposit || deposit.depositType !== 'recurring') {
+      throw new ServiceError('Recurring deposit not found', 404);
+    }
+    if (deposit.user.toString() !== userId.toString()) {
+      throw new ServiceError('Access denied to this deposit', 403);
+    }
+    if (deposit.status !== 'active') {
+      throw new ServiceError('Only active deposits can take instalments');
+    }
+
+    const missed = deposit.instalments.filter(instalment => instalment.status === 'missed');
+    if (!missed.length) {
+      throw new ServiceError('There are no missed instalments to pay');
+    }
+
+    const now = new Date();
+    const user = await User.findById(userId).session(session);
+    const required = roundMoney(missed.reduce((sum, instalment) =>
+      sum + instalment.amount + instalmentPenalty(instalment, now), 0));
+    if (user.accountBalance < required) {
+      throw new ServiceError('Insufficient balance to pay missed instalments', 400, { required });
+    }
+
+    for (const instalment of missed) {
+      await postInstalment(user, deposit, instalment, instalmentPenalty(instalment, now), session);
+    }
+
+    await deposit.save({ session });
+    return deposit;
+  });
+};
+
+// Instalment schedule as shown to the customer. Pending instalments are
+// 'due' once their date has passed and 'upcoming' before that.
+const instalmentSchedule = (deposit, now = new Date()) => deposit.instalments.map(instalment => {
+  let status = instalment.status;
+  if (status === 'pending') status = instalment.dueDate <= now ? 'due' : 'upcoming';
+
+  return {
+    number: instalment.number,
+    dueDate: instalment.dueDate,
+    amount: instalment.amount,
+    status,
+    attempts: instalment.attempts,
+    paidAt: instalment.paidAt,
+    penalty: status === 'missed' ? instalmentPenalty(instalment, now) : instalment.penalty,
+    lastError: instalment.lastError,
+    transaction: instalment.transaction
+  };
+});
+
+module.exports = {
+  FD_RATES,
+  PREMATURE_PENALTY_RATE,
+  RD_PENALTY_RATE,
+  rateForTenure,
+  calculateMaturity,
+  calculateRecurringMaturity,
+  prematureQuote,
+  openDeposit,
+  openRecurringDeposit,
+  closeDepositEarly,
+  matureDeposit,
+  collectDueInstalment,
+  payMissedInstalments,
+  instalmentSchedule
+};
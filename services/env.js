@@ -0,0 +1,8 @@
+// Numeric setting from the environment. Zero is a valid value, so only a
+// missing or unparseable one falls back to the default.
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = { envNumber };
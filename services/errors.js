@@ -0,0 +1,13 @@
+// Error raised by service modules for expected business failures
+// (insufficient balance, unknown receiver, ...). Routes turn it into a
+// JSON response using `status` and merge `details` into the body.
+class ServiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { ServiceError };
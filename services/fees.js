@@ -0,0 +1,85 @@
+const Transaction = require('../models/Transaction');
+const { roundMoney } = require('./ledger');
+const { envNumber } = require('./env');
+
+// GST on fees; GST_RATE=0 turns it off
+const GST_RATE = envNumber('GST_RATE', 0.18);
+
+// Fee rules by transaction type. The first `freePerMonth` transactions of a
+// type in a calendar month are free; after that the charge is `flat` plus
+// `percent` of the amount, kept within `min`/`max`. `slabs` replace the
+// flat fee by amount band. GST is added on top of the fee.
+const FEE_RULES = {
+  transfer: {
+    freePerMonth: 5,
+    slabs: [
+      { upTo: 10000, flat: 2.5 },
+      { upTo: 100000, flat: 5 },
+      { upTo: Infinity, flat: 15 }
+    ]
+  },
+  withdrawal: {
+    freePerMonth: 4,
+    flat: 20
+  },
+  deposit: {
+    freePerMonth: Infinity
+  },
+  payment: {
+    freePerMonth: 0,
+    percent: 0.5,
+    min: 1,
+    max: 50
+  }
+};
+
+// Fee for `amount` under a rule, before allowances and GST
+const applyRule = (rule, amount) => {
+  const slab = rule.slabs?.find(band => amount <= band.upTo);
+  let fee = (slab ? slab.flat : rule.flat || 0) + amount * (rule.percent || 0) / 100;
+
+  if (rule.min != null) fee = Math.max(fee, rule.min);
+  if (rule.max != null) fee = Math.min(fee, rule.max);
+  return roundMoney(fee);
+};
+
+// Charges for a transaction the user is about to make. System accounts
+// and types without a rule are never charged.
+const calculateFees = async (user, type, amount, session = null) => {
+  const rule = FEE_RULES[type];
+  if (!rule || user.isSystem) {
+    return { fee: 0, gst: 0, total: 0, freeRemaining: null };
+  }
+
+  let freeRemaining = rule.freePerMonth;
+  if (Number.isFinite(rule.freePerMonth)) {
+    const now = new Date();
+    const used = await Transaction.countDocuments({
+      sender: user._id,
+      type,
+      status: 'completed',
+      createdAt: { $gte: new Date(now.getFullYear(), now.getMonth(), 1) }
+    }).session(session);
+    freeRemaining = Math.max(rule.freePerMonth - used, 0);
+  }
+
+  if (freeRemaining > 0) {
+    return {
+      fee: 0,
+      gst: 0,
+      total: 0,
+      freeRemaining: Number.isFinite(freeRemaining) ? freeRemaining - 1 : null
+    };
+  }
+
+  const fee = applyRule(rule, amount);
+  const gst = roundMoney(fee * GST_RATE);
+  return { fee, gst, total: roundMoney(fee + gst), freeRemaining: 0 };
+};
+
+module.exports = {
+  GST_RATE,
+  FEE_RULES,
+  applyRule,
+  calculateFees
+};
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+
+const SORT_FIELDS = ['createdAt', 'amount'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Opaque cursor holding the sort value and _id of the last row returned,
+// plus the sort it was issued for so it can't be replayed under another
+const encodeCursor = (transaction, sortField, order) => Buffer.from(JSON.stringify({
+  sort: sortField,
+  order,
+  value: transaction[sortField] instanceof Date ? transaction[sortField].toISOString() : transaction[sortField],
+  id: transaction._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, sortField, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    throw new ServiceError('Invalid cursor');
+  }
+
+  const { sort, value, id } = decoded || {};
+  if (sort !== sortField || decoded.order !== order) {
+    throw new ServiceError('Cursor does not match the requested sort');
+  }
+
+  const parsed = sortField === 'createdAt' ? new Date(value) : Number(value);
+  if (value == null || Number.isNaN(parsed.valueOf()) || typeof id !== 'string' || !mongoose.isValidObjectId(id)) {
+    throw new ServiceError('Invalid cursor');
+  }
+
+  return { value: parsed, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Mongo filter for a user's transaction history. All conditions are
+// combined with $and so the sender/receiver $or clauses don't collide.
+const buildHistoryQuery = async (userId, filters = {}) => {
+  const {
+    type,
+    status,
+    direction,
+    counterparty,
+    minAmount,
+    maxAmount,
+    from,
+    to,
+    q,
+    category
+  } = filters;
+
+  let counterpartyId = null;
+  if (counterparty) {
+    const other = await User.findOne({
+      $or: [{ username: counterparty }, { accountNumber: counterparty.toUpperCase() }]
+    }, '_id');
+    if (!other) throw new ServiceError('Counterparty not found', 404);
+    counterpartyId = other._id;
+  }
+
+  const outgoing = { sender: userId };
+  const incoming = { receiver: userId };
+  if (counterpartyId) {
+    outgoing.receiver = counterpartyId;
+    incoming.sender = counterpartyId;
+  }
+
+  // Each side of a transaction has its own category
+  if (category) {
+    outgoing.category = category;
+    incoming.receiverCategory = category;
+  }
+
+  const conditions = [];
+  if (direction === 'out') conditions.push(outgoing);
+  else if (direction === 'in') conditions.push(incoming);
+  else conditions.push({ $or: [outgoing, incoming] });
+
+  if (type) conditions.push({ type });
+  if (status) conditions.push({ status });
+
+  if (minAmount != null || maxAmount != null) {
+    const amount = {};
+    if (minAmount != null) amount.$gte = Number(minAmount);
+    if (maxAmount != null) amount.$lte = Number(maxAmount);
+    conditions.push({ amount });
+  }
+
+  if (from || to) {
+    const createdAt = {};
+    if (from) createdAt.$gte = new Date(from);
+    if (to) {
+      createdAt.$lte = new Date(to);
+      // A date-only "to" covers the whole day, as on statements
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) createdAt.$lte.setUTCHours(23, 59, 59, 999);
+    }
+    conditions.push({ createdAt });
+  }
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    conditions.push({ $or: [{ description: pattern }, { reference: pattern }] });
+  }
+
+  return { $and: conditions };
+};
+
+// Keyset pagination: rows strictly after the cursor in sort order, with
+// _id as tie-breaker so equal sort values never repeat or go missing.
+const applyCursor = (query, cursor, sortField, order) => {
+  if (!cursor) return query;
+
+  const { value, id } = decodeCursor(cursor, sortField, order);
+  const op = order === 'asc' ? '$gt' : '$lt';
+  return {
+    $and: [
+      query,
+      { $or: [{ [sortField]: { [op]: value } }, { [sortField]: value, _id: { [op]: id } }] }
+    ]
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildHistoryQuery,
+  applyCursor,
+  encodeCursor
+};
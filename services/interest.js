@@ -0,0 +1,287 @@
+const InterestAccrual = require('../models/InterestAccrual');
+const InterestRun = require('../models/InterestRun');
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries, roundMoney } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { runInTransaction } = require('./transaction');
+const { categoriseTransaction } = require('./categories');
+const { envNumber } = require('./env');
+
+// Annual savings rates by balance slab, in percent. Each slab's rate
+// applies only to the part of the balance inside it. Override with a JSON
+// array in INTEREST_RATE_SLABS; the last slab has no upper bound.
+const INTEREST_SLABS = process.env.INTEREST_RATE_SLABS
+  ? JSON.parse(process.env.INTEREST_RATE_SLABS)
+  : [
+    { upTo: 100000, rate: 2.7 },
+    { upTo: 500000, rate: 3 },
+    { upTo: null, rate: 3.5 }
+  ];
+
+const DAYS_IN_YEAR = 365;
+
+// TDS is withheld on interest above the threshold within a financial year
+const TDS_RATE = envNumber('TDS_RATE', 0.10);
+const TDS_THRESHOLD = envNumber('TDS_THRESHOLD', 40000);
+
+const dayStart = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+const monthStart = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+// Indian financial years run from 1 April
+const financialYearStart = (date) => new Date(
+  date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1, 3, 1
+);
+
+// One day's interest on a balance, split across the rate slabs
+const dailyInterest = (balance) => {
+  if (balance <= 0) return { amount: 0, rate: 0 };
+
+  let annual = 0;
+  let lower = 0;
+  for (const slab of INTEREST_SLABS) {
+    const upper = slab.upTo ?? Infinity;
+    if (balance <= lower) break;
+    annual += (Math.min(balance, upper) - lower) * slab.rate / 100;
+    lower = upper;
+  }
+
+  return {
+    amount: Math.round(annual / DAYS_IN_YEAR * 10000) / 10000,
+    rate: Math.round(annual / balance * 100 * 10000) / 10000
+  };
+};
+
+// Balance at the end of a day, from the last ledger entry before midnight
+const endOfDayBalance = async (userId, date) => {
+  const last = await LedgerEntry.findOne({
+    account: userId,
+    createdAt: { $lt: addDays(date, 1) }
+  }).sort({ createdAt: -1, _id: -1 });
+  return last ? last.balanceAfter : 0;
+};
+
+// Accrue one day's interest for every customer account. Safe to re-run for
+// the same date: uncredited rows are recalculated, credited ones are kept.
+const accrueInterest = async (date, now = new Date()) => {
+  date = dayStart(date);
+  if (date >= dayStart(now)) {
+    throw new ServiceError('Interest can only be accrued for a day that has ended');
+  }
+
+  const run = await InterestRun.findOneAndUpdate(
+    { type: 'accrual', date },
+    { status: 'running', startedAt: now, $unset: { error: 1, completedAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    // Accounts opened after the day have nothing to accrue
+    const customers = await User.find({
+      isSystem: { $ne: true },
+      isActive: true,
+      createdAt: { $lt: addDays(date, 1) }
+    }, '_id');
+
+    let accounts = 0;
+    let total = 0;
+    for (const { _id } of customers) {
+      const existing = await InterestAccrual.findOne({ user: _id, date });
+      if (existing?.credited) continue;
+
+      const balance = await endOfDayBalance(_id, date);
+      const { amount, rate } = dailyInterest(balance);
+
+      if (amount <= 0) {
+        if (existing) await existing.deleteOne();
+        continue;
+      }
+
+      await InterestAccrual.updateOne(
+        { user: _id, date },
+        { balance, rate, amount },
+        { upsert: true }
+      );
+      accounts += 1;
+      total += amount;
+    }
+
+    run.status = 'completed';
+    run.accounts = accounts;
+    run.total = roundMoney(total);
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    await run.save();
+    throw error;
+  }
+};
+
+// TDS due on a credit, given the interest already paid this financial year
+const calculateTds = (grossThisCredit, grossBefore, tdsBefore) => {
+  const taxable = grossBefore + grossThisCredit - TDS_THRESHOLD;
+  if (taxable <= 0) return 0;
+  const due = roundMoney(taxable * TDS_RATE - tdsBefore);
+  return Math.min(Math.max(due, 0), grossThisCredit);
+};
+
+// Pay one account's uncredited interest up to the end of the month as an
+// 'interest' transaction, withholding TDS where due
+const creditAccount = async (userId, month) => {
+  return runInTransaction(async (session) => {
+    const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+    const accruals = await InterestAccrual.find({
+      user: userId,
+      credited: false,
+      date: { $lt: monthEnd }
+    }).session(session);
+
+    const gross = roundMoney(accruals.reduce((sum, accrual) => sum + accrual.amount, 0));
+    // Less than a paisa carries over to next month
+    if (gross < 0.01) return null;
+
+    const creditedAt = new Date();
+    const previous = await Transaction.aggregate([
+      {
+        $match: {
+          receiver: userId,
+          type: 'interest',
+          status: 'completed',
+          completedAt: { $gte: financialYearStart(creditedAt) }
+        }
+      },
+      { $group: { _id: null, gross: { $sum: '$amount' }, tds: { $sum: '$tds' } } }
+    ]).session(session);
+    const tds = calculateTds(gross, previous[0]?.gross || 0, previous[0]?.tds || 0);
+
+    const user = await User.findById(userId).session(session);
+    const interestAccount = await getSystemAccount('interest', session);
+    const monthLabel = month.toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+
+    const transaction = new Transaction({
+      sender: interestAccount._id,
+      receiver: user._id,
+      amount: gross,
+      tds,
+      type: 'interest',
+      description: `Savings interest for ${monthLabel}`,
+      status: 'completed',
+      completedAt: creditedAt
+    });
+    await categoriseTransaction(transaction, session);
+
+    const legs = [
+      { account: interestAccount, direction: 'debit', amount: gross },
+      { account: user, direction: 'credit', amount: gross }
+    ];
+    if (tds > 0) {
+      legs.push(
+        { account: user, direction: 'debit', amount: tds, description: `TDS on savings interest for ${monthLabel}` },
+        { account: await getSystemAccount('tds', session), direction: 'credit', amount: tds }
+      );
+    }
+
+    await postEntries(transaction, legs, session);
+    await transaction.save({ session });
+
+    await InterestAccrual.updateMany(
+      { _id: { $in: accruals.map(accrual => accrual._id) } },
+      { credited: true, creditTransaction: transaction._id },
+      { session }
+    );
+
+    return transaction;
+  });
+};
+
+// Credit the month's accrued interest to every account that has some.
+// Re-running only picks up accounts whose accruals are still uncredited.
+const creditInterest = async (month, now = new Date()) => {
+  month = monthStart(month);
+  if (month >= monthStart(now)) {
+    throw new ServiceError('Interest can only be credited for a month that has ended');
+  }
+
+  const run = await InterestRun.findOneAndUpdate(
+    { type: 'credit', date: month },
+    { status: 'running', startedAt: now, $unset: { error: 1, completedAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    const userIds = await InterestAccrual.distinct('user', {
+      credited: false,
+      date: { $lt: new Date(month.getFullYear(), month.getMonth() + 1, 1) }
+    });
+
+    let accounts = run.accounts;
+    let total = run.total;
+    for (const userId of userIds) {
+      const transaction = await creditAccount(userId, month);
+      if (transaction) {
+        accounts += 1;
+        total = roundMoney(total + transaction.amount);
+      }
+    }
+
+    run.status = 'completed';
+    run.accounts = accounts;
+    run.total = total;
+    run.completedAt = new Date();
+    await run.save();
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    await run.save();
+    throw error;
+  }
+};
+
+// Interest earned but not yet credited, with the last credit for context
+const getAccruedInterest = async (userId) => {
+  const accruals = await InterestAccrual.find({ user: userId, credited: false })
+    .sort({ date: 1 });
+
+  const lastCredit = await Transaction.findOne({
+    receiver: userId,
+    type: 'interest',
+    status: 'completed'
+  })
+    .select('reference amount tds description completedAt')
+    .sort({ completedAt: -1 });
+
+  return {
+    accrued: roundMoney(accruals.reduce((sum, accrual) => sum + accrual.amount, 0)),
+    days: accruals.length,
+    from: accruals[0]?.date || null,
+    to: accruals[accruals.length - 1]?.date || null,
+    daily: accruals.map(accrual => ({
+      date: accrual.date,
+      balance: accrual.balance,
+      rate: accrual.rate,
+      amount: accrual.amount
+    })),
+    lastCredit
+  };
+};
+
+module.exports = {
+  INTEREST_SLABS,
+  TDS_RATE,
+  TDS_THRESHOLD,
+  dayStart,
+  addDays,
+  monthStart,
+  dailyInterest,
+  calculateTds,
+  accrueInterest,
+  creditInterest,
+  getAccruedInterest
+};
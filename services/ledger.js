@@ -0,0 +1,111 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+
+const toPaise = (amount) => Math.round(amount * 100);
+const roundMoney = (amount) => toPaise(amount) / 100;
+
+// Signed effect of an entry on the account balance: credits add, debits subtract
+const signedAmount = {
+  $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }]
+};
+
+// Post the legs of a transaction and apply them to account balances.
+// `legs` is a list of { account, direction, amount, description } where
+// `account` is a User document loaded in the same session. Debits and
+// credits must balance to the paisa or nothing is written.
+const postEntries = async (transaction, legs, session) => {
+  legs = legs.filter(leg => toPaise(leg.amount) > 0);
+
+  let net = 0;
+  for (const leg of legs) {
+    net += leg.direction === 'credit' ? toPaise(leg.amount) : -toPaise(leg.amount);
+  }
+  if (net !== 0) {
+    throw new Error(`Unbalanced ledger posting for transaction ${transaction.reference}`);
+  }
+
+  const accounts = new Map();
+  const entries = legs.map(leg => {
+    const amount = roundMoney(leg.amount);
+    const account = leg.account;
+
+    account.accountBalance = roundMoney(
+      account.accountBalance + (leg.direction === 'credit' ? amount : -amount)
+    );
+    accounts.set(account._id.toString(), account);
+
+    return {
+      transaction: transaction._id,
+      account: account._id,
+      direction: leg.direction,
+      amount,
+      balanceAfter: account.accountBalance,
+      description: leg.description || transaction.description
+    };
+  });
+
+  for (const account of accounts.values()) {
+    await account.save({ session });
+  }
+
+  return LedgerEntry.insertMany(entries, { session });
+};
+
+// Balance of an account as derived from its ledger entries
+const getLedgerBalance = async (accountId, session = null) => {
+  const result = await LedgerEntry.aggregate([
+    { $match: { account: accountId } },
+    { $group: { _id: null, balance: { $sum: signedAmount } } }
+  ]).session(session);
+  return roundMoney(result[0]?.balance || 0);
+};
+
+// Compare every cached accountBalance with its ledger and check that each
+// transaction's legs still net to zero. Anything found is logged.
+const checkLedgerInvariants = async () => {
+  const ledgerBalances = await LedgerEntry.aggregate([
+    { $group: { _id: '$account', balance: { $sum: signedAmount } } }
+  ]);
+  const balanceByAccount = new Map(
+    ledgerBalances.map(row => [row._id.toString(), row.balance])
+  );
+
+  const users = await User.find({}, 'username accountBalance');
+  const drifted = users
+    .map(user => ({
+      account: user._id,
+      username: user.username,
+      accountBalance: user.accountBalance,
+      ledgerBalance: roundMoney(balanceByAccount.get(user._id.toString()) || 0)
+    }))
+    .filter(row => toPaise(row.accountBalance) !== toPaise(row.ledgerBalance));
+
+  const unbalancedTransactions = await LedgerEntry.aggregate([
+    { $group: { _id: '$transaction', net: { $sum: signedAmount } } },
+    { $match: { $or: [{ net: { $gte: 0.005 } }, { net: { $lte: -0.005 } }] } }
+  ]);
+
+  drifted.forEach(row => {
+    console.warn(`Ledger drift on ${row.username}: balance ${row.accountBalance}, ledger ${row.ledgerBalance}`);
+  });
+  unbalancedTransactions.forEach(row => {
+    console.warn(`Unbalanced ledger entries for transaction ${row._id}: net ${row.net}`);
+  });
+
+  return {
+    drifted,
+    unbalancedTransactions: unbalancedTransactions.map(row => ({
+      transaction: row._id,
+      net: roundMoney(row.net)
+    })),
+    checkedAt: new Date()
+  };
+};
+
+module.exports = {
+  toPaise,
+  roundMoney,
+  postEntries,
+  getLedgerBalance,
+  checkLedgerInvariants
+};
@@ -0,0 +1,120 @@
+const Transaction = require('../models/Transaction');
+const { ServiceError } = require('./errors');
+const { roundMoney } = require('./ledger');
+
+const LIMIT_KEYS = ['perTransaction', 'daily', 'monthly', 'dailyCount'];
+
+const LIMIT_LABELS = {
+  perTransaction: 'Per-transaction',
+  daily: 'Daily (24 hour)',
+  monthly: 'Monthly',
+  dailyCount: 'Daily transaction count'
+};
+
+// Maximum limits by account tier and transaction type. `daily` and
+// `dailyCount` cover a rolling 24 hours, `monthly` the calendar month.
+const TIER_LIMITS = {
+  basic: {
+    transfer: { perTransaction: 50000, daily: 100000, monthly: 500000, dailyCount: 10 },
+    withdrawal: { perTransaction: 25000, daily: 50000, monthly: 200000, dailyCount: 5 },
+    deposit: { perTransaction: 200000, daily: 200000, monthly: 1000000, dailyCount: 10 },
+    payment: { perTransaction: 50000, daily: 100000, monthly: 500000, dailyCount: 20 }
+  },
+  premium: {
+    transfer: { perTransaction: 200000, daily: 500000, monthly: 2500000, dailyCount: 25 },
+    withdrawal: { perTransaction: 100000, daily: 200000, monthly: 1000000, dailyCount: 10 },
+    deposit: { perTransaction: 1000000, daily: 1000000, monthly: 5000000, dailyCount: 25 },
+    payment: { perTransaction: 200000, daily: 500000, monthly: 2500000, dailyCount: 50 }
+  },
+  business: {
+    transfer: { perTransaction: 1000000, daily: 2500000, monthly: 20000000, dailyCount: 100 },
+    withdrawal: { perTransaction: 200000, daily: 500000, monthly: 5000000, dailyCount: 25 },
+    deposit: { perTransaction: 5000000, daily: 5000000, monthly: 50000000, dailyCount: 100 },
+    payment: { perTransaction: 1000000, daily: 2500000, monthly: 20000000, dailyCount: 200 }
+  }
+};
+
+// Tier limits for a type, or null when the type is not limited
+const getTierLimits = (user, type) => {
+  const tier = TIER_LIMITS[user.accountTier] || TIER_LIMITS.basic;
+  return tier[type] || null;
+};
+
+// Tier limits lowered by whatever the customer has chosen
+const getEffectiveLimits = (user, type) => {
+  const tierLimits = getTierLimits(user, type);
+  if (!tierLimits) return null;
+
+  const overrides = user.limitOverrides?.get(type) || {};
+  const limits = {};
+  LIMIT_KEYS.forEach(key => {
+    limits[key] = overrides[key] != null
+      ? Math.min(overrides[key], tierLimits[key])
+      : tierLimits[key];
+  });
+  return limits;
+};
+
+// Completed amount and count sent by the user since `since`
+const usageSince = async (userId, type, since, session = null) => {
+  const result = await Transaction.aggregate([
+    { $match: { sender: userId, type, status: 'completed', createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).session(session);
+  return { total: result[0]?.total || 0, count: result[0]?.count || 0 };
+};
+
+const getUsage = async (userId, type, now = new Date(), session = null) => {
+  const dayStart = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+  const [day, month] = await Promise.all([
+    usageSince(userId, type, dayStart, session),
+    usageSince(userId, type, monthStart, session)
+  ]);
+
+  return { daily: day.total, dailyCount: day.count, monthly: month.total };
+};
+
+// Remaining headroom under each limit
+const getHeadroom = (limits, usage) => ({
+  perTransaction: limits.perTransaction,
+  daily: roundMoney(Math.max(limits.daily - usage.daily, 0)),
+  monthly: roundMoney(Math.max(limits.monthly - usage.monthly, 0)),
+  dailyCount: Math.max(limits.dailyCount - usage.dailyCount, 0)
+});
+
+// Guard for executeTransaction: reject before any debit when the amount
+// would break one of the sender's limits, naming the limit and headroom.
+const checkLimits = async ({ sender, amount, type, session }) => {
+  if (sender.isSystem) return;
+
+  const limits = getEffectiveLimits(sender, type);
+  if (!limits) return;
+
+  const usage = await getUsage(sender._id, type, new Date(), session);
+  const headroom = getHeadroom(limits, usage);
+
+  const breached = (amount > limits.perTransaction && 'perTransaction') ||
+    (headroom.dailyCount < 1 && 'dailyCount') ||
+    (amount > headroom.daily && 'daily') ||
+    (amount > headroom.monthly && 'monthly');
+
+  if (breached) {
+    throw new ServiceError(`${LIMIT_LABELS[breached]} ${type} limit exceeded`, 400, {
+      limit: breached,
+      limitValue: limits[breached],
+      remaining: headroom[breached]
+    });
+  }
+};
+
+module.exports = {
+  LIMIT_KEYS,
+  TIER_LIMITS,
+  getTierLimits,
+  getEffectiveLimits,
+  getUsage,
+  getHeadroom,
+  checkLimits
+};
@@ -0,0 +1,705 @@
+const Loan = require('../models/Loan');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries, roundMoney } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { runInTransaction } = require('./transaction');
+const { categoriseTransaction } = require('./categories');
+const { trackSpending } = require('./budget');
+const { GST_RATE } = require('./fees');
+const { buildSchedule, scheduleTotals } = require('./amortization');
+const { dayStart } = require('./interest');
+const { envNumber } = require('./env');
+
+// Processing fee on the sanctioned amount by loan type: `percent` of it,
+// kept within `min`/`max`. GST is charged on top of the fee.
+const PROCESSING_FEES = {
+  personal: { percent: 2, min: 1000, max: 25000 },
+  home: { percent: 0.5, min: 5000, max: 25000 },
+  business: { percent: 1.5, min: 2500, max: 50000 },
+  education: { percent: 0 },
+  vehicle: { percent: 1, min: 1500, max: 10000 }
+};
+
+// Loan types that can be paid out in more than one tranche
+const TRANCHE_LOAN_TYPES = ['home'];
+
+// A failed EMI auto-debit is retried a few times, a day apart, before the
+// job waits for the next due date and collects the arrears with it
+const LOAN_MAX_ATTEMPTS = parseInt(process.env.LOAN_MAX_ATTEMPTS) || 3;
+const LOAN_RETRY_DELAY_MS = parseInt(process.env.LOAN_RETRY_DELAY_MS) || 24 * 60 * 60 * 1000;
+
+// Charge on principal repaid ahead of schedule, in percent by loan type.
+// Home and education loans can be prepaid free.
+const PREPAYMENT_PENALTIES = {
+  personal: 4,
+  home: 0,
+  business: 2,
+  education: 0,
+  vehicle: 3
+};
+
+const PREPAYMENT_OPTIONS = ['reduce_emi', 'reduce_tenure'];
+
+// Late-payment policy. Once an EMI is more than `graceDays` overdue a flat
+// late fee (plus GST) is levied on it, and penal interest accrues daily at
+// `penalRate` percent a year on all overdue EMIs.
+const PENALTY_POLICY = {
+  graceDays: envNumber('LOAN_GRACE_DAYS', 3),
+  lateFee: envNumber('LOAN_LATE_FEE', 500),
+  penalRate: envNumber('LOAN_PENAL_RATE', 24)
+};
+
+// RBI special mention account buckets by days past due; NPA from 90 DPD
+const DELINQUENCY_BUCKETS = [
+  { bucket: 'standard', fromDpd: 0 },
+  { bucket: 'sma_0', fromDpd: 1 },
+  { bucket: 'sma_1', fromDpd: 31 },
+  { bucket: 'sma_2', fromDpd: 61 },
+  { bucket: 'npa', fromDpd: 90 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.max(Math.round((dayStart(to) - dayStart(from)) / DAY_MS), 0);
+
+// Processing fee for the whole sanctioned amount
+const processingFeeFor = (loanType, amount) => {
+  const rule = PROCESSING_FEES[loanType];
+  if (!rule || !rule.percent) return 0;
+
+  let fee = amount * rule.percent / 100;
+  if (rule.min != null) fee = Math.max(fee, rule.min);
+  if (rule.max != null) fee = Math.min(fee, rule.max);
+  return roundMoney(fee);
+};
+
+// Fee and GST on one tranche: its share of the total fee, with the last
+// tranche taking whatever is left so the total is charged exactly once
+const trancheCharges = (loan, amount) => {
+  const totalFee = processingFeeFor(loan.loanType, loan.amount);
+  const charged = roundMoney(loan.disbursements.reduce((sum, tranche) => sum + tranche.processingFee, 0));
+  const isLast = roundMoney(loan.disbursedAmount + amount) >= loan.amount;
+
+  const fee = isLast
+    ? roundMoney(totalFee - charged)
+    : roundMoney(totalFee * amount / loan.amount);
+  return { fee, gst: roundMoney(fee * GST_RATE) };
+};
+
+// Replace the unpaid part of the schedule with a fresh plan repaying
+// `principal` over the instalments still left in it, or over the term for
+// a new loan, so a tenure already shortened by a prepayment stays short.
+// Passing `emi` keeps that EMI and shortens the plan instead.
+const regenerateSchedule = (loan, principal, { emi } = {}) => {
+  const paid = loan.schedule.filter(line => line.status === 'paid');
+  const left = loan.schedule.length ? loan.schedule.length - paid.length : loan.term;
+  const remaining = buildSchedule({
+    principal,
+    annualRate: loan.interestRate,
+    instalments: left,
+    anchorDate: loan.disbursedAt,
+    startNumber: paid.length + 1,
+    emi
+  });
+
+  loan.schedule = [...paid.map(line => line.toObject()), ...remaining];
+  loan.monthlyPayment = remaining[0]?.emi || 0;
+  loan.totalAmount = scheduleTotals(loan.schedule).payable;
+};
+
+// What is left to pay on one instalment
+const instalmentDue = (line) => roundMoney(line.emi - line.interestPaid - line.principalPaid);
+
+const unpaidLines = (loan) => loan.schedule.filter(line => line.status !== 'paid');
+
+// EMIs due on or before `at` and not yet paid
+const emisDue = (loan, at = new Date()) => roundMoney(unpaidLines(loan)
+  .filter(line => line.dueDate <= at)
+  .reduce((sum, line) => sum + instalmentDue(line), 0));
+
+// Late fees, GST on them and penal interest levied and not yet paid
+const chargesDue = (loan) => roundMoney(
+  loan.overdueCharges.lateFee + loan.overdueCharges.gst + loan.overdueCharges.penalInterest
+);
+
+// Everything due on `at`: overdue charges and EMIs
+const amountDue = (loan, at = new Date()) => roundMoney(emisDue(loan, at) + chargesDue(loan));
+
+// Most that can be repaid as EMIs on `at`: everything due plus the next
+// instalment. Paying more than that is a prepayment.
+const payableNow = (loan, at = new Date()) => {
+  const upcoming = unpaidLines(loan).find(line => line.dueDate > at);
+  return roundMoney(amountDue(loan, at) + (upcoming ? instalmentDue(upcoming) : 0));
+};
+
+// When the auto-debit job should next try the loan: the due date of the
+// first instalment it has not given up on, or the retry time after a
+// failed attempt
+const scheduleNextDebit = (loan) => {
+  const line = unpaidLines(loan).find(item => item.attempts < LOAN_MAX_ATTEMPTS);
+  if (loan.status !== 'active' || !line) {
+    loan.nextDebitAt = undefined;
+  } else if (line.attempts) {
+    loan.nextDebitAt = new Date(line.lastAttemptAt.getTime() + LOAN_RETRY_DELAY_MS);
+  } else {
+    loan.nextDebitAt = line.dueDate;
+  }
+};
+
+// Days past due: how long the oldest unpaid EMI has been overdue
+const daysPastDue = (loan, at = new Date()) => {
+  const oldest = unpaidLines(loan).find(line => line.dueDate < dayStart(at));
+  return oldest ? daysBetween(oldest.dueDate, at) : 0;
+};
+
+const bucketFor = (dpd) => [...DELINQUENCY_BUCKETS].reverse().find(item => dpd >= item.fromDpd).bucket;
+
+// Recompute DPD and move the loan between buckets, recording each move.
+// Closed loans and loans whose arrears are paid return to standard.
+const updateDelinquency = (loan, at = new Date()) => {
+  const dpd = loan.status === 'active' ? daysPastDue(loan, at) : 0;
+  const bucket = bucketFor(dpd);
+
+  if (bucket !== loan.delinquency) {
+    loan.delinquencyHistory.push({ from: loan.delinquency, to: bucket, dpd, changedAt: at });
+    loan.delinquency = bucket;
+  }
+  loan.dpd = dpd;
+};
+
+// Settle `amount` against overdue charges, late fees and their GST first,
+// then penal interest. Returns what was paid of each and what is left.
+const settleCharges = (loan, amount) => {
+  let left = roundMoney(amount);
+  const paid = {};
+  for (const charge of ['lateFee', 'gst', 'penalInterest']) {
+    paid[charge] = Math.min(left, loan.overdueCharges[charge]);
+    loan.overdueCharges[charge] = roundMoney(loan.overdueCharges[charge] - paid[charge]);
+    left = roundMoney(left - paid[charge]);
+  }
+  return { ...paid, left };
+};
+
+// Settle `amount` against unpaid instalments in order, interest before
+// principal on each. Returns how the amount was split.
+const allocatePayment = (loan, amount, at) => {
+  let left = roundMoney(amount);
+  let interest = 0;
+  let principal = 0;
+  const instalments = [];
+
+  for (const line of unpaidLines(loan)) {
+    if (left <= 0) break;
+
+    const toInterest = Math.min(left, roundMoney(line.interest - line.interestPaid));
+    left = roundMoney(left - toInterest);
+    const toPrincipal = Math.min(left, roundMoney(line.principal - line.principalPaid));
+    left = roundMoney(left - toPrincipal);
+
+    line.interestPaid = roundMoney(line.interestPaid + toInterest);
+    line.principalPaid = roundMoney(line.principalPaid + toPrincipal);
+    if (instalmentDue(line) <= 0) {
+      line.status = 'paid';
+      line.paidAt = at;
+    }
+
+    interest = roundMoney(interest + toInterest);
+    principal = roundMoney(principal + toPrincipal);
+    instalments.push(line.number);
+  }
+
+  return { interest, principal, instalments };
+};
+
+// Pay EMIs from the borrower's account into the loan pool. Without an
+// amount, whatever is due is paid (or the next EMI if nothing is due yet).
+// The loan closes when its last instalment is paid.
+const repayLoan = async (loanId, { userId = null, amount = null, source = 'manual', at = new Date() } = {}) => {
+  return runInTransaction(async (session) => {
+    const loan = await Loan.findById(loanId).session(session);
+    if (!loan) {
+      throw new ServiceError('Loan not found', 404);
+    }
+    if (userId && loan.user.toString() !== userId.toString()) {
+      throw new ServiceError('Access denied to this loan', 403);
+    }
+    if (loan.status !== 'active') {
+      throw new ServiceError('Only active loans can be repaid');
+    }
+
+    const payable = payableNow(loan, at);
+    amount = roundMoney(amount ?? (amountDue(loan, at) || payable));
+    if (amount > payable) {
+      throw new ServiceError('Amount exceeds the EMIs due', 400, { payable });
+    }
+
+    const borrower = await User.findById(loan.user).session(session);
+    if (!borrower || !borrower.isActive) {
+      throw new ServiceError('Borrower account not found', 404);
+    }
+    if (borrower.accountBalance < amount) {
+      throw new ServiceError('Insufficient balance to pay the EMI', 400, { amountDue: amount });
+    }
+
+    const charges = settleCharges(loan, amount);
+    const allocation = allocatePayment(loan, charges.left, at);
+    const description = allocation.instalments.length
+      ? `EMI ${allocation.instalments.join(', ')} for ${loan.loanType} loan`
+      : `Overdue charges for ${loan.loanType} loan`;
+
+    const transaction = await postRepayment(loan, borrower, {
+      amount: roundMoney(amount - charges.lateFee - charges.gst),
+      fees: charges.lateFee,
+      gst: charges.gst,
+      feeLabel: 'Loan late payment fee',
+      description,
+      at
+    }, session);
+
+    loan.repayments.push({
+      amount: transaction.amount,
+      ...allocation,
+      interest: roundMoney(allocation.interest + charges.penalInterest),
+      penalty: charges.lateFee,
+      gst: charges.gst,
+      source,
+      transaction: transaction._id,
+      paidAt: at
+    });
+
+    if (!unpaidLines(loan).length) {
+      loan.status = 'closed';
+      loan.closedAt = at;
+      loan.closureType = 'repaid';
+    }
+    updateDelinquency(loan, at);
+    scheduleNextDebit(loan);
+    if (source === 'auto') loan.lockedUntil = undefined;
+    await loan.save({ session });
+
+    return { loan, transaction, allocation };
+  });
+};
+
+// Auto-debit the EMIs due on a loan claimed by the job. A failed debit is
+// recorded on the instalment and retried until LOAN_MAX_ATTEMPTS.
+const collectDueEmi = async (loanId, now = new Date()) => {
+  try {
+    // The loan may have gone since it was claimed
+    const loan = await Loan.findById(loanId);
+    if (!loan) return null;
+
+    const due = amountDue(loan, now);
+
+    // Paid by hand since the debit was scheduled
+    if (!due) {
+      scheduleNextDebit(loan);
+      loan.lockedUntil = undefined;
+      await loan.save();
+      return null;
+    }
+
+    return await repayLoan(loanId, { amount: due, source: 'auto', at: now });
+  } catch (error) {
+    if (!(error instanceof ServiceError)) {
+      console.error('Loan EMI auto-debit error:', error);
+    }
+
+    // The session rolled back, so record the failed attempt on its own
+    const loan = await Loan.findById(loanId);
+    if (!loan) return null;
+
+    const line = unpaidLines(loan).find(item => item.attempts < LOAN_MAX_ATTEMPTS && item.dueDate <= now);
+    if (line) {
+      line.attempts += 1;
+      line.lastAttemptAt = now;
+      line.lastError = error instanceof ServiceError ? error.message : 'Internal error';
+    }
+    scheduleNextDebit(loan);
+    loan.lockedUntil = undefined;
+    await loan.save();
+    return null;
+  }
+};
+
+// Pay out an approved loan, or the next tranche of an active home loan,
+// from the loan pool into the borrower's account. The processing fee and
+// GST are debited from the borrower as separate lines. The first payout
+// activates the loan; each one re-plans the schedule on what is owed.
+const disburseLoan = async (loanId, operator, amount = null) => {
+  return runInTransaction(async (session) => {
+    const loan = await Loan.findById(loanId).session(session);
+    if (!loan) {
+      throw new ServiceError('Loan not found', 404);
+    }
+
+    const isFirst = loan.status === 'approved';
+    if (!isFirst && loan.status !== 'active') {
+      throw new ServiceError('Only approved loans can be disbursed');
+    }
+
+    const undisbursed = roundMoney(loan.amount - loan.disbursedAmount);
+    if (undisbursed <= 0) {
+      throw new ServiceError('Loan has already been fully disbursed');
+    }
+
+    amount = roundMoney(amount ?? undisbursed);
+    if (amount > undisbursed) {
+      throw new ServiceError('Amount exceeds the undisbursed loan amount', 400, { undisbursed });
+    }
+    if (amount < undisbursed && !TRANCHE_LOAN_TYPES.includes(loan.loanType)) {
+      throw new ServiceError(`Only ${TRANCHE_LOAN_TYPES.join(', ')} loans can be disbursed in tranches`);
+    }
+
+    const borrower = await User.findById(loan.user).session(session);
+    if (!borrower || !borrower.isActive) {
+      throw new ServiceError('Borrower account not found', 404);
+    }
+
+    const { fee, gst } = trancheCharges(loan, amount);
+    const pool = await getSystemAccount('loans', session);
+    const now = new Date();
+    const label = loan.disbursements.length
+      ? `Loan disbursement tranche ${loan.disbursements.length + 1}`
+      : 'Loan disbursement';
+
+    const transaction = new Transaction({
+      sender: pool._id,
+      receiver: borrower._id,
+      amount,
+      fees: fee,
+      gst,
+      type: 'loan_disbursement',
+      description: `${label} (${loan.loanType} loan)`,
+      loan: loan._id,
+      status: 'completed',
+      completedAt: now
+    });
+    await categoriseTransaction(transaction, session);
+
+    const legs = [
+      { account: pool, direction: 'debit', amount },
+      { account: borrower, direction: 'credit', amount }
+    ];
+    if (fee > 0) {
+      legs.push(
+        { account: borrower, direction: 'debit', amount: fee, description: 'Loan processing fee' },
+        { account: await getSystemAccount('fees', session), direction: 'credit', amount: fee },
+        { account: borrower, direction: 'debit', amount: gst, description: 'GST on loan processing fee' },
+        { account: await getSystemAccount('gst', session), direction: 'credit', amount: gst }
+      );
+    }
+
+    await postEntries(transaction, legs, session);
+    await transaction.save({ session });
+
+    const outstanding = isFirst ? 0 : loan.remainingBalance;
+    if (isFirst) {
+      loan.status = 'active';
+      loan.disbursedAt = now;
+    }
+    loan.disbursedAmount = roundMoney(loan.disbursedAmount + amount);
+    loan.disbursements.push({
+      amount,
+      processingFee: fee,
+      gst,
+      transaction: transaction._id,
+      disbursedBy: operator._id,
+      disbursedAt: now
+    });
+    regenerateSchedule(loan, roundMoney(outstanding + amount));
+    scheduleNextDebit(loan);
+    await loan.save({ session });
+
+    return { loan, transaction };
+  });
+};
+
+// Prepayment charge and GST on `principal` repaid early
+const prepaymentCharges = (loan, principal) => {
+  const penalty = roundMoney(principal * (PREPAYMENT_PENALTIES[loan.loanType] || 0) / 100);
+  return { penalty, gst: roundMoney(penalty * GST_RATE) };
+};
+
+// What closing the loan on `at` costs: the principal still owed, interest
+// on instalments already due, interest accrued since the last due date on
+// the rest, and the prepayment charge on the principal not yet due
+const foreclosureQuote = (loan, at = new Date()) => {
+  const pending = unpaidLines(loan);
+  const due = pending.filter(line => line.dueDate <= at);
+  const upcoming = pending.find(line => line.dueDate > at);
+
+  const outstandingPrincipal = roundMoney(pending.reduce((sum, line) => sum + line.principal - line.principalPaid, 0));
+  const overdueInterest = roundMoney(due.reduce((sum, line) => sum + line.interest - line.interestPaid, 0));
+
+  // Interest runs from the last due date, or disbursement, on what is left
+  // once the due instalments are paid, less any paid ahead on the next EMI
+  let accruedInterest = 0;
+  let prepaidPrincipal = 0;
+  if (upcoming) {
+    const lastDue = [...loan.schedule].reverse().find(line => line.dueDate <= at);
+    const from = lastDue ? lastDue.dueDate : loan.disbursedAt;
+    const days = Math.max(Math.floor((at - from) / DAY_MS), 0);
+    prepaidPrincipal = roundMoney(upcoming.openingBalance - upcoming.principalPaid);
+    accruedInterest = Math.max(
+      roundMoney(prepaidPrincipal * loan.interestRate / 100 / 365 * days - upcoming.interestPaid), 0
+    );
+  }
+
+  const { penalty, gst } = prepaymentCharges(loan, prepaidPrincipal);
+  const overdueCharges = chargesDue(loan);
+  return {
+    asOf: at,
+    outstandingPrincipal,
+    overdueInterest,
+    accruedInterest,
+    overdueCharges,
+    prepaymentPenaltyRate: PREPAYMENT_PENALTIES[loan.loanType] || 0,
+    prepaymentPenalty: penalty,
+    gst,
+    total: roundMoney(outstandingPrincipal + overdueInterest + accruedInterest + overdueCharges + penalty + gst)
+  };
+};
+
+// Debit a loan payment from the borrower: `amount` into the loan pool, and
+// any fees (late fee, prepayment charge) and their GST as separate lines.
+// Budget alerts raised go in `transaction.$locals.budgetAlerts`.
+const postRepayment = async (loan, borrower, { amount, fees = 0, gst = 0, feeLabel = 'Loan charges', description, at }, session) => {
+  const total = roundMoney(amount + fees + gst);
+  if (borrower.accountBalance < total) {
+    throw new ServiceError('Insufficient balance for this payment', 400, { required: total });
+  }
+
+  const pool = await getSystemAccount('loans', session);
+  const transaction = new Transaction({
+    sender: borrower._id,
+    receiver: pool._id,
+    amount,
+    fees,
+    gst,
+    type: 'loan_repayment',
+    description,
+    loan: loan._id,
+    status: 'completed',
+    completedAt: at
+  });
+  await categoriseTransaction(transaction, session);
+
+  const legs = [
+    { account: borrower, direction: 'debit', amount },
+    { account: pool, direction: 'credit', amount }
+  ];
+  if (fees > 0) {
+    legs.push(
+      { account: borrower, direction: 'debit', amount: fees, description: feeLabel },
+      { account: await getSystemAccount('fees', session), direction: 'credit', amount: fees },
+      { account: borrower, direction: 'debit', amount: gst, description: `GST on ${feeLabel.toLowerCase()}` },
+      { account: await getSystemAccount('gst', session), direction: 'credit', amount: gst }
+    );
+  }
+
+  await postEntries(transaction, legs, session);
+  await transaction.save({ session });
+  transaction.$locals.budgetAlerts = await trackSpending(transaction, session);
+  return transaction;
+};
+
+const findActiveLoan = async (loanId, userId, session) => {
+  const loan = await Loan.findById(loanId).session(session);
+  if (!loan) {
+    throw new ServiceError('Loan not found', 404);
+  }
+  if (loan.user.toString() !== userId.toString()) {
+    throw new ServiceError('Access denied to this loan', 403);
+  }
+  if (loan.status !== 'active') {
+    throw new ServiceError('Only active loans can be prepaid');
+  }
+  return loan;
+};
+
+// Pay part of the principal early. Anything due, and the rest of a
+// part-paid EMI, is settled first; the remainder comes off the principal
+// and the schedule is re-planned with a lower EMI or fewer instalments.
+const prepayLoan = async (loanId, userId, { amount, option = 'reduce_emi' }) => {
+  return runInTransaction(async (session) => {
+    const loan = await findActiveLoan(loanId, userId, session);
+    const at = new Date();
+
+    const upcoming = unpaidLines(loan).find(line => line.dueDate > at);
+    if (!upcoming) {
+      throw new ServiceError('No instalments are left to prepay; pay the EMIs due instead');
+    }
+
+    const partPaid = upcoming.interestPaid > 0 || upcoming.principalPaid > 0;
+    const settle = roundMoney(amountDue(loan, at) + (partPaid ? instalmentDue(upcoming) : 0));
+    const principal = roundMoney(amount - settle);
+    if (principal <= 0) {
+      throw new ServiceError('Amount must be more than the EMIs due', 400, { amountDue: settle });
+    }
+
+    const charges = settleCharges(loan, settle);
+    const allocation = allocatePayment(loan, charges.left, at);
+    const outstanding = roundMoney(unpaidLines(loan).reduce((sum, line) => sum + line.principal, 0));
+    if (principal >= outstanding) {
+      throw new ServiceError('Amount would clear the loan; use foreclosure instead', 400, { outstanding });
+    }
+
+    const { penalty, gst } = prepaymentCharges(loan, principal);
+    const borrower = await User.findById(loan.user).session(session);
+    const transaction = await postRepayment(loan, borrower, {
+      amount: roundMoney(amount - charges.lateFee - charges.gst),
+      fees: roundMoney(penalty + charges.lateFee),
+      gst: roundMoney(gst + charges.gst),
+      feeLabel: 'Loan prepayment charge',
+      description: `Part-payment of ${loan.loanType} loan`,
+      at
+    }, session);
+
+    regenerateSchedule(loan, roundMoney(outstanding - principal), {
+      emi: option === 'reduce_tenure' ? loan.monthlyPayment : undefined
+    });
+
+    loan.repayments.push({
+      amount: transaction.amount,
+      interest: roundMoney(allocation.interest + charges.penalInterest),
+      principal: roundMoney(allocation.principal + principal),
+      penalty: roundMoney(penalty + charges.lateFee),
+      gst: roundMoney(gst + charges.gst),
+      instalments: allocation.instalments,
+      kind: 'prepayment',
+      option,
+      transaction: transaction._id,
+      paidAt: at
+    });
+    updateDelinquency(loan, at);
+    scheduleNextDebit(loan);
+    await loan.save({ session });
+
+    return { loan, transaction };
+  });
+};
+
+// Close the loan early for the foreclosure quote. Due instalments are paid
+// off and the current one becomes the final instalment, carrying the
+// remaining principal and the interest accrued to today.
+const forecloseLoan = async (loanId, userId) => {
+  return runInTransaction(async (session) => {
+    const loan = await findActiveLoan(loanId, userId, session);
+    const at = new Date();
+    const quote = foreclosureQuote(loan, at);
+
+    const borrower = await User.findById(loan.user).session(session);
+    const charges = settleCharges(loan, quote.overdueCharges);
+    const amount = roundMoney(
+      quote.outstandingPrincipal + quote.overdueInterest + quote.accruedInterest + charges.penalInterest
+    );
+    const transaction = await postRepayment(loan, borrower, {
+      amount,
+      fees: roundMoney(quote.prepaymentPenalty + charges.lateFee),
+      gst: roundMoney(quote.gst + charges.gst),
+      feeLabel: 'Loan foreclosure charges',
+      description: `Foreclosure of ${loan.loanType} loan`,
+      at
+    }, session);
+
+    const due = unpaidLines(loan).filter(line => line.dueDate <= at);
+    allocatePayment(loan, emisDue(loan, at), at);
+
+    const final = unpaidLines(loan)[0];
+    if (final) {
+      final.principal = roundMoney(final.openingBalance);
+      final.interest = roundMoney(final.interestPaid + quote.accruedInterest);
+      final.emi = roundMoney(final.principal + final.interest);
+      final.closingBalance = 0;
+      final.interestPaid = final.interest;
+      final.principalPaid = final.principal;
+      final.status = 'paid';
+      final.paidAt = at;
+      loan.schedule = loan.schedule.filter(line => line.number <= final.number);
+    }
+
+    loan.repayments.push({
+      amount,
+      interest: roundMoney(quote.overdueInterest + quote.accruedInterest + charges.penalInterest),
+      principal: quote.outstandingPrincipal,
+      penalty: roundMoney(quote.prepaymentPenalty + charges.lateFee),
+      gst: roundMoney(quote.gst + charges.gst),
+      instalments: [...due.map(line => line.number), ...(final ? [final.number] : [])],
+      kind: 'foreclosure',
+      transaction: transaction._id,
+      paidAt: at
+    });
+    loan.status = 'closed';
+    loan.closedAt = at;
+    loan.closureType = 'foreclosure';
+    updateDelinquency(loan, at);
+    scheduleNextDebit(loan);
+    await loan.save({ session });
+
+    return { loan, transaction, quote };
+  });
+};
+
+// Daily late-payment run for one loan: levy late fees on EMIs past the
+// grace period, accrue penal interest on overdue EMIs for the days since
+// the last run and roll the loan between delinquency buckets. Penal
+// interest is accrued per day, so running more than once a day is harmless.
+// Releases the lock taken by the delinquency job.
+const assessLoan = async (loanId, now = new Date()) => {
+  return runInTransaction(async (session) => {
+    const loan = await Loan.findById(loanId).session(session);
+    if (!loan || loan.status !== 'active') return null;
+
+    const today = dayStart(now);
+    const overdue = unpaidLines(loan).filter(line => line.dueDate < today);
+
+    for (const line of overdue) {
+      if (!line.lateFeeCharged && daysBetween(line.dueDate, today) > PENALTY_POLICY.graceDays) {
+        line.lateFeeCharged = true;
+        loan.overdueCharges.lateFee = roundMoney(loan.overdueCharges.lateFee + PENALTY_POLICY.lateFee);
+        loan.overdueCharges.gst = roundMoney(loan.overdueCharges.gst + roundMoney(PENALTY_POLICY.lateFee * GST_RATE));
+      }
+
+      // Each EMI accrues from its due date or the last run, whichever is later
+      const from = loan.penalAccruedTo > line.dueDate ? loan.penalAccruedTo : line.dueDate;
+      const penal = instalmentDue(line) * PENALTY_POLICY.penalRate / 100 / 365 * daysBetween(from, today);
+      loan.overdueCharges.penalInterest = roundMoney(loan.overdueCharges.penalInterest + penal);
+    }
+    loan.penalAccruedTo = today;
+
+    updateDelinquency(loan, now);
+    loan.lockedUntil = undefined;
+    await loan.save({ session });
+    return loan;
+  });
+};
+
+module.exports = {
+  PROCESSING_FEES,
+  TRANCHE_LOAN_TYPES,
+  LOAN_MAX_ATTEMPTS,
+  LOAN_RETRY_DELAY_MS,
+  PREPAYMENT_PENALTIES,
+  PREPAYMENT_OPTIONS,
+  PENALTY_POLICY,
+  DELINQUENCY_BUCKETS,
+  processingFeeFor,
+  regenerateSchedule,
+  instalmentDue,
+  emisDue,
+  chargesDue,
+  amountDue,
+  payableNow,
+  daysPastDue,
+  bucketFor,
+  disburseLoan,
+  repayLoan,
+  collectDueEmi,
+  foreclosureQuote,
+  prepayLoan,
+  forecloseLoan,
+  assessLoan
+};
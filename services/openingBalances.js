@@ -0,0 +1,91 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { toPaise, roundMoney, getLedgerBalance } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { runInTransaction } = require('./transaction');
+
+const DESCRIPTION = 'Opening balance brought forward';
+
+// Bring an account's pre-ledger balance into the ledger: whatever part of
+// accountBalance no entry explains is posted once against the equity
+// account. The entry is dated before the account's first ledger entry so
+// statements and daily balances start from it. accountBalance already holds
+// the amount, so only the equity account's balance moves.
+const postOpeningBalance = async (userId) => {
+  return runInTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user || user.isSystem) return null;
+
+    const existing = await Transaction.exists({ receiver: user._id, type: 'opening_balance' }).session(session);
+    if (existing) return null;
+
+    const opening = roundMoney(user.accountBalance - await getLedgerBalance(user._id, session));
+    if (toPaise(opening) === 0) return null;
+
+    const first = await LedgerEntry.findOne({ account: user._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session);
+    const postedAt = first && first.createdAt <= user.createdAt
+      ? new Date(first.createdAt.getTime() - 1)
+      : user.createdAt;
+
+    const amount = Math.abs(opening);
+    const credit = opening > 0;
+    const equity = await getSystemAccount('equity', session);
+
+    const transaction = new Transaction({
+      sender: equity._id,
+      receiver: user._id,
+      amount,
+      type: 'opening_balance',
+      description: DESCRIPTION,
+      status: 'completed',
+      createdAt: postedAt,
+      completedAt: postedAt
+    });
+
+    equity.accountBalance = roundMoney(equity.accountBalance + (credit ? -amount : amount));
+    await equity.save({ session });
+
+    await LedgerEntry.insertMany([
+      {
+        transaction: transaction._id,
+        account: user._id,
+        direction: credit ? 'credit' : 'debit',
+        amount,
+        balanceAfter: opening,
+        description: DESCRIPTION,
+        createdAt: postedAt
+      },
+      {
+        transaction: transaction._id,
+        account: equity._id,
+        direction: credit ? 'debit' : 'credit',
+        amount,
+        balanceAfter: equity.accountBalance,
+        description: DESCRIPTION,
+        createdAt: postedAt
+      }
+    ], { session });
+    await transaction.save({ session });
+    return transaction;
+  });
+};
+
+// One-time migration for accounts opened before the ledger existed. Safe to
+// re-run: accounts that already have an opening balance are skipped.
+const backfillOpeningBalances = async () => {
+  const customers = await User.find({ isSystem: { $ne: true } }, '_id');
+
+  let posted = 0;
+  for (const { _id } of customers) {
+    if (await postOpeningBalance(_id)) posted += 1;
+  }
+  return { accounts: customers.length, posted };
+};
+
+module.exports = {
+  postOpeningBalance,
+  backfillOpeningBalances
+};
@@ -0,0 +1,68 @@
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+
+const ACCOUNT_NUMBER_PATTERN = /^IB[0-9A-Z]+$/i;
+const VPA_PATTERN = /^[a-zA-Z0-9._-]+@[a-zA-Z]{3,}$/;
+const MOBILE_PATTERN = /^[0-9]{10}$/;
+// Only the 24-hex form; any 12-character string would also pass as an ObjectId
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+// Work out what kind of identifier the payer typed
+const identifierType = (identifier) => {
+  if (ACCOUNT_NUMBER_PATTERN.test(identifier)) return 'accountNumber';
+  if (VPA_PATTERN.test(identifier)) return 'upiId';
+  if (MOBILE_PATTERN.test(identifier)) return 'mobile';
+  if (OBJECT_ID_PATTERN.test(identifier)) return 'id';
+  return null;
+};
+
+// Find the active customer behind an account number, VPA or mobile number
+const resolvePayee = async (identifier) => {
+  identifier = String(identifier || '').trim();
+  const type = identifierType(identifier);
+
+  let query;
+  switch (type) {
+    case 'accountNumber':
+      query = { accountNumber: identifier.toUpperCase() };
+      break;
+    case 'upiId':
+      query = { upiDetails: { $elemMatch: { upiId: identifier, isActive: true } } };
+      break;
+    case 'mobile':
+      query = { mobile: identifier };
+      break;
+    case 'id':
+      query = { _id: identifier };
+      break;
+    default:
+      throw new ServiceError('Enter a valid account number, UPI ID or mobile number');
+  }
+
+  const payee = await User.findOne({ ...query, isActive: true, isSystem: { $ne: true } });
+  if (!payee) {
+    throw new ServiceError('Payee not found', 404);
+  }
+
+  return { payee, identifierType: type };
+};
+
+// "RAHUL SHARMA" -> "R**** S*****"
+const maskName = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => part[0] + '*'.repeat(part.length - 1))
+  .join(' ');
+
+// Masked details shown to the payer to confirm who they are paying
+const getPayeePreview = (payee, type) => ({
+  name: maskName(payee.debitCard?.cardHolder || payee.username),
+  accountNumber: '****' + payee.accountNumber.slice(-4),
+  identifierType: type
+});
+
+module.exports = {
+  resolvePayee,
+  getPayeePreview,
+  maskName
+};
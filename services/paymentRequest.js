@@ -0,0 +1,137 @@
+const PaymentRequest = require('../models/PaymentRequest');
+const { ServiceError } = require('./errors');
+const { resolvePayee } = require('./payee');
+const { runInTransaction, executeTransaction } = require('./transaction');
+const { envNumber } = require('./env');
+
+// Requests expire after this long unless the requester picks a time
+const DEFAULT_EXPIRY_HOURS = envNumber('PAYMENT_REQUEST_EXPIRY_HOURS', 48);
+const MAX_EXPIRY_DAYS = 30;
+const LOCK_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Ask another customer, found by account number, UPI ID or mobile, to pay
+const createPaymentRequest = async (requester, { payerIdentifier, amount, note, expiresAt }, now = new Date()) => {
+  const { payee: payer } = await resolvePayee(payerIdentifier);
+  if (payer._id.toString() === requester._id.toString()) {
+    throw new ServiceError('Cannot request money from your own account');
+  }
+
+  expiresAt = expiresAt || new Date(now.getTime() + DEFAULT_EXPIRY_HOURS * HOUR_MS);
+  if (expiresAt <= now) {
+    throw new ServiceError('Expiry must be in the future');
+  }
+  if (expiresAt > new Date(now.getTime() + MAX_EXPIRY_DAYS * 24 * HOUR_MS)) {
+    throw new ServiceError(`Expiry must be within ${MAX_EXPIRY_DAYS} days`);
+  }
+
+  return PaymentRequest.create({
+    requester: requester._id,
+    payer: payer._id,
+    amount,
+    note,
+    expiresAt
+  });
+};
+
+// A pending request addressed to the payer, or the reason it cannot be acted on
+const findPendingRequest = async (requestId, payer, now) => {
+  const request = await PaymentRequest.findById(requestId);
+  if (!request) {
+    throw new ServiceError('Payment request not found', 404);
+  }
+
+  if (request.payer.toString() !== payer._id.toString()) {
+    throw new ServiceError('Only the payer can respond to this request', 403);
+  }
+
+  if (request.status === 'pending' && request.expiresAt <= now) {
+    request.status = 'expired';
+    await request.save();
+  }
+
+  if (request.status !== 'pending') {
+    throw new ServiceError(`Payment request is already ${request.status}`, 409);
+  }
+
+  return request;
+};
+
+// Pay a request with a transfer to the requester through the normal flow,
+// so limits, fees and categorisation apply. The request is locked while
+// paying so a double submit cannot pay it twice, and marked paid in the
+// transfer's session so the two commit together.
+const approvePaymentRequest = async (requestId, payer, now = new Date()) => {
+  await findPendingRequest(requestId, payer, now);
+
+  const request = await PaymentRequest.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'pending',
+      expiresAt: { $gt: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS) },
+    { new: true }
+  );
+  if (!request) {
+    throw new ServiceError('Payment request is already being processed', 409);
+  }
+
+  try {
+    return await runInTransaction(async (session) => {
+      const current = await PaymentRequest.findById(request._id).session(session);
+      if (current.status !== 'pending') {
+        throw new ServiceError(`Payment request is already ${current.status}`, 409);
+      }
+
+      const transaction = await executeTransaction({
+        senderId: payer._id,
+        receiverId: current.requester,
+        amount: current.amount,
+        type: 'transfer',
+        description: current.note || 'Payment request',
+        session
+      });
+
+      current.status = 'paid';
+      current.transaction = transaction._id;
+      current.respondedAt = new Date();
+      current.lockedUntil = undefined;
+      await current.save({ session });
+
+      return { request: current, transaction };
+    });
+  } catch (error) {
+    await PaymentRequest.updateOne({ _id: request._id }, { $unset: { lockedUntil: 1 } });
+    throw error;
+  }
+};
+
+const declinePaymentRequest = async (requestId, payer, reason, now = new Date()) => {
+  const request = await findPendingRequest(requestId, payer, now);
+
+  const declined = await PaymentRequest.findOneAndUpdate(
+    {
+      _id: request._id,
+      status: 'pending',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    { status: 'declined', declineReason: reason, respondedAt: now },
+    { new: true }
+  );
+  if (!declined) {
+    throw new ServiceError('Payment request is already being processed', 409);
+  }
+
+  return declined;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_HOURS,
+  MAX_EXPIRY_DAYS,
+  createPaymentRequest,
+  approvePaymentRequest,
+  declinePaymentRequest
+};
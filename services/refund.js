@@ -0,0 +1,81 @@
+const Refund = require('../models/Refund');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries, roundMoney } = require('./ledger');
+const { runInTransaction } = require('./transaction');
+const { categoriseTransaction } = require('./categories');
+const { releaseSpending } = require('./budget');
+
+// Amount of a transaction still open to refund requests, counting
+// requests that are waiting for approval
+const refundableAmount = async (transaction) => {
+  const pending = await Refund.aggregate([
+    { $match: { transaction: transaction._id, status: 'pending' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return roundMoney(transaction.amount - transaction.refundedAmount - (pending[0]?.total || 0));
+};
+
+// Approve a pending refund: create the linked reversal transaction and move
+// the money back from the original receiver to the original sender.
+const approveRefund = async (refundId, approver) => {
+  return runInTransaction(async (session) => {
+    const refund = await Refund.findById(refundId).session(session);
+    if (!refund || refund.status !== 'pending') {
+      throw new ServiceError('Pending refund request not found', 404);
+    }
+
+    const isPayer = refund.payer.toString() === approver._id.toString();
+    if (!isPayer && approver.role !== 'operator') {
+      throw new ServiceError('Only the receiver or an operator can approve this refund', 403);
+    }
+
+    const original = await Transaction.findById(refund.transaction).session(session);
+    if (roundMoney(original.refundedAmount + refund.amount) > original.amount) {
+      throw new ServiceError('Refund exceeds the amount left to refund');
+    }
+
+    const payer = await User.findById(refund.payer).session(session);
+    const payee = await User.findById(refund.requestedBy).session(session);
+    if (payer.accountBalance < refund.amount) {
+      throw new ServiceError('Receiver has insufficient balance for this refund');
+    }
+
+    const reversal = new Transaction({
+      sender: payer._id,
+      receiver: payee._id,
+      amount: refund.amount,
+      type: 'reversal',
+      description: `Refund of ${original.reference}`,
+      originalTransaction: original._id,
+      status: 'completed',
+      completedAt: new Date()
+    });
+    await categoriseTransaction(reversal, session);
+
+    await postEntries(reversal, [
+      { account: payer, direction: 'debit', amount: refund.amount },
+      { account: payee, direction: 'credit', amount: refund.amount }
+    ], session);
+    await reversal.save({ session });
+
+    original.refundedAmount = roundMoney(original.refundedAmount + refund.amount);
+    original.reversals.push(reversal._id);
+    await original.save({ session });
+    await releaseSpending(original, refund.amount, session);
+
+    refund.status = 'approved';
+    refund.decidedBy = approver._id;
+    refund.decidedAt = new Date();
+    refund.reversalTransaction = reversal._id;
+    await refund.save({ session });
+
+    return { refund, reversal };
+  });
+};
+
+module.exports = {
+  refundableAmount,
+  approveRefund
+};
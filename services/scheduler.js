@@ -0,0 +1,41 @@
+// Minimal in-process job scheduler. Each job runs on its own interval and
+// never overlaps with itself; errors are logged and the job keeps running.
+const jobs = [];
+
+const registerJob = (name, intervalMs, run) => {
+  jobs.push({ name, intervalMs, run, running: false, timer: null });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.run(new Date());
+  } catch (error) {
+    console.error(`Scheduled job ${job.name} error:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startScheduler = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+  });
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler,
+  runJob
+};
@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+const LedgerEntry = require('../models/LedgerEntry');
+const { roundMoney } = require('./ledger');
+
+// Name of the other party on a ledger line, from the account's side
+const counterpartyOf = (entry, accountId) => {
+  const transaction = entry.transaction;
+  if (!transaction) return '';
+
+  const other = transaction.sender?._id?.toString() === accountId.toString()
+    ? transaction.receiver
+    : transaction.sender;
+  if (!other || other._id.toString() === accountId.toString()) return '';
+  return other.username;
+};
+
+// Statement for an account over [from, to]: opening balance, one line per
+// ledger entry with the running balance, closing balance and totals by type.
+// Fees and GST appear as their own lines because they post separately.
+const buildStatement = async (user, from, to) => {
+  const previous = await LedgerEntry.findOne({ account: user._id, createdAt: { $lt: from } })
+    .sort({ createdAt: -1, _id: -1 });
+  const openingBalance = previous ? previous.balanceAfter : 0;
+
+  const entries = await LedgerEntry.find({
+    account: user._id,
+    createdAt: { $gte: from, $lte: to }
+  })
+    .populate({
+      path: 'transaction',
+      select: 'reference type currency sender receiver',
+      populate: [
+        { path: 'sender', select: 'username accountNumber' },
+        { path: 'receiver', select: 'username accountNumber' }
+      ]
+    })
+    .sort({ createdAt: 1, _id: 1 });
+
+  const totals = { debit: 0, credit: 0, byType: {} };
+  const lines = entries.map(entry => {
+    const type = entry.transaction?.type || 'other';
+    const debit = entry.direction === 'debit' ? entry.amount : 0;
+    const credit = entry.direction === 'credit' ? entry.amount : 0;
+
+    totals.debit += debit;
+    totals.credit += credit;
+    totals.byType[type] = totals.byType[type] || { debit: 0, credit: 0, count: 0 };
+    totals.byType[type].debit = roundMoney(totals.byType[type].debit + debit);
+    totals.byType[type].credit = roundMoney(totals.byType[type].credit + credit);
+    totals.byType[type].count += 1;
+
+    return {
+      id: entry._id.toString(),
+      date: entry.createdAt,
+      reference: entry.transaction?.reference || '',
+      currency: entry.transaction?.currency || 'INR',
+      type,
+      description: entry.description || '',
+      counterparty: counterpartyOf(entry, user._id),
+      debit,
+      credit,
+      balance: entry.balanceAfter
+    };
+  });
+
+  totals.debit = roundMoney(totals.debit);
+  totals.credit = roundMoney(totals.credit);
+
+  return {
+    account: {
+      accountNumber: user.accountNumber,
+      username: user.username,
+      currency: 'INR'
+    },
+    period: { from, to },
+    openingBalance,
+    closingBalance: lines.length ? lines[lines.length - 1].balance : openingBalance,
+    lines,
+    totals,
+    generatedAt: new Date()
+  };
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const formatAmount = (amount) => amount ? amount.toFixed(2) : '';
+
+// Quote a CSV field when it contains a separator, quote or newline, and
+// prefix text a spreadsheet would read as a formula with an apostrophe.
+// Plain numbers such as a negative balance are left alone.
+const csvField = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (statement) => {
+  const rows = [
+    ['Account Number', statement.account.accountNumber],
+    ['Account Holder', statement.account.username],
+    ['Period', `${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`],
+    ['Opening Balance', statement.openingBalance.toFixed(2)],
+    [],
+    ['Date', 'Reference', 'Type', 'Description', 'Counterparty', 'Debit', 'Credit', 'Balance'],
+    ...statement.lines.map(line => [
+      formatDate(line.date),
+      line.reference,
+      line.type,
+      line.description,
+      line.counterparty,
+      formatAmount(line.debit),
+      formatAmount(line.credit),
+      line.balance.toFixed(2)
+    ]),
+    [],
+    ['Closing Balance', statement.closingBalance.toFixed(2)],
+    ['Total Debits', statement.totals.debit.toFixed(2)],
+    ['Total Credits', statement.totals.credit.toFixed(2)],
+    ...Object.entries(statement.totals.byType).map(([type, total]) => [
+      `Total ${type}`, `Debit ${total.debit.toFixed(2)}`, `Credit ${total.credit.toFixed(2)}`, `Count ${total.count}`
+    ])
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Render the statement as a PDF in memory with pdfkit
+const toPDF = (statement) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const columns = [
+    { label: 'Date', width: 62 },
+    { label: 'Reference', width: 110 },
+    { label: 'Description', width: 140 },
+    { label: 'Debit', width: 62, align: 'right' },
+    { label: 'Credit', width: 62, align: 'right' },
+    { label: 'Balance', width: 79, align: 'right' }
+  ];
+
+  const drawRow = (values, font = 'Helvetica') => {
+    if (doc.y > doc.page.height - 60) doc.addPage();
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.font(font).fontSize(8);
+    columns.forEach((column, i) => {
+      doc.text(values[i], x, y, { width: column.width - 4, align: column.align || 'left', lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + 14;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Infinity Bank - Account Statement');
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Account Number: ${statement.account.accountNumber}`)
+    .text(`Account Holder: ${statement.account.username}`)
+    .text(`Period: ${formatDate(statement.period.from)} to ${formatDate(statement.period.to)}`)
+    .text(`Opening Balance: INR ${statement.openingBalance.toFixed(2)}`);
+  doc.moveDown();
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  statement.lines.forEach(line => drawRow([
+    formatDate(line.date),
+    line.reference,
+    line.counterparty ? `${line.description} (${line.counterparty})` : line.description,
+    formatAmount(line.debit),
+    formatAmount(line.credit),
+    line.balance.toFixed(2)
+  ]));
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`Closing Balance: INR ${statement.closingBalance.toFixed(2)}`);
+  doc.font('Helvetica').fontSize(9)
+    .text(`Total Debits: INR ${statement.totals.debit.toFixed(2)}    Total Credits: INR ${statement.totals.credit.toFixed(2)}`);
+  Object.entries(statement.totals.byType).forEach(([type, total]) => {
+    doc.text(`${type}: ${total.count} lines, debit ${total.debit.toFixed(2)}, credit ${total.credit.toFixed(2)}`);
+  });
+
+  doc.end();
+});
+
+module.exports = {
+  buildStatement,
+  toCSV,
+  toPDF
+};
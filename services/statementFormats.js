@@ -0,0 +1,246 @@
+// Bank-format exports of a statement built by services/statement.js.
+// Amounts are signed from the account holder's point of view: money in is
+// a credit (positive), money out a debit (negative).
+
+const BANK_ID = 'INFINITYBANK';
+
+const signedAmount = (line) => line.credit ? line.credit : -line.debit;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 20260131235959 (UTC)
+const ofxDate = (date) => date.getUTCFullYear() + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate()) +
+  pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds());
+
+// 260131
+const swiftDate = (date) => String(date.getUTCFullYear()).slice(2) + pad(date.getUTCMonth() + 1) + pad(date.getUTCDate());
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+// OFX transaction types for our ledger lines
+const ofxType = (line) => {
+  if (/^(Fee|GST) /.test(line.description)) return 'FEE';
+  if (line.type === 'deposit') return 'DEP';
+  if (line.type === 'withdrawal') return 'ATM';
+  if (line.type === 'payment') return 'PAYMENT';
+  if (line.type === 'interest') return 'INT';
+  return line.credit ? 'CREDIT' : 'DEBIT';
+};
+
+const toOFX = (statement) => {
+  const { account, period } = statement;
+  const transactions = statement.lines.map(line => [
+    '<STMTTRN>',
+    `<TRNTYPE>${ofxType(line)}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(line.date)}</DTPOSTED>`,
+    `<TRNAMT>${signedAmount(line).toFixed(2)}</TRNAMT>`,
+    `<FITID>${line.id}</FITID>`,
+    `<REFNUM>${escapeXml(line.reference)}</REFNUM>`,
+    line.counterparty ? `<NAME>${escapeXml(line.counterparty.slice(0, 32))}</NAME>` : '',
+    `<MEMO>${escapeXml(line.description)}</MEMO>`,
+    line.currency !== account.currency
+      ? `<ORIGCURRENCY><CURRATE>1</CURRATE><CURSYM>${line.currency}</CURSYM></ORIGCURRENCY>`
+      : '',
+    '</STMTTRN>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxDate(statement.generatedAt)}</DTSERVER>`,
+    '<LANGUAGE>ENG</LANGUAGE>',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1>',
+    '<STMTTRNRS>',
+    '<TRNUID>0</TRNUID>',
+    '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${account.currency}</CURDEF>`,
+    '<BANKACCTFROM>',
+    `<BANKID>${BANK_ID}</BANKID>`,
+    `<ACCTID>${escapeXml(account.accountNumber)}</ACCTID>`,
+    '<ACCTTYPE>SAVINGS</ACCTTYPE>',
+    '</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(period.from)}</DTSTART>`,
+    `<DTEND>${ofxDate(period.to)}</DTEND>`,
+    ...transactions,
+    '</BANKTRANLIST>',
+    '<LEDGERBAL>',
+    `<BALAMT>${statement.closingBalance.toFixed(2)}</BALAMT>`,
+    `<DTASOF>${ofxDate(period.to)}</DTASOF>`,
+    '</LEDGERBAL>',
+    '</STMTRS>',
+    '</STMTTRNRS>',
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+  ].join('\n');
+};
+
+// QIF is line-based, so a newline inside a field would start a new record
+const qifText = (text) => String(text ?? '').replace(/[\r\n]+/g, ' ');
+
+// QIF has no currency field, so the currency goes in the memo
+const toQIF = (statement) => {
+  const records = statement.lines.map(line => {
+    const date = line.date;
+    return [
+      `D${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()}`,
+      `T${signedAmount(line).toFixed(2)}`,
+      `N${qifText(line.reference)}`,
+      line.counterparty ? `P${qifText(line.counterparty)}` : null,
+      `M${qifText(line.description)} [${line.currency}]`,
+      '^'
+    ].filter(Boolean).join('\n');
+  });
+
+  return ['!Type:Bank', ...records, ''].join('\n');
+};
+
+// SWIFT amounts use a decimal comma and no thousands separator
+const swiftAmount = (amount) => Math.abs(amount).toFixed(2).replace('.', ',');
+const swiftMark = (amount) => amount < 0 ? 'D' : 'C';
+
+// Keep to the SWIFT X character set
+const swiftText = (text) => String(text || '').replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ');
+
+// :86: is at most 6 lines of 65 characters
+const swiftNarrative = (text) => text.slice(0, 6 * 65).match(/.{1,65}/g).join('\r\n');
+
+// :61: transaction type identification codes
+const swiftCode = (line) => {
+  if (/^(Fee|GST) /.test(line.description)) return 'NCHG';
+  if (line.type === 'interest') return 'NINT';
+  if (line.type === 'transfer' || line.type === 'reversal') return 'NTRF';
+  return 'NMSC';
+};
+
+const toMT940 = (statement) => {
+  const { account, period } = statement;
+  const currency = account.currency;
+  const lines = [
+    `:20:${swiftDate(statement.generatedAt)}${account.accountNumber.slice(-8)}`,
+    `:25:${account.accountNumber}`,
+    ':28C:00001/001',
+    `:60F:${swiftMark(statement.openingBalance)}${swiftDate(period.from)}${currency}${swiftAmount(statement.openingBalance)}`
+  ];
+
+  statement.lines.forEach(line => {
+    const amount = signedAmount(line);
+    const entryDate = swiftDate(line.date);
+    lines.push(
+      `:61:${entryDate}${entryDate.slice(2)}${swiftMark(amount)}${swiftAmount(amount)}` +
+        `${swiftCode(line)}${line.reference.slice(-16)}//${line.id.slice(-16)}`,
+      `:86:${swiftNarrative(`/REF/${swiftText(line.reference)}` +
+        (line.counterparty ? `/NAME/${swiftText(line.counterparty)}` : '') +
+        `/REMI/${swiftText(line.description).slice(0, 140)}`)}`
+    );
+  });
+
+  lines.push(
+    `:62F:${swiftMark(statement.closingBalance)}${swiftDate(period.to)}${currency}${swiftAmount(statement.closingBalance)}`,
+    '-'
+  );
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// ISO 20022 bank-to-customer statement (camt.053.001.02)
+const toCAMT053 = (statement) => {
+  const { account, period } = statement;
+  const statementId = `${account.accountNumber}-${isoDate(period.from)}-${isoDate(period.to)}`;
+
+  const balance = (code, amount, date) => [
+    '      <Bal>',
+    `        <Tp><CdOrPrtry><Cd>${code}</Cd></CdOrPrtry></Tp>`,
+    `        <Amt Ccy="${account.currency}">${Math.abs(amount).toFixed(2)}</Amt>`,
+    `        <CdtDbtInd>${amount < 0 ? 'DBIT' : 'CRDT'}</CdtDbtInd>`,
+    `        <Dt><Dt>${isoDate(date)}</Dt></Dt>`,
+    '      </Bal>'
+  ].join('\n');
+
+  const entries = statement.lines.map(line => {
+    const isCredit = signedAmount(line) > 0;
+    const role = isCredit ? 'Dbtr' : 'Cdtr';
+
+    return [
+      '      <Ntry>',
+      `        <NtryRef>${line.id}</NtryRef>`,
+      `        <Amt Ccy="${line.currency}">${Math.abs(signedAmount(line)).toFixed(2)}</Amt>`,
+      `        <CdtDbtInd>${isCredit ? 'CRDT' : 'DBIT'}</CdtDbtInd>`,
+      '        <Sts>BOOK</Sts>',
+      `        <BookgDt><DtTm>${line.date.toISOString()}</DtTm></BookgDt>`,
+      `        <ValDt><Dt>${isoDate(line.date)}</Dt></ValDt>`,
+      `        <AcctSvcrRef>${escapeXml(line.reference)}</AcctSvcrRef>`,
+      `        <BkTxCd><Prtry><Cd>${escapeXml(line.type)}</Cd></Prtry></BkTxCd>`,
+      '        <NtryDtls>',
+      '          <TxDtls>',
+      `            <Refs><EndToEndId>${escapeXml(line.reference)}</EndToEndId></Refs>`,
+      line.counterparty
+        ? `            <RltdPties><${role}><Nm>${escapeXml(line.counterparty)}</Nm></${role}></RltdPties>`
+        : null,
+      `            <RmtInf><Ustrd>${escapeXml(line.description)}</Ustrd></RmtInf>`,
+      '          </TxDtls>',
+      '        </NtryDtls>',
+      '      </Ntry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">',
+    '  <BkToCstmrStmt>',
+    '    <GrpHdr>',
+    `      <MsgId>${escapeXml(statementId)}</MsgId>`,
+    `      <CreDtTm>${statement.generatedAt.toISOString()}</CreDtTm>`,
+    '    </GrpHdr>',
+    '    <Stmt>',
+    `      <Id>${escapeXml(statementId)}</Id>`,
+    `      <CreDtTm>${statement.generatedAt.toISOString()}</CreDtTm>`,
+    '      <FrToDt>',
+    `        <FrDtTm>${period.from.toISOString()}</FrDtTm>`,
+    `        <ToDtTm>${period.to.toISOString()}</ToDtTm>`,
+    '      </FrToDt>',
+    '      <Acct>',
+    `        <Id><Othr><Id>${escapeXml(account.accountNumber)}</Id></Othr></Id>`,
+    `        <Ccy>${account.currency}</Ccy>`,
+    `        <Ownr><Nm>${escapeXml(account.username)}</Nm></Ownr>`,
+    '      </Acct>',
+    balance('OPBD', statement.openingBalance, period.from),
+    balance('CLBD', statement.closingBalance, period.to),
+    ...entries,
+    '    </Stmt>',
+    '  </BkToCstmrStmt>',
+    '</Document>',
+    ''
+  ].join('\n');
+};
+
+// Renderer, content type and file extension per export format
+const EXPORT_FORMATS = {
+  ofx: { render: toOFX, contentType: 'application/x-ofx', extension: 'ofx' },
+  qif: { render: toQIF, contentType: 'application/qif', extension: 'qif' },
+  mt940: { render: toMT940, contentType: 'text/plain; charset=utf-8', extension: 'sta' },
+  camt053: { render: toCAMT053, contentType: 'application/xml', extension: 'xml' }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toOFX,
+  toQIF,
+  toMT940,
+  toCAMT053
+};
@@ -0,0 +1,46 @@
+const User = require('../models/User');
+
+// Bank-owned accounts that sit on the other side of ledger postings
+// which have no customer counterparty.
+const SYSTEM_ACCOUNTS = {
+  cash: 'Cash deposits and withdrawals',
+  fees: 'Fee income',
+  gst: 'GST collected on fees',
+  interest: 'Interest paid on savings',
+  tds: 'Tax deducted at source',
+  deposits: 'Customer term deposits',
+  billers: 'Bill payments due to billers',
+  loans: 'Loan pool for disbursements and repayments',
+  equity: 'Opening balances brought forward'
+};
+
+// Find a system account by code, creating it on first use
+const getSystemAccount = async (code, session = null) => {
+  if (!SYSTEM_ACCOUNTS[code]) {
+    throw new Error(`Unknown system account: ${code}`);
+  }
+
+  const account = await User.findOne({ systemCode: code }).session(session);
+  if (account) return account;
+
+  const created = new User({
+    username: `system:${code}`,
+    isSystem: true,
+    systemCode: code
+  });
+  await created.save({ session });
+  return created;
+};
+
+// Create every system account up front so postings never race to create one
+const ensureSystemAccounts = async () => {
+  for (const code of Object.keys(SYSTEM_ACCOUNTS)) {
+    await getSystemAccount(code);
+  }
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  getSystemAccount,
+  ensureSystemAccounts
+};
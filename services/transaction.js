@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { ServiceError } = require('./errors');
+const { postEntries } = require('./ledger');
+const { getSystemAccount } = require('./systemAccounts');
+const { checkLimits } = require('./limits');
+const { payeeGuard } = require('./beneficiary');
+const { calculateFees } = require('./fees');
+const { categoriseTransaction } = require('./categories');
+const { trackSpending } = require('./budget');
+
+// Run `work(session)` inside a MongoDB multi-document transaction.
+// withTransaction retries the callback on transient errors such as write
+// conflicts between two concurrent transfers touching the same account.
+// A VersionError means a User document changed under an optimistic save.
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new ServiceError('Account was updated by another request, please retry', 409);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Move money for a transfer, payment, deposit or withdrawal. The Transaction
+// record and its ledger entries are written in one session so either all of
+// them commit or none do. Balances only change through ledger postings.
+// Transaction limits and the new-payee cooling cap always apply; `guards`
+// are further async checks run inside the session before any posting. A
+// guard rejects the transaction by throwing a ServiceError. Fees are
+// charged to the sender on top of the amount. Pass `session` to run inside
+// a caller's transaction, so the caller's own writes commit or roll back
+// together with the transfer. Budget alerts the spend raised are left in
+// `transaction.$locals.budgetAlerts` for the caller to show.
+const executeTransaction = async ({
+  senderId,
+  receiverId,
+  amount,
+  type,
+  description,
+  beneficiary,
+  guards = [],
+  session = null
+}) => {
+  amount = Number(amount);
+
+  if ((type === 'transfer' || type === 'payment') && senderId.toString() === receiverId.toString()) {
+    throw new ServiceError('Cannot transfer to your own account');
+  }
+
+  const work = async (session) => {
+    const sender = await User.findById(senderId).session(session);
+    if (!sender || !sender.isActive) {
+      throw new ServiceError('Sender account not found', 404);
+    }
+
+    const receiver = await User.findById(receiverId).session(session);
+    if (!receiver || !receiver.isActive) {
+      throw new ServiceError('Receiver not found', 404);
+    }
+
+    const transaction = new Transaction({
+      sender: sender._id,
+      receiver: receiver._id,
+      amount,
+      type,
+      description,
+      beneficiary: beneficiary?._id,
+      status: 'pending'
+    });
+
+    for (const guard of [checkLimits, payeeGuard, ...guards]) {
+      await guard({ sender, receiver, amount, type, session });
+    }
+
+    const charges = await calculateFees(sender, type, amount, session);
+    transaction.fees = charges.fee;
+    transaction.gst = charges.gst;
+
+    let legs = [];
+    if (type === 'transfer' || type === 'payment') {
+      if (sender.accountBalance < amount + charges.total) {
+        throw new ServiceError('Insufficient balance', 400, { charges: charges.total });
+      }
+
+      legs = [
+        { account: sender, direction: 'debit', amount },
+        { account: receiver, direction: 'credit', amount }
+      ];
+    } else if (type === 'deposit') {
+      if (charges.total > amount) {
+        throw new ServiceError('Deposit amount does not cover the charges', 400, { charges: charges.total });
+      }
+
+      const cash = await getSystemAccount('cash', session);
+      legs = [
+        { account: cash, direction: 'debit', amount },
+        { account: sender, direction: 'credit', amount }
+      ];
+    } else if (type === 'withdrawal') {
+      if (sender.accountBalance < amount + charges.total) {
+        throw new ServiceError('Insufficient balance for withdrawal', 400, { charges: charges.total });
+      }
+
+      const cash = await getSystemAccount('cash', session);
+      legs = [
+        { account: sender, direction: 'debit', amount },
+        { account: cash, direction: 'credit', amount }
+      ];
+    }
+
+    // Fees and GST post as their own lines so statements can list them
+    if (legs.length && charges.total > 0) {
+      legs.push(
+        { account: sender, direction: 'debit', amount: charges.fee, description: `Fee for ${type}` },
+        { account: await getSystemAccount('fees', session), direction: 'credit', amount: charges.fee },
+        { account: sender, direction: 'debit', amount: charges.gst, description: `GST on ${type} fee` },
+        { account: await getSystemAccount('gst', session), direction: 'credit', amount: charges.gst }
+      );
+    }
+
+    await categoriseTransaction(transaction, session);
+
+    if (legs.length) {
+      await postEntries(transaction, legs, session);
+      transaction.status = 'completed';
+      transaction.completedAt = new Date();
+    }
+
+    await transaction.save({ session });
+    transaction.$locals.budgetAlerts = await trackSpending(transaction, session);
+    return transaction;
+  };
+
+  return session ? work(session) : runInTransaction(work);
+};
+
+module.exports = {
+  runInTransaction,
+  executeTransaction
+};
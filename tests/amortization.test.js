@@ -0,0 +1,66 @@
+const {
+  calculateEmi,
+  dueDateFor,
+  buildSchedule,
+  scheduleTotals
+} = require('../services/amortization');
+
+describe('calculateEmi', () => {
+  test('uses the reducing-balance formula, rounded to the paisa', () => {
+    expect(calculateEmi(100000, 12, 12)).toBe(8884.88);
+  });
+
+  test('splits the principal evenly, rounding up, at a zero rate', () => {
+    expect(calculateEmi(1000, 0, 3)).toBe(333.34);
+  });
+});
+
+describe('dueDateFor', () => {
+  test('keeps the anchor day, or the last day of shorter months', () => {
+    const anchor = new Date(2024, 0, 31);
+
+    expect(dueDateFor(anchor, 1)).toEqual(new Date(2024, 1, 29));
+    expect(dueDateFor(anchor, 2)).toEqual(new Date(2024, 2, 31));
+    expect(dueDateFor(anchor, 3)).toEqual(new Date(2024, 3, 30));
+  });
+});
+
+describe('buildSchedule', () => {
+  const anchorDate = new Date(2024, 0, 31);
+  const schedule = buildSchedule({ principal: 100000, annualRate: 12, instalments: 12, anchorDate });
+
+  test('charges interest on the opening balance and repays the rest', () => {
+    expect(schedule).toHaveLength(12);
+    expect(schedule[0]).toMatchObject({
+      number: 1,
+      openingBalance: 100000,
+      emi: 8884.88,
+      interest: 1000,
+      principal: 7884.88,
+      closingBalance: 92115.12
+    });
+    schedule.slice(1).forEach((line, i) => {
+      expect(line.openingBalance).toBe(schedule[i].closingBalance);
+    });
+  });
+
+  test('clears the principal exactly, the last instalment taking the rounding', () => {
+    const last = schedule[schedule.length - 1];
+    expect(last).toMatchObject({ closingBalance: 0, emi: 8884.85 });
+    expect(scheduleTotals(schedule)).toEqual({ principal: 100000, interest: 6618.53, payable: 106618.53 });
+  });
+
+  test('a larger EMI shortens the plan', () => {
+    const shorter = buildSchedule({ principal: 100000, annualRate: 12, instalments: 12, anchorDate, emi: 20000 });
+
+    expect(shorter).toHaveLength(6);
+    expect(shorter[5].closingBalance).toBe(0);
+    expect(scheduleTotals(shorter).principal).toBe(100000);
+  });
+
+  test('numbers a rebuilt plan on from startNumber', () => {
+    const rest = buildSchedule({ principal: 50000, annualRate: 12, instalments: 6, anchorDate, startNumber: 7 });
+
+    expect(rest[0]).toMatchObject({ number: 7, dueDate: new Date(2024, 7, 31) });
+  });
+});
@@ -0,0 +1,58 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor } = require('./helpers/factories');
+const { executeTransaction } = require('../services/transaction');
+const { MAX_BUCKETS, bucketCount, bucketStarts, cashflowSeries } = require('../services/analytics');
+
+describe('bucketCount', () => {
+  test('agrees with the buckets bucketStarts builds', () => {
+    const ranges = [
+      [new Date(2024, 0, 1), new Date(2024, 0, 1, 23)],
+      [new Date(2024, 0, 31, 12), new Date(2024, 2, 1)],
+      [new Date(2024, 2, 20), new Date(2024, 10, 5)],
+      [new Date(2023, 11, 31), new Date(2025, 1, 1)]
+    ];
+
+    ranges.forEach(([from, to]) => {
+      ['day', 'week', 'month'].forEach(granularity => {
+        expect(bucketCount(from, to, granularity)).toBe(bucketStarts(from, to, granularity).length);
+      });
+    });
+  });
+
+  test('counts a decades-long range without building it', () => {
+    expect(bucketCount(new Date(1970, 0, 1), new Date(2069, 11, 31), 'month')).toBe(1200);
+    expect(bucketCount(new Date(1970, 0, 1), new Date(2069, 11, 31), 'day')).toBeGreaterThan(MAX_BUCKETS);
+  });
+});
+
+describe('cash flow analytics', () => {
+  db.useDatabase();
+
+  const app = buildApp({ '/api/analytics': require('../routes/analytics') });
+
+  test('splits inflow and outflow by day', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    await executeTransaction({ senderId: sender._id, receiverId: receiver._id, amount: 250, type: 'transfer' });
+
+    const to = new Date();
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+    const series = await cashflowSeries(sender._id, from, to, 'day');
+
+    expect(series).toHaveLength(1);
+    expect(series[0]).toMatchObject({ inflow: 1000, outflow: 250, net: 750 });
+  });
+
+  test('refuses a range with too many buckets', async () => {
+    const user = await createCustomer();
+
+    const response = await request(app)
+      .get('/api/analytics/cashflow')
+      .query({ granularity: 'day', from: '1970-01-01', to: '2069-12-31' })
+      .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const Transaction = require('../models/Transaction');
+const { COOLING_PERIOD_LIMIT } = require('../services/beneficiary');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const app = buildApp({
+  '/api/beneficiary': require('../routes/beneficiary'),
+  '/api/transaction': require('../routes/transaction')
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pay = (sender, body) => request(app)
+  .post('/api/transaction/create')
+  .set('Authorization', `Bearer ${tokenFor(sender)}`)
+  .send({ type: 'transfer', ...body });
+
+describe('new-payee cooling period', () => {
+  test('caps a saved beneficiary while it is cooling', async () => {
+    const sender = await fund(await createCustomer({ accountTier: 'premium' }), 50000);
+    const payee = await createCustomer();
+
+    const saved = await request(app)
+      .post('/api/beneficiary')
+      .set('Authorization', `Bearer ${tokenFor(sender)}`)
+      .send({ identifier: payee.accountNumber, nickname: 'Landlord' });
+    expect(saved.status).toBe(201);
+    const beneficiaryId = saved.body.beneficiary.id;
+
+    const over = await pay(sender, { beneficiaryId, amount: COOLING_PERIOD_LIMIT + 1 });
+    expect(over.status).toBe(400);
+    expect(over.body.limit).toBe('beneficiaryCoolingPeriod');
+
+    expect((await pay(sender, { beneficiaryId, amount: 6000 })).status).toBe(201);
+    const second = await pay(sender, { beneficiaryId, amount: 6000 });
+    expect(second.status).toBe(400);
+    expect(second.body.remaining).toBe(COOLING_PERIOD_LIMIT - 6000);
+  });
+
+  test.each([
+    ['account number', payee => payee.accountNumber],
+    ['mobile number', payee => payee.mobile],
+    ['customer id', payee => payee._id.toString()]
+  ])('applies the same cap to a new payee addressed by %s', async (_, identifierOf) => {
+    const sender = await fund(await createCustomer({ accountTier: 'premium' }), 50000);
+    const payee = await createCustomer();
+
+    const over = await pay(sender, { receiverId: identifierOf(payee), amount: COOLING_PERIOD_LIMIT + 1 });
+    expect(over.status).toBe(400);
+    expect(over.body.limit).toBe('newPayeeCoolingPeriod');
+
+    expect((await pay(sender, { receiverId: identifierOf(payee), amount: 6000 })).status).toBe(201);
+    expect((await pay(sender, { receiverId: identifierOf(payee), amount: 6000 })).status).toBe(400);
+    expect(await balanceOf(payee)).toBe(6000);
+  });
+
+  test('lifts the cap once the first payment is older than the cooling period', async () => {
+    const sender = await fund(await createCustomer({ accountTier: 'premium' }), 50000);
+    const payee = await createCustomer();
+
+    expect((await pay(sender, { receiverId: payee.accountNumber, amount: 1000 })).status).toBe(201);
+    await Transaction.updateMany({ sender: sender._id }, { createdAt: new Date(Date.now() - 2 * DAY_MS) });
+
+    expect((await pay(sender, { receiverId: payee.accountNumber, amount: COOLING_PERIOD_LIMIT + 5000 })).status).toBe(201);
+  });
+
+  test('applies a beneficiary limit when the payee is addressed directly', async () => {
+    const sender = await fund(await createCustomer({ accountTier: 'premium' }), 50000);
+    const payee = await createCustomer();
+
+    await request(app)
+      .post('/api/beneficiary')
+      .set('Authorization', `Bearer ${tokenFor(sender)}`)
+      .send({ identifier: payee.mobile, nickname: 'Sister', transferLimit: 500 });
+
+    const response = await pay(sender, { receiverId: payee.accountNumber, amount: 800 });
+    expect(response.status).toBe(400);
+    expect(response.body.limit).toBe('beneficiaryTransferLimit');
+  });
+});
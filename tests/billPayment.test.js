@@ -0,0 +1,142 @@
+const db = require('./helpers/db');
+const { createCustomer, fund, balanceOf } = require('./helpers/factories');
+const Biller = require('../models/Biller');
+const BillPayment = require('../models/BillPayment');
+const Transaction = require('../models/Transaction');
+const { executeTransaction } = require('../services/transaction');
+const { getSystemAccount } = require('../services/systemAccounts');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { ensureBillers, fetchBill, payBill } = require('../services/billPayment');
+const { reconcileBillPayments } = require('../jobs/billPayments');
+const mockAdapter = require('../services/billerAdapters/mock');
+
+beforeAll(db.connect);
+beforeEach(ensureBillers);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const ACCOUNT = '1234567890';
+const REJECTED_ACCOUNT = '1234560000';
+
+const electricity = () => Biller.findOne({ code: 'BESCOM' });
+
+// A debited payment left pending, as after a crash before the biller replied
+const strandedPayment = async (user, biller, accountNumber) => {
+  const billers = await getSystemAccount('billers');
+  const transaction = await executeTransaction({
+    senderId: user._id,
+    receiverId: billers._id,
+    amount: 500,
+    type: 'payment',
+    description: `Electricity bill - ${biller.name} ${accountNumber}`
+  });
+  return BillPayment.create({
+    user: user._id,
+    biller: biller._id,
+    accountNumber,
+    amount: 500,
+    billNumber: 'STRANDED1',
+    transaction: transaction._id,
+    lockedUntil: new Date(Date.now() - 1000)
+  });
+};
+
+describe('payBill', () => {
+  test('pays a fetched bill once', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const biller = await electricity();
+    const { bill } = await fetchBill(biller._id, ACCOUNT);
+
+    const payment = await payBill(user._id, { billerId: biller._id, accountNumber: ACCOUNT });
+    expect(payment).toMatchObject({ status: 'paid', amount: bill.amount, billNumber: bill.billNumber });
+    expect(payment.receiptNumber).toMatch(/^RCPT/);
+    expect(payment.lockedUntil).toBeUndefined();
+
+    await expect(payBill(user._id, { billerId: biller._id, accountNumber: ACCOUNT }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  test('concurrent payments of one bill debit the account once', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const biller = await electricity();
+
+    const results = await Promise.allSettled([
+      payBill(user._id, { billerId: biller._id, accountNumber: ACCOUNT }),
+      payBill(user._id, { billerId: biller._id, accountNumber: ACCOUNT })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.status).toBe(409);
+    expect(await BillPayment.countDocuments()).toBe(1);
+    expect(await Transaction.countDocuments({ type: 'payment' })).toBe(1);
+  });
+
+  test('a rejected payment is reversed, fee included', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const biller = await electricity();
+
+    const payment = await payBill(user._id, { billerId: biller._id, accountNumber: REJECTED_ACCOUNT });
+    expect(payment.status).toBe('failed');
+    expect(payment.reversalTransaction).toBeDefined();
+    expect(await balanceOf(user)).toBe(10000);
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('a payment the biller does not answer for stays pending until it is confirmed', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const biller = await electricity();
+    const timeout = jest.spyOn(mockAdapter, 'payBill').mockRejectedValueOnce(new Error('socket hang up'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const payment = await payBill(user._id, { billerId: biller._id, accountNumber: ACCOUNT });
+    expect(payment).toMatchObject({ status: 'pending' });
+    expect(payment.reversalTransaction).toBeUndefined();
+    const debited = await balanceOf(user);
+    expect(debited).toBeLessThan(10000);
+
+    expect(await reconcileBillPayments()).toBe(1);
+    expect((await BillPayment.findById(payment._id)).status).toBe('paid');
+    expect(timeout).toHaveBeenCalledTimes(2);
+    expect(await Transaction.countDocuments({ type: 'reversal' })).toBe(0);
+    expect(await balanceOf(user)).toBe(debited);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('reconcileBillPayments', () => {
+  test('confirms a stranded payment with the biller', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const payment = await strandedPayment(user, await electricity(), ACCOUNT);
+
+    expect(await reconcileBillPayments()).toBe(1);
+
+    const settled = await BillPayment.findById(payment._id);
+    expect(settled.status).toBe('paid');
+    expect(settled.billerReference).toMatch(/^BESCOM-/);
+  });
+
+  test('reverses a stranded payment the biller rejects, only once', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const payment = await strandedPayment(user, await electricity(), REJECTED_ACCOUNT);
+    const debited = await balanceOf(user);
+
+    await reconcileBillPayments();
+    await reconcileBillPayments();
+
+    expect((await BillPayment.findById(payment._id)).status).toBe('failed');
+    expect(await Transaction.countDocuments({ type: 'reversal' })).toBe(1);
+    expect(await balanceOf(user)).toBeGreaterThan(debited);
+  });
+
+  test('leaves payments that are still being confirmed', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const payment = await strandedPayment(user, await electricity(), ACCOUNT);
+    await BillPayment.updateOne({ _id: payment._id }, { lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+    expect(await reconcileBillPayments()).toBe(0);
+    expect((await BillPayment.findById(payment._id)).status).toBe('pending');
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor } = require('./helpers/factories');
+const Budget = require('../models/Budget');
+const { approveRefund } = require('../services/refund');
+const Refund = require('../models/Refund');
+const { budgetProgress, monthStart, refreshBudget } = require('../services/budget');
+
+describe('budgetProgress', () => {
+  test('warns from the first alert threshold and reports what is left', () => {
+    const periodStart = monthStart();
+    const progress = budgetProgress({ _id: 'b1', category: 'rent', limit: 1000, spent: 850, periodStart, alerts: [] });
+
+    expect(progress).toMatchObject({ remaining: 150, percentUsed: 85, status: 'warning' });
+    expect(budgetProgress({ limit: 1000, spent: 1200, periodStart, alerts: [] }).status).toBe('exceeded');
+  });
+});
+
+describe('budget tracking', () => {
+  db.useDatabase();
+
+  const app = buildApp({ '/api/transaction': require('../routes/transaction') });
+
+  const payRent = (sender, receiver, amount) => request(app)
+    .post('/api/transaction/create')
+    .set('Authorization', `Bearer ${tokenFor(sender)}`)
+    .send({ receiverId: receiver.accountNumber, amount, type: 'transfer', description: 'Rent for the month' });
+
+  test('returns the alerts a transfer raises', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const landlord = await createCustomer();
+    await Budget.create({ user: sender._id, category: 'rent', limit: 1000, periodStart: monthStart() });
+
+    const first = await payRent(sender, landlord, 500);
+    expect(first.status).toBe(201);
+    expect(first.body.budgetAlerts).toEqual([]);
+
+    const second = await payRent(sender, landlord, 350);
+    expect(second.body.budgetAlerts).toHaveLength(1);
+    expect(second.body.budgetAlerts[0]).toMatchObject({ category: 'rent', threshold: 80, spent: 850 });
+  });
+
+  test('refunds take their amount back off the budget', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const landlord = await createCustomer();
+    const budget = await Budget.create({ user: sender._id, category: 'rent', limit: 1000, periodStart: monthStart() });
+
+    const paid = await payRent(sender, landlord, 800);
+    const refund = await Refund.create({
+      transaction: paid.body.transaction.id,
+      requestedBy: sender._id,
+      payer: landlord._id,
+      amount: 300
+    });
+    await approveRefund(refund._id, landlord);
+
+    expect((await Budget.findById(budget._id)).spent).toBe(500);
+
+    const refreshed = await Budget.findById(budget._id);
+    await refreshBudget(refreshed);
+    expect(refreshed.spent).toBe(500);
+  });
+});
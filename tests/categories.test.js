@@ -0,0 +1,43 @@
+const db = require('./helpers/db');
+const { createCustomer } = require('./helpers/factories');
+const CategoryRule = require('../models/CategoryRule');
+const { matchesKeyword, categoriseFor } = require('../services/categories');
+
+describe('matchesKeyword', () => {
+  test('matches whole words only', () => {
+    expect(matchesKeyword('uber to office', 'uber')).toBe(true);
+    expect(matchesKeyword('ola ride', 'ola')).toBe(true);
+    expect(matchesKeyword('chocolate', 'ola')).toBe(false);
+    expect(matchesKeyword('gift for parents', 'rent')).toBe(false);
+    expect(matchesKeyword('march rent', 'rent')).toBe(true);
+  });
+
+  test('treats keywords as text, not patterns', () => {
+    expect(matchesKeyword('c++ course', 'c++')).toBe(true);
+    expect(matchesKeyword('abc', 'a.c')).toBe(false);
+  });
+});
+
+describe('categoriseFor', () => {
+  db.useDatabase();
+
+  const categorise = (userId, description, direction = 'out', type = 'transfer') =>
+    categoriseFor({ userId, direction, type, description });
+
+  test('uses the built-in keywords on word boundaries', async () => {
+    const user = await createCustomer();
+
+    expect(await categorise(user._id, 'Chocolate for parents')).toBe('transfers');
+    expect(await categorise(user._id, 'Rent for May')).toBe('rent');
+    expect(await categorise(user._id, 'Cash deposit', 'in', 'deposit')).toBe('income');
+    expect(await categorise(user._id, 'Fixed deposit top-up')).toBe('investment');
+  });
+
+  test('user keyword rules win over the built-in ones', async () => {
+    const user = await createCustomer();
+    await CategoryRule.create({ user: user._id, keyword: 'blinkit', category: 'dining' });
+
+    expect(await categorise(user._id, 'Blinkit order')).toBe('dining');
+    expect(await categorise(user._id, 'blinkitx order')).toBe('transfers');
+  });
+});
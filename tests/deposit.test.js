@@ -0,0 +1,112 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const { withEnv } = require('./helpers/env');
+const Deposit = require('../models/Deposit');
+const { checkLedgerInvariants } = require('../services/ledger');
+const {
+  rateForTenure,
+  calculateMaturity,
+  prematureQuote,
+  openDeposit,
+  closeDepositEarly,
+  matureDeposit
+} = require('../services/deposit');
+
+describe('calculateMaturity', () => {
+  test('uses the rate of the tenure slab and the chosen compounding', () => {
+    const startDate = new Date(2024, 0, 1);
+
+    expect(rateForTenure(3)).toBe(4.5);
+    expect(rateForTenure(240)).toBe(6.75);
+    expect(calculateMaturity({ principal: 100000, tenureMonths: 12, compounding: 'simple', startDate }))
+      .toMatchObject({ interestRate: 6.5, maturityAmount: 106517.81, interest: 6517.81 });
+    expect(calculateMaturity({ principal: 100000, tenureMonths: 12, startDate }))
+      .toMatchObject({ compounding: 'quarterly', maturityAmount: 106679, interest: 6679 });
+  });
+});
+
+describe('prematureQuote', () => {
+  const deposit = {
+    depositType: 'fixed',
+    startDate: new Date(2024, 0, 1),
+    interestRate: 6.5,
+    principal: 100000,
+    compounding: 'simple'
+  };
+
+  test('pays the completed tenure\'s rate less the penalty', () => {
+    expect(prematureQuote(deposit, new Date(2024, 3, 1, 12))).toEqual({
+      daysHeld: 91,
+      appliedRate: 3.5,
+      penaltyRate: 1,
+      interest: 872.6,
+      payoutAmount: 100872.6
+    });
+  });
+
+  test('pays no interest in the first week', () => {
+    expect(prematureQuote(deposit, new Date(2024, 0, 5))).toMatchObject({ appliedRate: 0, payoutAmount: 100000 });
+  });
+
+  test('a zero FD_PREMATURE_PENALTY_RATE is honoured', () => {
+    const { prematureQuote: quote } = withEnv({ FD_PREMATURE_PENALTY_RATE: '0' }, 'services/deposit');
+    expect(quote(deposit, new Date(2024, 3, 1, 12))).toMatchObject({ appliedRate: 4.5, penaltyRate: 0 });
+  });
+});
+
+describe('fixed deposits', () => {
+  db.useDatabase();
+
+  test('opening and breaking a deposit moves money through the pool', async () => {
+    const user = await fund(await createCustomer(), 50000);
+
+    await expect(openDeposit(user._id, { principal: 60000, tenureMonths: 12 }))
+      .rejects.toThrow('Insufficient balance to open this deposit');
+
+    const deposit = await openDeposit(user._id, { principal: 20000, tenureMonths: 12 });
+    expect(deposit).toMatchObject({ status: 'active', interestRate: 6.5 });
+    expect(await balanceOf(user)).toBe(30000);
+
+    const other = await createCustomer();
+    await expect(closeDepositEarly(deposit._id, other._id)).rejects.toThrow('Access denied to this deposit');
+
+    const closed = await closeDepositEarly(deposit._id, user._id);
+    expect(closed).toMatchObject({ status: 'closed', closureType: 'premature', appliedRate: 0, payoutAmount: 20000 });
+    expect(await balanceOf(user)).toBe(50000);
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('a deposit set to renew rolls its maturity value into a new one', async () => {
+    const user = await fund(await createCustomer(), 50000);
+    const deposit = await openDeposit(user._id, { principal: 10000, tenureMonths: 6, maturityInstruction: 'renew' });
+
+    const matured = await matureDeposit(deposit._id);
+    expect(matured.status).toBe('renewed');
+
+    const renewal = await Deposit.findById(matured.renewedTo);
+    expect(renewal).toMatchObject({ status: 'active', principal: matured.maturityAmount, tenureMonths: 6 });
+    expect(await balanceOf(user)).toBe(40000);
+
+    expect(await matureDeposit(deposit._id)).toBeNull();
+  });
+
+  test('deposits can be listed by status, and unknown filters are rejected', async () => {
+    const app = buildApp({ '/api/deposit': require('../routes/deposit') });
+    const user = await fund(await createCustomer(), 50000);
+    const open = await openDeposit(user._id, { principal: 10000, tenureMonths: 12 });
+    await closeDepositEarly((await openDeposit(user._id, { principal: 5000, tenureMonths: 6 }))._id, user._id);
+    const list = (query) => request(app).get('/api/deposit').query(query).set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    const active = await list({ status: 'active' });
+    expect(active.status).toBe(200);
+    expect(active.body.deposits.map(deposit => deposit._id)).toEqual([open._id.toString()]);
+
+    expect((await list({ status: 'broken' })).status).toBe(400);
+    expect((await list('status[$ne]=active')).status).toBe(400);
+  });
+});
@@ -0,0 +1,28 @@
+const { envNumber } = require('../services/env');
+const { withEnv } = require('./helpers/env');
+
+describe('envNumber', () => {
+  afterEach(() => {
+    delete process.env.TEST_SETTING;
+  });
+
+  test('reads the variable, zero included, and falls back only when it is missing or not a number', () => {
+    expect(envNumber('TEST_SETTING', 24)).toBe(24);
+    process.env.TEST_SETTING = '0';
+    expect(envNumber('TEST_SETTING', 24)).toBe(0);
+    process.env.TEST_SETTING = '1.5';
+    expect(envNumber('TEST_SETTING', 24)).toBe(1.5);
+    process.env.TEST_SETTING = 'abc';
+    expect(envNumber('TEST_SETTING', 24)).toBe(24);
+  });
+
+  test('a zero new-payee cooling period or cap is honoured', () => {
+    expect(withEnv({ BENEFICIARY_COOLING_HOURS: '0', BENEFICIARY_COOLING_LIMIT: '0' }, 'services/beneficiary'))
+      .toMatchObject({ COOLING_PERIOD_HOURS: 0, COOLING_PERIOD_LIMIT: 0 });
+  });
+
+  test('the payment request expiry is read the same way', () => {
+    expect(withEnv({ PAYMENT_REQUEST_EXPIRY_HOURS: '12' }, 'services/paymentRequest').DEFAULT_EXPIRY_HOURS).toBe(12);
+    expect(withEnv({ PAYMENT_REQUEST_EXPIRY_HOURS: 'abc' }, 'services/paymentRequest').DEFAULT_EXPIRY_HOURS).toBe(48);
+  });
+});
@@ -0,0 +1,57 @@
+const db = require('./helpers/db');
+const { createCustomer, fund, balanceOf } = require('./helpers/factories');
+const { executeTransaction } = require('../services/transaction');
+const { getSystemAccount } = require('../services/systemAccounts');
+const { FEE_RULES, GST_RATE, applyRule, calculateFees } = require('../services/fees');
+
+describe('applyRule', () => {
+  test('picks the flat fee from the slab the amount falls in', () => {
+    expect(applyRule(FEE_RULES.transfer, 10000)).toBe(2.5);
+    expect(applyRule(FEE_RULES.transfer, 10000.01)).toBe(5);
+    expect(applyRule(FEE_RULES.transfer, 250000)).toBe(15);
+  });
+
+  test('keeps a percentage fee within min and max', () => {
+    expect(applyRule(FEE_RULES.payment, 100)).toBe(1);
+    expect(applyRule(FEE_RULES.payment, 1000)).toBe(5);
+    expect(applyRule(FEE_RULES.payment, 100000)).toBe(50);
+  });
+});
+
+describe('calculateFees', () => {
+  db.useDatabase();
+
+  const transfer = (sender, receiver, amount) => executeTransaction({
+    senderId: sender._id,
+    receiverId: receiver._id,
+    amount,
+    type: 'transfer'
+  });
+
+  test('charges a transfer only after the monthly free allowance', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const receiver = await createCustomer();
+
+    for (let i = 0; i < FEE_RULES.transfer.freePerMonth; i += 1) {
+      const transaction = await transfer(sender, receiver, 100);
+      expect(transaction.fees).toBe(0);
+    }
+
+    const gst = Math.round(2.5 * GST_RATE * 100) / 100;
+    const charged = await transfer(sender, receiver, 100);
+    expect(charged.fees).toBe(2.5);
+    expect(charged.gst).toBe(gst);
+    expect(await balanceOf(sender)).toBeCloseTo(5000 - 600 - 2.5 - gst, 2);
+
+    const fees = await getSystemAccount('fees');
+    expect(fees.accountBalance).toBe(2.5);
+  });
+
+  test('never charges deposits or system accounts', async () => {
+    const customer = await createCustomer();
+    const cash = await getSystemAccount('cash');
+
+    expect(await calculateFees(customer, 'deposit', 5000)).toMatchObject({ total: 0 });
+    expect(await calculateFees(cash, 'payment', 5000)).toMatchObject({ total: 0 });
+  });
+});
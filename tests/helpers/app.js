@@ -0,0 +1,11 @@
+const express = require('express');
+
+// Express app with just the routers under test mounted, as server.js does
+const buildApp = (mounts) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(mounts).forEach(([path, router]) => app.use(path, router));
+  return app;
+};
+
+module.exports = { buildApp };
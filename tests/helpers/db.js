@@ -0,0 +1,52 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const { ensureSystemAccounts } = require('../../services/systemAccounts');
+
+// Fail fast instead of queueing queries when there is no connection
+mongoose.set('bufferCommands', false);
+
+const connected = () => mongoose.connection.readyState === 1;
+
+// Each test file gets its own database so files cannot see each other's data
+const databaseName = () => 'test_' + path.basename(expect.getState().testPath, '.test.js').replace(/\W/g, '_');
+
+const connect = async () => {
+  if (!process.env.MONGODB_TEST_URI) {
+    throw new Error(`No MongoDB replica set for tests: ${process.env.MONGODB_TEST_ERROR}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName: databaseName() });
+  await mongoose.connection.dropDatabase();
+  // Collections and indexes must exist before any transaction writes to them
+  await Promise.all(Object.values(mongoose.models).map(model => model.createCollection().then(() => model.syncIndexes())));
+  await ensureSystemAccounts();
+};
+
+// Empty every collection but keep indexes and the system accounts
+const clear = async () => {
+  if (!connected()) return;
+  const { collections } = mongoose.connection;
+  await Promise.all(Object.values(collections).map(collection => collection.deleteMany({})));
+  await ensureSystemAccounts();
+};
+
+const disconnect = async () => {
+  if (!connected()) return;
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+// Register the hooks for a describe block that needs the database, so
+// the file's other blocks still run without one
+const useDatabase = () => {
+  beforeAll(connect);
+  afterEach(clear);
+  afterAll(disconnect);
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+  useDatabase
+};
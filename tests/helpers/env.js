@@ -0,0 +1,20 @@
+const path = require('path');
+
+// Load a module of the app fresh with some environment variables set, so
+// settings read at load time pick them up. `modulePath` is relative to the
+// repository root, e.g. 'services/fees'.
+const withEnv = (env, modulePath) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    let loaded;
+    jest.isolateModules(() => {
+      loaded = require(path.join(__dirname, '../..', modulePath));
+    });
+    return loaded;
+  } finally {
+    process.env = saved;
+  }
+};
+
+module.exports = { withEnv };
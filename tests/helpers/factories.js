@@ -0,0 +1,90 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const Loan = require('../../models/Loan');
+const { postEntries } = require('../../services/ledger');
+const { getSystemAccount } = require('../../services/systemAccounts');
+const { runInTransaction } = require('../../services/transaction');
+
+let sequence = 0;
+
+// A customer with the card details the User model requires
+const createCustomer = async (overrides = {}) => {
+  sequence += 1;
+  const suffix = String(sequence).padStart(4, '0');
+  const card = (prefix) => ({
+    cardNumber: `${prefix}00000000${suffix}`.slice(0, 16),
+    cardHolder: 'Test Customer',
+    expiryDate: '12/30',
+    cvv: '123'
+  });
+
+  const user = new User({
+    username: `customer${suffix}`,
+    mobile: `98765${String(sequence).padStart(5, '0')}`,
+    password: 'secret123',
+    creditCard: card('4111'),
+    debitCard: card('5222'),
+    ...overrides
+  });
+  await user.save();
+  return user;
+};
+
+// Credit `amount` from the cash account through the ledger, bypassing limits
+// and fees, so balances and ledger agree from the start
+const fund = async (user, amount) => {
+  await runInTransaction(async (session) => {
+    const account = await User.findById(user._id).session(session);
+    const cash = await getSystemAccount('cash', session);
+    const transaction = new Transaction({
+      sender: account._id,
+      receiver: account._id,
+      amount,
+      type: 'deposit',
+      description: 'Test funding',
+      status: 'completed',
+      completedAt: new Date()
+    });
+    await postEntries(transaction, [
+      { account: cash, direction: 'debit', amount },
+      { account, direction: 'credit', amount }
+    ], session);
+    await transaction.save({ session });
+  });
+  return User.findById(user._id);
+};
+
+// An approved loan for `user`, ready to disburse. The EMI and total are
+// recomputed on save but validation runs first, so they need a placeholder.
+const approvedLoan = async (user, overrides = {}) => {
+  const loan = new Loan({
+    user: user._id,
+    loanType: 'personal',
+    amount: 100000,
+    interestRate: 12,
+    term: 12,
+    monthlyPayment: 0,
+    totalAmount: 0,
+    status: 'approved',
+    approvedAt: new Date(),
+    ...overrides
+  });
+  await loan.save();
+  return loan;
+};
+
+const tokenFor = (user) => jwt.sign(
+  { userId: user._id },
+  process.env.JWT_SECRET || 'infinity-bank-secret-key'
+);
+
+const balanceOf = async (user) => (await User.findById(user._id)).accountBalance;
+
+module.exports = {
+  createCustomer,
+  fund,
+  approvedLoan,
+  tokenFor,
+  balanceOf
+};
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor } = require('./helpers/factories');
+const Transaction = require('../models/Transaction');
+const { executeTransaction } = require('../services/transaction');
+const { applyCursor, encodeCursor } = require('../services/history');
+
+const row = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2024-01-10T00:00:00Z'), amount: 50 };
+
+describe('applyCursor', () => {
+  test('continues after the row the cursor was issued for', () => {
+    const query = applyCursor({}, encodeCursor(row, 'amount', 'asc'), 'amount', 'asc');
+
+    expect(query.$and[1].$or).toEqual([
+      { amount: { $gt: 50 } },
+      { amount: 50, _id: { $gt: row._id } }
+    ]);
+  });
+
+  test('rejects a cursor issued for another sort or order', () => {
+    const cursor = encodeCursor(row, 'amount', 'desc');
+
+    expect(() => applyCursor({}, cursor, 'createdAt', 'desc')).toThrow('Cursor does not match the requested sort');
+    expect(() => applyCursor({}, cursor, 'amount', 'asc')).toThrow('Cursor does not match the requested sort');
+  });
+
+  test('rejects cursors that do not decode to a sort value and id', () => {
+    const forged = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    expect(() => applyCursor({}, 'not-a-cursor', 'amount', 'desc')).toThrow('Invalid cursor');
+    expect(() => applyCursor({}, forged({ sort: 'amount', order: 'desc', value: 'x', id: row._id.toString() }), 'amount', 'desc'))
+      .toThrow('Invalid cursor');
+    expect(() => applyCursor({}, forged({ sort: 'createdAt', order: 'desc', value: 'soon', id: 'abc' }), 'createdAt', 'desc'))
+      .toThrow('Invalid cursor');
+  });
+});
+
+describe('GET /api/transaction/history', () => {
+  db.useDatabase();
+
+  const app = buildApp({ '/api/transaction': require('../routes/transaction') });
+
+  const history = (user, query) => request(app)
+    .get('/api/transaction/history')
+    .query(query)
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  test('a date-only "to" includes the whole day', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    const transaction = await executeTransaction({
+      senderId: sender._id,
+      receiverId: receiver._id,
+      amount: 100,
+      type: 'transfer'
+    });
+    await Transaction.updateOne({ _id: transaction._id }, { createdAt: new Date('2024-03-05T18:30:00Z') });
+
+    const response = await history(sender, { type: 'transfer', from: '2024-03-05', to: '2024-03-05' });
+    expect(response.status).toBe(200);
+    expect(response.body.transactions.map(t => t._id)).toEqual([transaction._id.toString()]);
+  });
+
+  test('pages with a cursor and rejects it under a different sort', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    for (const amount of [10, 20, 30]) {
+      await executeTransaction({ senderId: sender._id, receiverId: receiver._id, amount, type: 'transfer' });
+    }
+
+    const first = await history(sender, { type: 'transfer', sort: 'amount', order: 'asc', limit: 2 });
+    expect(first.body.transactions.map(t => t.amount)).toEqual([10, 20]);
+
+    const { nextCursor } = first.body.pagination;
+    const second = await history(sender, { type: 'transfer', sort: 'amount', order: 'asc', limit: 2, cursor: nextCursor });
+    expect(second.body.transactions.map(t => t.amount)).toEqual([30]);
+    expect(second.body.pagination.hasNextPage).toBe(false);
+
+    const mismatched = await history(sender, { sort: 'createdAt', cursor: nextCursor });
+    expect(mismatched.status).toBe(400);
+    expect((await history(sender, { cursor: 'garbage' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const db = require('./helpers/db');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const idempotency = require('../middleware/idempotency');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const userId = new mongoose.Types.ObjectId();
+let calls = 0;
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { _id: userId };
+  next();
+});
+app.post('/json', idempotency, (req, res) => {
+  calls += 1;
+  res.status(201).json({ call: calls, amount: req.body.amount });
+});
+app.post('/text', idempotency, (req, res) => {
+  calls += 1;
+  res.send(`call ${calls}`);
+});
+app.post('/error', idempotency, (req, res) => {
+  calls += 1;
+  res.status(500).json({ message: 'Internal server error' });
+});
+app.post('/throws', idempotency, () => {
+  calls += 1;
+  throw new Error('Handler failed');
+});
+app.use((err, req, res, next) => res.status(500).json({ message: 'Something went wrong!' }));
+
+const post = (path, key, body = { amount: 10 }) => request(app)
+  .post(path)
+  .set('Idempotency-Key', key)
+  .send(body);
+
+beforeEach(() => {
+  calls = 0;
+});
+
+describe('idempotency middleware', () => {
+  test('replays the stored response for a retry', async () => {
+    const first = await post('/json', 'key-1');
+    const retry = await post('/json', 'key-1');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    await post('/json', 'key-2', { amount: 10 });
+    const reused = await post('/json', 'key-2', { amount: 20 });
+
+    expect(reused.status).toBe(422);
+    expect(calls).toBe(1);
+  });
+
+  test.each([
+    ['a non-JSON response', '/text'],
+    ['a server error', '/error'],
+    ['a handler that throws', '/throws']
+  ])('releases the key after %s', async (_, path) => {
+    // Keys are released once the response has finished
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    await post(path, `key-${path}`);
+    await settle();
+    await post(path, `key-${path}`);
+    await settle();
+
+    expect(calls).toBe(2);
+    expect(await IdempotencyKey.countDocuments({ status: 'processing' })).toBe(0);
+  });
+
+  test('a retry waits for a request in progress and takes over one that died', async () => {
+    // As left by a request for the same body that has not responded yet
+    await IdempotencyKey.create({
+      user: userId,
+      key: 'key-4',
+      method: 'POST',
+      path: '/json',
+      requestHash: crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ method: 'POST', path: '/json', body: { amount: 10 } }))
+        .digest('hex'),
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    const busy = await post('/json', 'key-4');
+    expect(busy.status).toBe(409);
+    expect(calls).toBe(0);
+
+    await IdempotencyKey.updateOne({ key: 'key-4' }, { lockedUntil: new Date(Date.now() - 1000) });
+    const retry = await post('/json', 'key-4');
+    expect(retry.status).toBe(201);
+    expect(calls).toBe(1);
+
+    const replay = await post('/json', 'key-4');
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  test('passes lookup failures to the error handler', async () => {
+    await post('/json', 'key-3');
+    const findOne = jest.spyOn(IdempotencyKey, 'findOne').mockRejectedValueOnce(new Error('Lookup failed'));
+
+    const retry = await post('/json', 'key-3');
+
+    expect(retry.status).toBe(500);
+    expect(retry.body).toEqual({ message: 'Something went wrong!' });
+    findOne.mockRestore();
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, tokenFor, balanceOf } = require('./helpers/factories');
+const { withEnv } = require('./helpers/env');
+const InterestAccrual = require('../models/InterestAccrual');
+const Transaction = require('../models/Transaction');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { TDS_THRESHOLD, dailyInterest, calculateTds, creditInterest } = require('../services/interest');
+
+describe('dailyInterest', () => {
+  test('applies each slab rate to the part of the balance inside it', () => {
+    expect(dailyInterest(200000)).toEqual({ amount: 15.6164, rate: 2.85 });
+    expect(dailyInterest(0)).toEqual({ amount: 0, rate: 0 });
+  });
+});
+
+describe('calculateTds', () => {
+  test('withholds only on interest above the yearly threshold', () => {
+    expect(calculateTds(1000, TDS_THRESHOLD - 2000, 0)).toBe(0);
+    expect(calculateTds(2000, TDS_THRESHOLD - 1000, 0)).toBe(100);
+    expect(calculateTds(1000, TDS_THRESHOLD + 1000, 100)).toBe(100);
+  });
+
+  test('a zero TDS_RATE or TDS_THRESHOLD is honoured', () => {
+    expect(withEnv({ TDS_RATE: '0' }, 'services/interest').calculateTds(2000, TDS_THRESHOLD, 0)).toBe(0);
+    expect(withEnv({ TDS_THRESHOLD: '0' }, 'services/interest').calculateTds(1000, 0, 0)).toBe(100);
+    expect(withEnv({ TDS_RATE: 'abc' }, 'services/interest').TDS_RATE).toBe(0.10);
+  });
+
+  test('a zero GST_RATE is honoured', () => {
+    expect(withEnv({ GST_RATE: '0' }, 'services/fees').GST_RATE).toBe(0);
+    expect(withEnv({}, 'services/fees').GST_RATE).toBe(0.18);
+  });
+});
+
+describe('creditInterest', () => {
+  db.useDatabase();
+
+  test('credits the month\'s accruals once, withholding TDS above the threshold', async () => {
+    const user = await createCustomer();
+    const month = new Date(2024, 4, 1);
+    await InterestAccrual.create([
+      { user: user._id, date: new Date(2024, 4, 10), balance: 0, rate: 0, amount: TDS_THRESHOLD - 500 },
+      { user: user._id, date: new Date(2024, 4, 11), balance: 0, rate: 0, amount: 1500 }
+    ]);
+
+    const run = await creditInterest(month);
+    expect(run).toMatchObject({ status: 'completed', accounts: 1, total: TDS_THRESHOLD + 1000 });
+
+    const credit = await Transaction.findOne({ receiver: user._id, type: 'interest' });
+    expect(credit.tds).toBe(100);
+    expect(await balanceOf(user)).toBe(TDS_THRESHOLD + 900);
+    expect(await InterestAccrual.countDocuments({ credited: false })).toBe(0);
+
+    await creditInterest(month);
+    expect(await Transaction.countDocuments({ type: 'interest' })).toBe(1);
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('the run list limit is bounded', async () => {
+    const app = buildApp({ '/api/interest': require('../routes/interest') });
+    const operator = await createCustomer({ role: 'operator' });
+    await creditInterest(new Date(2024, 4, 1));
+    const list = (limit) => request(app)
+      .get('/api/interest/runs')
+      .query({ limit })
+      .set('Authorization', `Bearer ${tokenFor(operator)}`);
+
+    const listed = await list(1);
+    expect(listed.status).toBe(200);
+    expect(listed.body.runs).toHaveLength(1);
+    expect((await list(366)).status).toBe(400);
+    expect((await list(0)).status).toBe(400);
+  });
+});
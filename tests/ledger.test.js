@@ -0,0 +1,115 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const { executeTransaction } = require('../services/transaction');
+const { postEntries, checkLedgerInvariants, getLedgerBalance } = require('../services/ledger');
+const { backfillOpeningBalances } = require('../services/openingBalances');
+const { buildStatement } = require('../services/statement');
+const { getSystemAccount } = require('../services/systemAccounts');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const app = buildApp({ '/api/user': require('../routes/user') });
+
+describe('postEntries', () => {
+  test('refuses legs that do not balance', async () => {
+    const user = await createCustomer();
+    const cash = await getSystemAccount('cash');
+
+    await expect(postEntries({ reference: 'TXN1' }, [
+      { account: cash, direction: 'debit', amount: 100 },
+      { account: user, direction: 'credit', amount: 99.99 }
+    ])).rejects.toThrow('Unbalanced ledger posting');
+    expect(await LedgerEntry.countDocuments()).toBe(0);
+  });
+});
+
+describe('checkLedgerInvariants', () => {
+  test('every transfer leg balances and balances match the ledger', async () => {
+    const sender = await fund(await createCustomer(), 500);
+    const receiver = await createCustomer();
+    await executeTransaction({ senderId: sender._id, receiverId: receiver._id, amount: 125.5, type: 'transfer' });
+
+    expect(await getLedgerBalance(sender._id)).toBe(374.5);
+    expect(await getLedgerBalance(receiver._id)).toBe(125.5);
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('flags a balance changed outside the ledger', async () => {
+    const user = await fund(await createCustomer(), 100);
+    await User.updateOne({ _id: user._id }, { $inc: { accountBalance: 50 } });
+
+    const { drifted } = await checkLedgerInvariants();
+    expect(drifted).toHaveLength(1);
+    expect(drifted[0]).toMatchObject({ accountBalance: 150, ledgerBalance: 100 });
+  });
+});
+
+describe('backfillOpeningBalances', () => {
+  const legacyCustomer = async (balance) => {
+    const user = await createCustomer({ createdAt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) });
+    await User.updateOne({ _id: user._id }, { accountBalance: balance });
+    return user;
+  };
+
+  test('posts the pre-ledger balance once against equity', async () => {
+    const user = await legacyCustomer(1000);
+    const receiver = await createCustomer();
+    await executeTransaction({ senderId: user._id, receiverId: receiver._id, amount: 200, type: 'transfer' });
+
+    expect((await checkLedgerInvariants()).drifted).toHaveLength(1);
+
+    expect(await backfillOpeningBalances()).toMatchObject({ posted: 1 });
+    expect(await backfillOpeningBalances()).toMatchObject({ posted: 0 });
+
+    expect(await balanceOf(user)).toBe(800);
+    expect(await getLedgerBalance(user._id)).toBe(800);
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('statements open from the backfilled balance', async () => {
+    const user = await legacyCustomer(1000);
+    await backfillOpeningBalances();
+
+    const statement = await buildStatement(await User.findById(user._id), new Date(Date.now() - 24 * 60 * 60 * 1000), new Date());
+    expect(statement.openingBalance).toBe(1000);
+  });
+});
+
+describe('GET /api/user/balance/ledger', () => {
+  test('lists entries with the running balance and no drift', async () => {
+    const user = await fund(await createCustomer(), 300);
+
+    const response = await request(app)
+      .get('/api/user/balance/ledger')
+      .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ accountBalance: 300, ledgerBalance: 300, drift: 0 });
+    expect(response.body.entries[0]).toMatchObject({ direction: 'credit', amount: 300, runningBalance: 300 });
+  });
+
+  test.each([
+    ['page=0'],
+    ['page=abc'],
+    ['limit=0'],
+    ['limit=1000']
+  ])('rejects %s', async (params) => {
+    const user = await createCustomer();
+
+    const response = await request(app)
+      .get(`/api/user/balance/ledger?${params}`)
+      .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    expect(response.status).toBe(400);
+  });
+});
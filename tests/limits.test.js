@@ -0,0 +1,70 @@
+const db = require('./helpers/db');
+const { createCustomer, fund } = require('./helpers/factories');
+const User = require('../models/User');
+const { executeTransaction } = require('../services/transaction');
+const { TIER_LIMITS, getEffectiveLimits, getHeadroom } = require('../services/limits');
+
+describe('getEffectiveLimits', () => {
+  test('uses the tier maximum unless the customer chose something lower', () => {
+    const user = new User({
+      accountTier: 'premium',
+      limitOverrides: { transfer: { daily: 1000, perTransaction: 10000000 } }
+    });
+
+    expect(getEffectiveLimits(user, 'transfer')).toEqual({
+      ...TIER_LIMITS.premium.transfer,
+      daily: 1000
+    });
+    expect(getEffectiveLimits(user, 'withdrawal')).toEqual(TIER_LIMITS.premium.withdrawal);
+    expect(getEffectiveLimits(user, 'interest')).toBeNull();
+  });
+});
+
+describe('getHeadroom', () => {
+  test('never goes below zero', () => {
+    const limits = { perTransaction: 500, daily: 1000, monthly: 5000, dailyCount: 2 };
+
+    expect(getHeadroom(limits, { daily: 1200.5, monthly: 1200.5, dailyCount: 3 })).toEqual({
+      perTransaction: 500,
+      daily: 0,
+      monthly: 3799.5,
+      dailyCount: 0
+    });
+  });
+});
+
+describe('checkLimits', () => {
+  db.useDatabase();
+
+  const transfer = (sender, receiver, amount) => executeTransaction({
+    senderId: sender._id,
+    receiverId: receiver._id,
+    amount,
+    type: 'transfer'
+  });
+
+  test('rejects an amount over the per-transaction limit with the headroom', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const receiver = await createCustomer();
+    sender.limitOverrides.set('transfer', { perTransaction: 1000 });
+    await sender.save();
+
+    await expect(transfer(sender, receiver, 1500)).rejects.toMatchObject({
+      status: 400,
+      details: { limit: 'perTransaction', limitValue: 1000 }
+    });
+  });
+
+  test('counts completed transfers towards the daily limit', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const receiver = await createCustomer();
+    sender.limitOverrides.set('transfer', { daily: 1000 });
+    await sender.save();
+
+    await transfer(sender, receiver, 700);
+    await expect(transfer(sender, receiver, 400)).rejects.toMatchObject({
+      details: { limit: 'daily', remaining: 300 }
+    });
+    await expect(transfer(sender, receiver, 300)).resolves.toMatchObject({ status: 'completed' });
+  });
+});
@@ -0,0 +1,102 @@
+const db = require('./helpers/db');
+const { createCustomer, approvedLoan } = require('./helpers/factories');
+const { withEnv } = require('./helpers/env');
+const Loan = require('../models/Loan');
+const { addDays } = require('../services/interest');
+const { daysPastDue, bucketFor, disburseLoan, repayLoan, assessLoan } = require('../services/loan');
+const { runLoanDelinquency } = require('../jobs/loans');
+
+describe('daysPastDue', () => {
+  const loan = {
+    schedule: [
+      { dueDate: new Date(2024, 1, 1), status: 'paid' },
+      { dueDate: new Date(2024, 2, 1), status: 'pending' },
+      { dueDate: new Date(2024, 3, 1), status: 'pending' }
+    ]
+  };
+
+  test('counts from the oldest unpaid EMI once its due date has passed', () => {
+    expect(daysPastDue(loan, new Date(2024, 1, 20, 12))).toBe(0);
+    expect(daysPastDue(loan, new Date(2024, 2, 1, 12))).toBe(0);
+    expect(daysPastDue(loan, new Date(2024, 2, 11, 12))).toBe(10);
+    expect(daysPastDue(loan, new Date(2024, 3, 11, 12))).toBe(41);
+  });
+});
+
+describe('PENALTY_POLICY', () => {
+  test('zero grace days, late fee and penal rate can be configured', () => {
+    const env = { LOAN_GRACE_DAYS: '0', LOAN_LATE_FEE: '0', LOAN_PENAL_RATE: '0' };
+    expect(withEnv(env, 'services/loan').PENALTY_POLICY).toEqual({ graceDays: 0, lateFee: 0, penalRate: 0 });
+  });
+});
+
+describe('bucketFor', () => {
+  test('maps days past due onto the SMA and NPA buckets', () => {
+    expect(bucketFor(0)).toBe('standard');
+    expect(bucketFor(1)).toBe('sma_0');
+    expect(bucketFor(30)).toBe('sma_0');
+    expect(bucketFor(31)).toBe('sma_1');
+    expect(bucketFor(61)).toBe('sma_2');
+    expect(bucketFor(89)).toBe('sma_2');
+    expect(bucketFor(90)).toBe('npa');
+  });
+});
+
+describe('assessLoan', () => {
+  db.useDatabase();
+
+  // A disbursed personal loan of 100000 at 12% over 12 months: EMI 8884.88
+  const activeLoan = async (user) => {
+    const operator = await createCustomer();
+    const { loan } = await disburseLoan((await approvedLoan(user))._id, operator);
+    return loan;
+  };
+
+  test('accrues penal interest daily and levies the late fee after the grace period', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+    const dueDate = loan.schedule[0].dueDate;
+
+    const early = await assessLoan(loan._id, addDays(dueDate, 2));
+    expect(early).toMatchObject({ dpd: 2, delinquency: 'sma_0' });
+    expect(early.overdueCharges).toMatchObject({ lateFee: 0, gst: 0, penalInterest: 11.68 });
+
+    const again = await assessLoan(loan._id, addDays(dueDate, 2));
+    expect(again.overdueCharges.penalInterest).toBe(11.68);
+
+    const late = await assessLoan(loan._id, addDays(dueDate, 5));
+    expect(late).toMatchObject({ dpd: 5, delinquency: 'sma_0' });
+    expect(late.overdueCharges).toMatchObject({ lateFee: 500, gst: 90, penalInterest: 29.21 });
+    expect(late.schedule[0].lateFeeCharged).toBe(true);
+  });
+
+  test('rolls the loan into NPA and back to standard once the arrears are paid', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+    const dueDate = loan.schedule[0].dueDate;
+
+    await assessLoan(loan._id, addDays(dueDate, 1));
+    const npa = await assessLoan(loan._id, addDays(dueDate, 95));
+    expect(npa).toMatchObject({ dpd: 95, delinquency: 'npa' });
+
+    const { loan: repaid } = await repayLoan(loan._id, { userId: user._id, at: addDays(dueDate, 95) });
+    expect(repaid).toMatchObject({ dpd: 0, delinquency: 'standard' });
+    expect(repaid.overdueCharges).toMatchObject({ lateFee: 0, gst: 0, penalInterest: 0 });
+    expect(repaid.delinquencyHistory.map(({ from, to }) => [from, to])).toEqual([
+      ['standard', 'sma_0'],
+      ['sma_0', 'npa'],
+      ['npa', 'standard']
+    ]);
+  });
+
+  test('the daily job assesses overdue loans and releases them', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    await runLoanDelinquency(addDays(loan.schedule[0].dueDate, 40));
+
+    const assessed = await Loan.findById(loan._id);
+    expect(assessed).toMatchObject({ dpd: 40, delinquency: 'sma_1' });
+    expect(assessed.lockedUntil).toBeUndefined();
+  });
+});
@@ -0,0 +1,76 @@
+const db = require('./helpers/db');
+const { createCustomer, approvedLoan, balanceOf } = require('./helpers/factories');
+const Loan = require('../models/Loan');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { processingFeeFor, disburseLoan } = require('../services/loan');
+
+describe('processingFeeFor', () => {
+  test('charges the type\'s percentage within its floor and cap', () => {
+    expect(processingFeeFor('personal', 100000)).toBe(2000);
+    expect(processingFeeFor('personal', 10000)).toBe(1000);
+    expect(processingFeeFor('home', 2000000)).toBe(10000);
+    expect(processingFeeFor('home', 8000000)).toBe(25000);
+    expect(processingFeeFor('education', 500000)).toBe(0);
+  });
+});
+
+describe('disburseLoan', () => {
+  db.useDatabase();
+
+  test('pays out an approved loan less the fee and GST and lays out the schedule', async () => {
+    const user = await createCustomer();
+    const operator = await createCustomer();
+    const approved = await approvedLoan(user);
+
+    const { loan, transaction } = await disburseLoan(approved._id, operator);
+
+    expect(loan).toMatchObject({ status: 'active', disbursedAmount: 100000, remainingBalance: 100000 });
+    expect(loan.schedule).toHaveLength(12);
+    expect(loan.nextDebitAt).toEqual(loan.schedule[0].dueDate);
+    expect(transaction).toMatchObject({ type: 'loan_disbursement', amount: 100000, fees: 2000, gst: 360 });
+    expect(await balanceOf(user)).toBe(97640);
+
+    await expect(disburseLoan(approved._id, operator)).rejects.toThrow('Loan has already been fully disbursed');
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('only approved loans can be disbursed, and only home loans in tranches', async () => {
+    const user = await createCustomer();
+    const operator = await createCustomer();
+    const pending = await approvedLoan(user, { status: 'pending' });
+    const personal = await approvedLoan(user);
+
+    await expect(disburseLoan(pending._id, operator)).rejects.toThrow('Only approved loans can be disbursed');
+    await expect(disburseLoan(personal._id, operator, 50000))
+      .rejects.toThrow('Only home loans can be disbursed in tranches');
+    await expect(disburseLoan(personal._id, operator, 150000))
+      .rejects.toThrow('Amount exceeds the undisbursed loan amount');
+    expect(await balanceOf(user)).toBe(0);
+  });
+
+  test('home loan tranches share the processing fee so it is charged once', async () => {
+    const user = await createCustomer();
+    const operator = await createCustomer();
+    const approved = await approvedLoan(user, { loanType: 'home', amount: 3000000, interestRate: 9, term: 240 });
+
+    const first = await disburseLoan(approved._id, operator, 1000000);
+    expect(first.transaction).toMatchObject({ fees: 5000, gst: 900 });
+    expect(first.loan).toMatchObject({ status: 'active', disbursedAmount: 1000000, remainingBalance: 1000000 });
+
+    const second = await disburseLoan(approved._id, operator, 1000000);
+    expect(second.transaction).toMatchObject({ fees: 5000, gst: 900, description: 'Loan disbursement tranche 2 (home loan)' });
+
+    const last = await disburseLoan(approved._id, operator);
+    expect(last.transaction).toMatchObject({ amount: 1000000, fees: 5000, gst: 900 });
+
+    const loan = await Loan.findById(approved._id);
+    expect(loan.disbursements).toHaveLength(3);
+    expect(loan.disbursements.reduce((sum, tranche) => sum + tranche.processingFee, 0))
+      .toBe(processingFeeFor('home', 3000000));
+    expect(loan).toMatchObject({ disbursedAmount: 3000000, remainingBalance: 3000000 });
+    expect(await balanceOf(user)).toBe(3000000 - 15000 - 2700);
+  });
+});
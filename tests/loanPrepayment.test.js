@@ -0,0 +1,155 @@
+const db = require('./helpers/db');
+const { createCustomer, fund, approvedLoan, balanceOf } = require('./helpers/factories');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { buildSchedule } = require('../services/amortization');
+const { regenerateSchedule, disburseLoan, foreclosureQuote, prepayLoan, forecloseLoan } = require('../services/loan');
+
+describe('foreclosureQuote', () => {
+  // 100000 at 12% over 12 months, disbursed on 1 January with EMIs due on
+  // the first of each month from February
+  const disbursedAt = new Date(Date.UTC(2024, 0, 1));
+  const loan = {
+    loanType: 'personal',
+    interestRate: 12,
+    disbursedAt,
+    schedule: buildSchedule({ principal: 100000, annualRate: 12, instalments: 12, anchorDate: disbursedAt })
+      .map(line => ({ ...line, status: 'pending', interestPaid: 0, principalPaid: 0 })),
+    overdueCharges: { lateFee: 0, gst: 0, penalInterest: 0 }
+  };
+
+  test('accrues interest since disbursement and charges the penalty on the principal', () => {
+    expect(foreclosureQuote(loan, new Date(Date.UTC(2024, 0, 16)))).toMatchObject({
+      outstandingPrincipal: 100000,
+      overdueInterest: 0,
+      accruedInterest: 493.15,
+      prepaymentPenaltyRate: 4,
+      prepaymentPenalty: 4000,
+      gst: 720,
+      total: 105213.15
+    });
+  });
+
+  test('adds the interest of EMIs already due and charges the penalty only on what is not', () => {
+    expect(foreclosureQuote(loan, new Date(Date.UTC(2024, 1, 11)))).toMatchObject({
+      outstandingPrincipal: 100000,
+      overdueInterest: 1000,
+      accruedInterest: 302.84,
+      prepaymentPenalty: 3684.6,
+      gst: 663.23,
+      total: 105650.67
+    });
+  });
+
+  test('home loans can be closed without a penalty', () => {
+    expect(foreclosureQuote({ ...loan, loanType: 'home' }, new Date(Date.UTC(2024, 0, 16))))
+      .toMatchObject({ prepaymentPenaltyRate: 0, prepaymentPenalty: 0, gst: 0, total: 100493.15 });
+  });
+});
+
+describe('regenerateSchedule', () => {
+  const disbursedAt = new Date(Date.UTC(2024, 0, 1));
+
+  test('plans a new loan over its term', () => {
+    const loan = { term: 12, interestRate: 12, disbursedAt, schedule: [] };
+    regenerateSchedule(loan, 100000);
+    expect(loan.schedule).toHaveLength(12);
+    expect(loan.monthlyPayment).toBe(8884.88);
+  });
+
+  test('keeps a tenure already shortened by a prepayment', () => {
+    // 80000 left at the original EMI after a reduce_tenure prepayment: 10 instalments
+    const loan = {
+      term: 12,
+      interestRate: 12,
+      disbursedAt,
+      schedule: buildSchedule({ principal: 80000, annualRate: 12, instalments: 12, anchorDate: disbursedAt, emi: 8884.88 })
+        .map(line => ({ ...line, status: 'pending' }))
+    };
+    expect(loan.schedule).toHaveLength(10);
+
+    regenerateSchedule(loan, 70000);
+    expect(loan.schedule).toHaveLength(10);
+    expect(loan.monthlyPayment).toBe(7390.75);
+  });
+});
+
+describe('prepayment and foreclosure', () => {
+  db.useDatabase();
+
+  // A disbursed personal loan of 100000 at 12% over 12 months: EMI 8884.88,
+  // leaving the borrower 97640 after the processing fee and GST
+  const activeLoan = async (user) => {
+    const operator = await createCustomer();
+    const { loan } = await disburseLoan((await approvedLoan(user))._id, operator);
+    return loan;
+  };
+
+  test('a part-payment can lower the EMI', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    const { loan: prepaid, transaction } = await prepayLoan(loan._id, user._id, { amount: 20000 });
+
+    expect(transaction).toMatchObject({ amount: 20000, fees: 800, gst: 144 });
+    expect(prepaid).toMatchObject({ status: 'active', monthlyPayment: 7107.9, remainingBalance: 80000 });
+    expect(prepaid.schedule).toHaveLength(12);
+    expect(prepaid.repayments[0]).toMatchObject({ kind: 'prepayment', option: 'reduce_emi', principal: 20000 });
+    expect(await balanceOf(user)).toBe(76696);
+  });
+
+  test('a part-payment can shorten the tenure instead', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    const { loan: prepaid } = await prepayLoan(loan._id, user._id, { amount: 20000, option: 'reduce_tenure' });
+
+    expect(prepaid).toMatchObject({ monthlyPayment: 8884.88, remainingBalance: 80000 });
+    expect(prepaid.schedule).toHaveLength(10);
+    expect(prepaid.schedule[9]).toMatchObject({ emi: 4299.14, closingBalance: 0 });
+  });
+
+  test('a later part-payment that lowers the EMI keeps the shortened tenure', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    await prepayLoan(loan._id, user._id, { amount: 20000, option: 'reduce_tenure' });
+    const { loan: prepaid } = await prepayLoan(loan._id, user._id, { amount: 10000, option: 'reduce_emi' });
+
+    expect(prepaid).toMatchObject({ monthlyPayment: 7390.75, remainingBalance: 70000 });
+    expect(prepaid.schedule).toHaveLength(10);
+    expect(await balanceOf(user)).toBe(66224);
+  });
+
+  test('a part-payment cannot clear the loan or be made by someone else', async () => {
+    const user = await createCustomer();
+    const other = await createCustomer();
+    const loan = await activeLoan(user);
+
+    await expect(prepayLoan(loan._id, other._id, { amount: 20000 })).rejects.toThrow('Access denied to this loan');
+    await expect(prepayLoan(loan._id, user._id, { amount: 100000 }))
+      .rejects.toThrow('Amount would clear the loan; use foreclosure instead');
+    expect(await balanceOf(user)).toBe(97640);
+  });
+
+  test('foreclosure pays the quote and closes the loan', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    await expect(forecloseLoan(loan._id, user._id)).rejects.toThrow('Insufficient balance for this payment');
+
+    await fund(user, 10000);
+    const { loan: closed, transaction, quote } = await forecloseLoan(loan._id, user._id);
+
+    expect(quote).toMatchObject({ outstandingPrincipal: 100000, accruedInterest: 0, prepaymentPenalty: 4000, gst: 720 });
+    expect(transaction).toMatchObject({ amount: 100000, fees: 4000, gst: 720 });
+    expect(closed).toMatchObject({ status: 'closed', closureType: 'foreclosure', remainingBalance: 0 });
+    expect(closed.schedule).toHaveLength(1);
+    expect(closed.schedule[0]).toMatchObject({ status: 'paid', principal: 100000, interest: 0 });
+    expect(await balanceOf(user)).toBe(2920);
+    await expect(prepayLoan(loan._id, user._id, { amount: 20000 })).rejects.toThrow('Only active loans can be prepaid');
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const db = require('./helpers/db');
+const { createCustomer, fund, approvedLoan, balanceOf } = require('./helpers/factories');
+const Loan = require('../models/Loan');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { disburseLoan, repayLoan, collectDueEmi, LOAN_RETRY_DELAY_MS } = require('../services/loan');
+const { runDueEmis } = require('../jobs/loans');
+
+db.useDatabase();
+
+// A disbursed personal loan of 100000 at 12% over 12 months: EMI 8884.88,
+// leaving the borrower 97640 after the processing fee and GST
+const activeLoan = async (user) => {
+  const operator = await createCustomer();
+  const { loan } = await disburseLoan((await approvedLoan(user))._id, operator);
+  return loan;
+};
+
+describe('repayLoan', () => {
+  test('settles interest before principal', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+    const at = loan.schedule[0].dueDate;
+
+    const { allocation } = await repayLoan(loan._id, { userId: user._id, amount: 500, at });
+    expect(allocation).toEqual({ interest: 500, principal: 0, instalments: [1] });
+
+    const { loan: repaid, allocation: rest } = await repayLoan(loan._id, { userId: user._id, at });
+    expect(rest).toEqual({ interest: 500, principal: 7884.88, instalments: [1] });
+    expect(repaid.schedule[0]).toMatchObject({ status: 'paid', interestPaid: 1000, principalPaid: 7884.88 });
+    expect(repaid).toMatchObject({ status: 'active', remainingBalance: 92115.12 });
+    expect(repaid.nextPaymentDate).toEqual(repaid.schedule[1].dueDate);
+    expect(repaid.repayments).toHaveLength(2);
+    expect(await balanceOf(user)).toBe(88755.12);
+  });
+
+  test('rejects other users, overpayments and short balances', async () => {
+    const user = await createCustomer();
+    const other = await createCustomer();
+    const loan = await activeLoan(user);
+    const at = loan.schedule[0].dueDate;
+
+    await expect(repayLoan(loan._id, { userId: other._id, at })).rejects.toThrow('Access denied to this loan');
+    await expect(repayLoan(loan._id, { userId: user._id, amount: 20000, at }))
+      .rejects.toThrow('Amount exceeds the EMIs due');
+    await expect(repayLoan(loan._id, { userId: user._id, at: loan.schedule[11].dueDate }))
+      .rejects.toThrow('Insufficient balance to pay the EMI');
+    expect(await balanceOf(user)).toBe(97640);
+  });
+
+  test('closes the loan with its last instalment', async () => {
+    const user = await fund(await createCustomer(), 10000);
+    const loan = await activeLoan(user);
+
+    for (const line of loan.schedule) {
+      await repayLoan(loan._id, { userId: user._id, at: line.dueDate });
+    }
+
+    const closed = await Loan.findById(loan._id);
+    expect(closed).toMatchObject({ status: 'closed', closureType: 'repaid', remainingBalance: 0 });
+    expect(closed.nextDebitAt).toBeUndefined();
+    expect(await balanceOf(user)).toBe(1021.47);
+    await expect(repayLoan(loan._id, { userId: user._id })).rejects.toThrow('Only active loans can be repaid');
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+});
+
+describe('EMI auto-debit', () => {
+  test('the job collects EMIs on their due date', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+
+    await runDueEmis(loan.schedule[0].dueDate);
+
+    const collected = await Loan.findById(loan._id);
+    expect(collected.schedule[0].status).toBe('paid');
+    expect(collected.repayments[0]).toMatchObject({ amount: 8884.88, source: 'auto' });
+    expect(collected.nextDebitAt).toEqual(collected.schedule[1].dueDate);
+    expect(collected.lockedUntil).toBeUndefined();
+    expect(await balanceOf(user)).toBe(88755.12);
+  });
+
+  test('a failed debit is recorded and retried later', async () => {
+    const user = await createCustomer();
+    const loan = await activeLoan(user);
+    const now = loan.schedule[11].dueDate;
+
+    expect(await collectDueEmi(loan._id, now)).toBeNull();
+
+    const failed = await Loan.findById(loan._id);
+    expect(failed.schedule[0]).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      lastError: 'Insufficient balance to pay the EMI'
+    });
+    expect(failed.nextDebitAt).toEqual(new Date(now.getTime() + LOAN_RETRY_DELAY_MS));
+    expect(await balanceOf(user)).toBe(97640);
+
+    await fund(user, 10000);
+    const { loan: repaid } = await collectDueEmi(loan._id, now);
+    expect(repaid).toMatchObject({ status: 'closed', closureType: 'repaid' });
+  });
+
+  test('a loan removed after it was claimed is skipped', async () => {
+    await expect(collectDueEmi(new mongoose.Types.ObjectId())).resolves.toBeNull();
+  });
+});
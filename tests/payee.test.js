@@ -0,0 +1,66 @@
+const db = require('./helpers/db');
+const { createCustomer } = require('./helpers/factories');
+const { resolvePayee, getPayeePreview, maskName } = require('../services/payee');
+const { getSystemAccount } = require('../services/systemAccounts');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('resolvePayee', () => {
+  test('finds a customer by account number, UPI ID or mobile number', async () => {
+    const payee = await createCustomer({
+      upiDetails: [{ upiId: 'payee@okbank', bankName: 'Infinity Bank' }]
+    });
+
+    const byAccount = await resolvePayee(payee.accountNumber.toLowerCase());
+    const byVpa = await resolvePayee('payee@okbank');
+    const byMobile = await resolvePayee(` ${payee.mobile} `);
+
+    expect(byAccount.identifierType).toBe('accountNumber');
+    expect(byVpa.identifierType).toBe('upiId');
+    expect(byMobile.identifierType).toBe('mobile');
+    [byAccount, byVpa, byMobile].forEach(({ payee: found }) => {
+      expect(found._id.toString()).toBe(payee._id.toString());
+    });
+  });
+
+  test('ignores unlinked VPAs, inactive customers and system accounts', async () => {
+    await createCustomer({
+      upiDetails: [{ upiId: 'old@okbank', isActive: false }]
+    });
+    const inactive = await createCustomer({ isActive: false });
+    const cash = await getSystemAccount('cash');
+
+    await expect(resolvePayee('old@okbank')).rejects.toMatchObject({ status: 404 });
+    await expect(resolvePayee(inactive.mobile)).rejects.toMatchObject({ status: 404 });
+    await expect(resolvePayee(cash._id.toString())).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('rejects anything that is not an identifier', async () => {
+    await expect(resolvePayee('not a payee')).rejects.toMatchObject({ status: 400 });
+    await expect(resolvePayee('')).rejects.toMatchObject({ status: 400 });
+    await expect(resolvePayee('twelve-chars')).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('accepts a customer id only in its 24-hex form', async () => {
+    const payee = await createCustomer();
+
+    const byId = await resolvePayee(payee._id.toString());
+    expect(byId.identifierType).toBe('id');
+    expect(byId.payee._id.toString()).toBe(payee._id.toString());
+  });
+});
+
+describe('getPayeePreview', () => {
+  test('masks the name and account number', () => {
+    const preview = getPayeePreview({
+      debitCard: { cardHolder: 'Rahul Sharma' },
+      username: 'rahul',
+      accountNumber: 'IB1700000000ABCDE'
+    }, 'mobile');
+
+    expect(preview).toEqual({ name: 'R**** S*****', accountNumber: '****BCDE', identifierType: 'mobile' });
+    expect(maskName('  A  Bc ')).toBe('A B*');
+  });
+});
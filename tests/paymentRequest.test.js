@@ -0,0 +1,83 @@
+const db = require('./helpers/db');
+const { createCustomer, fund, balanceOf } = require('./helpers/factories');
+const PaymentRequest = require('../models/PaymentRequest');
+const Transaction = require('../models/Transaction');
+const {
+  createPaymentRequest,
+  approvePaymentRequest,
+  declinePaymentRequest
+} = require('../services/paymentRequest');
+const { expirePaymentRequests } = require('../jobs/paymentRequests');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A requester asking a funded payer for `amount`
+const setup = async (amount = 500, balance = 1000) => {
+  const requester = await createCustomer();
+  const payer = await fund(await createCustomer(), balance);
+  const request = await createPaymentRequest(requester, { payerIdentifier: payer.accountNumber, amount, note: 'Dinner' });
+  return { requester, payer, request };
+};
+
+describe('payment requests', () => {
+  test('approving pays the requester and marks the request paid with its transfer', async () => {
+    const { requester, payer, request } = await setup();
+
+    const { request: paid, transaction } = await approvePaymentRequest(request._id, payer);
+    expect(paid.status).toBe('paid');
+    expect(paid.transaction).toEqual(transaction._id);
+    expect(paid.lockedUntil).toBeUndefined();
+    expect(await balanceOf(requester)).toBe(500);
+    expect(await balanceOf(payer)).toBe(500);
+
+    await expect(approvePaymentRequest(request._id, payer)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('a double submit pays once', async () => {
+    const { payer, request } = await setup();
+
+    const results = await Promise.allSettled([
+      approvePaymentRequest(request._id, payer),
+      approvePaymentRequest(request._id, payer)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBe(1);
+    expect(await balanceOf(payer)).toBe(500);
+  });
+
+  test('a failed transfer leaves the request pending and unlocked', async () => {
+    const { payer, request } = await setup(500, 100);
+
+    await expect(approvePaymentRequest(request._id, payer)).rejects.toThrow('Insufficient balance');
+
+    const current = await PaymentRequest.findById(request._id);
+    expect(current.status).toBe('pending');
+    expect(current.lockedUntil).toBeUndefined();
+    expect(current.transaction).toBeUndefined();
+  });
+
+  test('only the payer can respond, and not after expiry', async () => {
+    const { requester, payer, request } = await setup();
+
+    await expect(declinePaymentRequest(request._id, requester, 'No')).rejects.toMatchObject({ status: 403 });
+
+    const later = new Date(Date.now() + 49 * HOUR_MS);
+    await expect(approvePaymentRequest(request._id, payer, later)).rejects.toThrow('Payment request is already expired');
+  });
+
+  test('the expiry job skips requests being paid', async () => {
+    const { payer, request } = await setup();
+    const other = await setup();
+    await PaymentRequest.updateOne({ _id: other.request._id }, { lockedUntil: new Date(Date.now() + 99 * HOUR_MS) });
+
+    expect(await expirePaymentRequests(new Date(Date.now() + 49 * HOUR_MS))).toBe(1);
+    expect((await PaymentRequest.findById(request._id)).status).toBe('expired');
+    expect((await PaymentRequest.findById(other.request._id)).status).toBe('pending');
+    await expect(declinePaymentRequest(request._id, payer)).rejects.toMatchObject({ status: 409 });
+  });
+});
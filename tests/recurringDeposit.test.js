@@ -0,0 +1,117 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const { withEnv } = require('./helpers/env');
+const Deposit = require('../models/Deposit');
+const User = require('../models/User');
+const {
+  RD_PENALTY_RATE,
+  calculateRecurringMaturity,
+  instalmentSchedule,
+  openDeposit,
+  openRecurringDeposit,
+  collectDueInstalment,
+  payMissedInstalments
+} = require('../services/deposit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('calculateRecurringMaturity', () => {
+  test('compounds each instalment for the months it stays invested', () => {
+    expect(calculateRecurringMaturity({
+      instalmentAmount: 1000,
+      tenureMonths: 12,
+      dayOfMonth: 5,
+      startDate: new Date(2024, 0, 5)
+    })).toMatchObject({ interestRate: 6.5, totalDeposit: 12000, maturityAmount: 12428.65, interest: 428.65 });
+  });
+});
+
+describe('instalmentSchedule', () => {
+  test('shows pending instalments as due or upcoming and prices missed ones', () => {
+    const now = new Date(2024, 2, 10);
+    const deposit = {
+      instalments: [
+        { number: 1, dueDate: new Date(2024, 0, 5), amount: 1000, status: 'missed' },
+        { number: 2, dueDate: new Date(2024, 2, 5), amount: 1000, status: 'pending' },
+        { number: 3, dueDate: new Date(2024, 3, 5), amount: 1000, status: 'pending' }
+      ]
+    };
+
+    const schedule = instalmentSchedule(deposit, now);
+    expect(schedule.map(line => line.status)).toEqual(['missed', 'due', 'upcoming']);
+    expect(schedule[0].penalty).toBe(1000 * RD_PENALTY_RATE / 100 * 3);
+  });
+
+  test('a zero RD_PENALTY_RATE waives the late-payment penalty', () => {
+    const { instalmentSchedule: schedule } = withEnv({ RD_PENALTY_RATE: '0' }, 'services/deposit');
+    const deposit = { instalments: [{ number: 1, dueDate: new Date(2024, 0, 5), amount: 1000, status: 'missed' }] };
+    expect(schedule(deposit, new Date(2024, 2, 10))[0].penalty).toBe(0);
+  });
+});
+
+describe('recurring deposits', () => {
+  db.useDatabase();
+
+  const open = (user) => openRecurringDeposit(user._id, { instalmentAmount: 1000, tenureMonths: 6, dayOfMonth: 1 });
+
+  test('debits the first instalment on opening and the next when it falls due', async () => {
+    const user = await fund(await createCustomer(), 5000);
+    const deposit = await open(user);
+    expect(deposit.principal).toBe(1000);
+    expect(await balanceOf(user)).toBe(4000);
+
+    const collected = await collectDueInstalment(deposit._id, new Date(deposit.instalments[1].dueDate.getTime() + DAY_MS));
+    expect(collected.instalments[1].status).toBe('paid');
+    expect(collected.principal).toBe(2000);
+    expect(collected.nextInstalmentAt).toEqual(collected.instalments[2].dueDate);
+    expect(await balanceOf(user)).toBe(3000);
+  });
+
+  test('a failing debit is retried and then missed; paying it later adds the penalty', async () => {
+    const user = await fund(await createCustomer(), 1000);
+    const deposit = await open(user);
+    const due = new Date(deposit.instalments[1].dueDate.getTime() + DAY_MS);
+
+    let current = await collectDueInstalment(deposit._id, due);
+    expect(current.instalments[1]).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(current.instalments[1].lastError).toMatch('Insufficient balance');
+    expect(current.nextInstalmentAt.getTime()).toBeGreaterThan(due.getTime());
+
+    current = await collectDueInstalment(deposit._id, due);
+    current = await collectDueInstalment(deposit._id, due);
+    expect(current.instalments[1].status).toBe('missed');
+
+    await fund(user, 2000);
+    const paid = await payMissedInstalments(deposit._id, user._id);
+    expect(paid.instalments[1].status).toBe('paid');
+    expect(paid.instalments[1].penalty).toBeGreaterThan(0);
+  });
+
+  test('records a failed attempt when the account has gone and ignores unknown deposits', async () => {
+    const user = await fund(await createCustomer(), 5000);
+    const deposit = await open(user);
+    await User.updateOne({ _id: user._id }, { isActive: false });
+
+    const current = await collectDueInstalment(deposit._id, new Date(deposit.instalments[1].dueDate.getTime() + DAY_MS));
+    expect(current.instalments[1]).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Account not found' });
+
+    await Deposit.deleteOne({ _id: deposit._id });
+    expect(await collectDueInstalment(deposit._id)).toBeNull();
+  });
+
+  test('deposits can be listed by type, and unknown types are rejected', async () => {
+    const app = buildApp({ '/api/deposit': require('../routes/deposit') });
+    const user = await fund(await createCustomer(), 50000);
+    const recurring = await open(user);
+    await openDeposit(user._id, { principal: 10000, tenureMonths: 12 });
+    const list = (query) => request(app).get('/api/deposit').query(query).set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    const listed = await list({ depositType: 'recurring' });
+    expect(listed.status).toBe(200);
+    expect(listed.body.deposits.map(deposit => deposit._id)).toEqual([recurring._id.toString()]);
+
+    expect((await list({ depositType: 'flexi' })).status).toBe(400);
+  });
+});
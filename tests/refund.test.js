@@ -0,0 +1,123 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const Transaction = require('../models/Transaction');
+const { executeTransaction } = require('../services/transaction');
+const { checkLedgerInvariants } = require('../services/ledger');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const app = buildApp({ '/api/transaction': require('../routes/transaction') });
+
+const as = (user) => ({ Authorization: `Bearer ${tokenFor(user)}` });
+
+// A completed transfer from a funded sender to a new receiver
+const setup = async (amount = 1000) => {
+  const sender = await fund(await createCustomer(), 5000);
+  const receiver = await createCustomer();
+  const transaction = await executeTransaction({
+    senderId: sender._id,
+    receiverId: receiver._id,
+    amount,
+    type: 'transfer'
+  });
+  return { sender, receiver, transaction };
+};
+
+const requestRefund = (user, transaction, body = {}) => request(app)
+  .post(`/api/transaction/${transaction._id}/refund`)
+  .set(as(user))
+  .send(body);
+
+describe('refunds', () => {
+  test('partial refunds reverse the money and track the refunded amount', async () => {
+    const { sender, receiver, transaction } = await setup();
+
+    const requested = await requestRefund(sender, transaction, { amount: 400 });
+    expect(requested.status).toBe(201);
+
+    const approved = await request(app)
+      .patch(`/api/transaction/refunds/${requested.body.refund._id}/approve`)
+      .set(as(receiver));
+    expect(approved.status).toBe(200);
+    expect(approved.body.reversal.originalTransaction).toBe(transaction._id.toString());
+
+    expect(await balanceOf(sender)).toBe(4400);
+    expect(await balanceOf(receiver)).toBe(600);
+    expect((await Transaction.findById(transaction._id)).refundedAmount).toBe(400);
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('pending requests count against the amount left to refund', async () => {
+    const { sender, transaction } = await setup();
+
+    expect((await requestRefund(sender, transaction, { amount: 700 })).status).toBe(201);
+
+    const over = await requestRefund(sender, transaction, { amount: 400 });
+    expect(over.status).toBe(400);
+    expect(over.body.refundable).toBe(300);
+
+    const rest = await requestRefund(sender, transaction);
+    expect(rest.status).toBe(201);
+    expect(rest.body.refund.amount).toBe(300);
+  });
+
+  test('only the sender can request and only the receiver can approve', async () => {
+    const { sender, receiver, transaction } = await setup();
+
+    expect((await requestRefund(receiver, transaction)).status).toBe(403);
+
+    const requested = await requestRefund(sender, transaction);
+    const approve = (user) => request(app)
+      .patch(`/api/transaction/refunds/${requested.body.refund._id}/approve`)
+      .set(as(user));
+
+    expect((await approve(sender)).status).toBe(403);
+    expect(await balanceOf(receiver)).toBe(1000);
+  });
+
+  test('a refund already approved cannot be rejected', async () => {
+    const { sender, receiver, transaction } = await setup();
+    const requested = await requestRefund(sender, transaction, { amount: 400 });
+    const decide = (action) => request(app)
+      .patch(`/api/transaction/refunds/${requested.body.refund._id}/${action}`)
+      .set(as(receiver));
+
+    expect((await decide('approve')).status).toBe(200);
+
+    const rejected = await decide('reject');
+    expect(rejected.status).toBe(409);
+    expect(rejected.body.message).toBe('Refund request has already been decided');
+
+    const listed = await request(app).get('/api/transaction/refunds').set(as(sender));
+    expect(listed.body.refunds[0].status).toBe('approved');
+    expect(await balanceOf(sender)).toBe(4400);
+  });
+
+  test('rejecting leaves the money where it is', async () => {
+    const { sender, receiver, transaction } = await setup();
+    const requested = await requestRefund(sender, transaction);
+
+    const rejected = await request(app)
+      .patch(`/api/transaction/refunds/${requested.body.refund._id}/reject`)
+      .set(as(receiver));
+    expect(rejected.status).toBe(200);
+    expect(rejected.body.refund).toMatchObject({ status: 'rejected', decidedBy: receiver._id.toString() });
+    expect(await balanceOf(receiver)).toBe(1000);
+  });
+
+  test('refund filters are validated', async () => {
+    const { sender } = await setup();
+    const list = (query) => request(app).get('/api/transaction/refunds').query(query).set(as(sender));
+
+    expect((await list({ direction: 'incoming', status: 'pending' })).status).toBe(200);
+    expect((await list({ direction: 'sideways' })).status).toBe(400);
+    expect((await list('status[$ne]=approved')).status).toBe(400);
+  });
+});
@@ -0,0 +1,18 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Start one single-node replica set for the whole run; transactions need a
+// replica set. Set MONGODB_TEST_URI to use an existing one instead, or
+// MONGOMS_SYSTEM_BINARY to start a local mongod rather than downloading one.
+// If no server can be started, suites that need the database fail with the
+// reason while the rest still run.
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) return;
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    globalThis.__MONGO_REPL_SET__ = replSet;
+    process.env.MONGODB_TEST_URI = replSet.getUri();
+  } catch (error) {
+    process.env.MONGODB_TEST_ERROR = `${error.message} (set MONGOMS_SYSTEM_BINARY to a local mongod 7.0 or MONGODB_TEST_URI to a replica set)`;
+  }
+};
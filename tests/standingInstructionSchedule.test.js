@@ -0,0 +1,69 @@
+const StandingInstruction = require('../models/StandingInstruction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const instruction = (fields) => new StandingInstruction({
+  user: '64b000000000000000000001',
+  receiver: '64b000000000000000000002',
+  amount: 100,
+  startDate: new Date(2026, 0, 31),
+  ...fields
+});
+
+describe('occurrenceAfter', () => {
+  test('monthly runs clamp to the last day of short months', () => {
+    const monthly = instruction({ frequency: 'monthly', dayOfMonth: 31 });
+
+    expect(monthly.occurrenceAfter(new Date(2026, 0, 31))).toEqual(new Date(2026, 1, 28));
+    expect(monthly.occurrenceAfter(new Date(2026, 1, 28))).toEqual(new Date(2026, 2, 31));
+  });
+
+  test('weekly runs are seven days apart and one-offs do not repeat', () => {
+    expect(instruction({ frequency: 'weekly' }).occurrenceAfter(new Date(2026, 0, 1)))
+      .toEqual(new Date(2026, 0, 8));
+    expect(instruction({ frequency: 'once' }).occurrenceAfter(new Date(2026, 0, 1))).toBeNull();
+  });
+});
+
+describe('skipMissedOccurrences', () => {
+  const now = new Date(2026, 3, 15, 12);
+
+  test('moves a resumed weekly transfer to the first occurrence at or after now', () => {
+    const weekly = instruction({
+      frequency: 'weekly',
+      status: 'active',
+      nextOccurrence: new Date(2026, 2, 1, 9),
+      attempts: 2
+    });
+
+    weekly.skipMissedOccurrences(now);
+
+    expect(weekly.nextOccurrence).toEqual(new Date(2026, 3, 19, 9));
+    expect(weekly.nextRunAt).toEqual(weekly.nextOccurrence);
+    expect(weekly.attempts).toBe(0);
+    expect(weekly.nextOccurrence - now).toBeLessThan(7 * DAY_MS);
+  });
+
+  test('keeps a missed one-off so it runs once', () => {
+    const once = instruction({ frequency: 'once', nextOccurrence: new Date(2026, 2, 1) });
+
+    once.skipMissedOccurrences(now);
+
+    expect(once.nextRunAt).toEqual(new Date(2026, 2, 1));
+  });
+
+  test('completes the transfer when the next occurrence is past its end date', () => {
+    const monthly = instruction({
+      frequency: 'monthly',
+      dayOfMonth: 1,
+      status: 'active',
+      nextOccurrence: new Date(2026, 1, 1),
+      endDate: new Date(2026, 3, 30)
+    });
+
+    monthly.skipMissedOccurrences(now);
+
+    expect(monthly.status).toBe('completed');
+    expect(monthly.nextRunAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { buildApp } = require('./helpers/app');
+const { createCustomer, fund, tokenFor, balanceOf } = require('./helpers/factories');
+const StandingInstruction = require('../models/StandingInstruction');
+const Transaction = require('../models/Transaction');
+const { runDueInstructions } = require('../jobs/standingInstructions');
+
+beforeAll(db.connect);
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await db.clear();
+});
+afterAll(db.disconnect);
+
+const app = buildApp({ '/api/transaction/scheduled': require('../routes/scheduled') });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A weekly instruction whose occurrence fell due `daysAgo` days ago
+const dueInstruction = async (sender, receiver, { daysAgo = 0, ...fields } = {}) => {
+  const instruction = new StandingInstruction({
+    user: sender._id,
+    receiver: receiver._id,
+    amount: 250,
+    frequency: 'weekly',
+    startDate: new Date(Date.now() + DAY_MS),
+    ...fields
+  });
+  await instruction.save();
+
+  const occurrence = new Date(Date.now() - daysAgo * DAY_MS - 60 * 1000);
+  await StandingInstruction.updateOne({ _id: instruction._id }, { nextOccurrence: occurrence, nextRunAt: occurrence });
+  return StandingInstruction.findById(instruction._id);
+};
+
+describe('runDueInstructions', () => {
+  test('executes a due transfer and moves to the next occurrence', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    const instruction = await dueInstruction(sender, receiver);
+
+    await runDueInstructions();
+
+    const after = await StandingInstruction.findById(instruction._id);
+    expect(await balanceOf(receiver)).toBe(250);
+    expect(after.runCount).toBe(1);
+    expect(after.runs[0].status).toBe('completed');
+    expect(after.nextOccurrence.getTime()).toBe(instruction.nextOccurrence.getTime() + 7 * DAY_MS);
+    expect(after.lockedUntil).toBeUndefined();
+  });
+
+  test('records a failed attempt and retries later', async () => {
+    const sender = await createCustomer();
+    const receiver = await createCustomer();
+    const instruction = await dueInstruction(sender, receiver);
+
+    await runDueInstructions();
+
+    const after = await StandingInstruction.findById(instruction._id);
+    expect(after.attempts).toBe(1);
+    expect(after.runs[0]).toMatchObject({ status: 'failed', error: 'Insufficient balance' });
+    expect(after.nextRunAt > new Date()).toBe(true);
+    expect(after.nextOccurrence).toEqual(instruction.nextOccurrence);
+  });
+
+  test('rolls the transfer back if the instruction update fails', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    const instruction = await dueInstruction(sender, receiver);
+
+    const save = StandingInstruction.prototype.save;
+    jest.spyOn(StandingInstruction.prototype, 'save').mockImplementationOnce(async () => {
+      throw new Error('Crashed while saving the instruction');
+    }).mockImplementation(function(...args) {
+      return save.apply(this, args);
+    });
+
+    await runDueInstructions();
+
+    expect(await balanceOf(sender)).toBe(1000);
+    expect(await balanceOf(receiver)).toBe(0);
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBe(0);
+    const after = await StandingInstruction.findById(instruction._id);
+    expect(after.runCount).toBe(0);
+    expect(after.runs[0].status).toBe('failed');
+  });
+});
+
+describe('PATCH /api/transaction/scheduled/:id', () => {
+  const patch = (user, instruction, body) => request(app)
+    .patch(`/api/transaction/scheduled/${instruction._id}`)
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .send(body);
+
+  test('resuming skips occurrences missed while paused', async () => {
+    const sender = await fund(await createCustomer(), 5000);
+    const receiver = await createCustomer();
+    const instruction = await dueInstruction(sender, receiver, { daysAgo: 20 });
+    await StandingInstruction.updateOne({ _id: instruction._id }, { status: 'paused' });
+
+    const response = await patch(sender, instruction, { status: 'active' });
+    expect(response.status).toBe(200);
+
+    const resumed = await StandingInstruction.findById(instruction._id);
+    expect(resumed.nextOccurrence >= new Date(Date.now() - 60 * 1000)).toBe(true);
+
+    await runDueInstructions();
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBeLessThanOrEqual(1);
+  });
+
+  test('rejects an end date before the next occurrence', async () => {
+    const sender = await createCustomer();
+    const receiver = await createCustomer();
+    const instruction = await dueInstruction(sender, receiver, { daysAgo: -10 });
+
+    const response = await patch(sender, instruction, { endDate: new Date(Date.now() + DAY_MS).toISOString() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('End date cannot be before the next scheduled transfer');
+  });
+});
+
+describe('GET /api/transaction/scheduled', () => {
+  test.each(['page=0', 'limit=500', 'status=unknown'])('rejects %s', async (params) => {
+    const user = await createCustomer();
+
+    const response = await request(app)
+      .get(`/api/transaction/scheduled?${params}`)
+      .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,61 @@
+const { toCSV } = require('../services/statement');
+const { scheduleToCSV } = require('../services/amortization');
+
+const statementWith = (lines) => ({
+  account: { accountNumber: '1234567890', username: 'customer' },
+  period: { from: new Date('2024-01-01'), to: new Date('2024-01-31') },
+  openingBalance: 0,
+  closingBalance: lines.length ? lines[lines.length - 1].balance : 0,
+  lines,
+  totals: { debit: 0, credit: 0, byType: {} }
+});
+
+const line = (overrides) => ({
+  date: new Date('2024-01-10'),
+  reference: 'TXN1',
+  type: 'transfer',
+  description: 'Rent',
+  counterparty: 'landlord',
+  debit: 0,
+  credit: 100,
+  balance: 100,
+  ...overrides
+});
+
+describe('toCSV', () => {
+  test('escapes text a spreadsheet would run as a formula', () => {
+    const csv = toCSV(statementWith([
+      line({ description: '=HYPERLINK("http://evil.example","Click")' }),
+      line({ description: '+1+1', counterparty: '@SUM(A1)' }),
+      line({ description: '-2+3', counterparty: '\tcmd' })
+    ]));
+
+    expect(csv).toContain(`"'=HYPERLINK(""http://evil.example"",""Click"")"`);
+    expect(csv).toContain(",'+1+1,'@SUM(A1),");
+    expect(csv).toContain(",'-2+3,'\tcmd,");
+  });
+
+  test('leaves negative amounts as numbers', () => {
+    const csv = toCSV(statementWith([line({ debit: 150, credit: 0, balance: -50 })]));
+
+    expect(csv).toContain(',150.00,,-50.00\r\n');
+    expect(csv).toContain('Closing Balance,-50.00\r\n');
+  });
+});
+
+describe('scheduleToCSV', () => {
+  test('escapes a formula in the status column', () => {
+    const csv = scheduleToCSV([{
+      number: 1,
+      dueDate: new Date(2024, 1, 5),
+      openingBalance: 1000,
+      emi: 1010,
+      principal: 1000,
+      interest: 10,
+      closingBalance: 0,
+      status: '=1+1'
+    }]);
+
+    expect(csv.split('\r\n')[1]).toBe("1,2024-02-05,1000.00,1010.00,1000.00,10.00,0.00,'=1+1");
+  });
+});
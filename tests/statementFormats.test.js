@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const { EXPORT_FORMATS, toQIF, toMT940 } = require('../services/statementFormats');
+
+const GOLDEN_DIR = path.join(__dirname, 'fixtures', 'statements');
+
+const line = (overrides) => ({
+  id: '65a000000000000000000001',
+  date: new Date('2024-01-10T09:30:00Z'),
+  reference: 'TXN20240110ABCD',
+  type: 'transfer',
+  description: 'Rent for January',
+  counterparty: 'landlord',
+  debit: 0,
+  credit: 0,
+  balance: 0,
+  currency: 'INR',
+  ...overrides
+});
+
+const statement = {
+  account: { accountNumber: '1234567890', username: 'customer & co', currency: 'INR' },
+  period: { from: new Date('2024-01-01T00:00:00Z'), to: new Date('2024-01-31T23:59:59.999Z') },
+  openingBalance: 1000,
+  closingBalance: 1497.05,
+  lines: [
+    line({ credit: 500, balance: 1500, description: 'Salary <January>' }),
+    line({
+      id: '65a000000000000000000002',
+      date: new Date('2024-01-12T14:00:00Z'),
+      reference: 'TXN20240112EFGH',
+      type: 'payment',
+      description: 'Fee for payment',
+      counterparty: '',
+      debit: 2.95,
+      balance: 1497.05
+    })
+  ],
+  totals: { debit: 2.95, credit: 500, byType: {} },
+  generatedAt: new Date('2024-02-01T06:00:00Z')
+};
+
+describe('statement export formats', () => {
+  Object.entries(EXPORT_FORMATS).forEach(([format, { render, extension }]) => {
+    test(`${format} matches the golden file`, () => {
+      const golden = path.join(GOLDEN_DIR, `statement.${extension}`);
+      if (process.env.UPDATE_GOLDEN) fs.writeFileSync(golden, render(statement));
+
+      expect(render(statement)).toBe(fs.readFileSync(golden, 'utf8'));
+    });
+  });
+
+  test('QIF keeps each field on one line', () => {
+    const qif = toQIF({
+      ...statement,
+      lines: [line({ credit: 10, description: 'Line one\r\nline two', counterparty: 'Shop\nLtd' })]
+    });
+
+    expect(qif).toContain('\nPShop Ltd\n');
+    expect(qif).toContain('\nMLine one line two [INR]\n');
+  });
+
+  test('MT940 wraps :86: to at most 6 lines of 65 characters', () => {
+    const mt940 = toMT940({
+      ...statement,
+      lines: [line({ credit: 10, counterparty: 'N'.repeat(300), description: 'D'.repeat(200) })]
+    });
+
+    const lines = mt940.split('\r\n');
+    const start = lines.findIndex(text => text.startsWith(':86:'));
+    const end = lines.findIndex(text => text.startsWith(':62F:'));
+    const narrative = lines.slice(start, end);
+
+    expect(narrative).toHaveLength(6);
+    narrative.forEach((text, i) => {
+      expect(text.length).toBeLessThanOrEqual(i === 0 ? 65 + ':86:'.length : 65);
+    });
+  });
+});
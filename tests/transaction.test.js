@@ -0,0 +1,128 @@
+const db = require('./helpers/db');
+const { createCustomer, fund, balanceOf } = require('./helpers/factories');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const { executeTransaction } = require('../services/transaction');
+const { checkLedgerInvariants } = require('../services/ledger');
+const { ServiceError } = require('../services/errors');
+
+beforeAll(db.connect);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const transfer = (sender, receiver, amount) => executeTransaction({
+  senderId: sender._id,
+  receiverId: receiver._id,
+  amount,
+  type: 'transfer',
+  description: 'Concurrent transfer'
+});
+
+describe('executeTransaction', () => {
+  test('two concurrent transfers that together overdraw the sender: exactly one commits', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+
+    const results = await Promise.allSettled([
+      transfer(sender, receiver, 700),
+      transfer(sender, receiver, 700)
+    ]);
+
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(fulfilled).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason).toBeInstanceOf(ServiceError);
+
+    expect(await balanceOf(sender)).toBe(300);
+    expect(await balanceOf(receiver)).toBe(700);
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBe(1);
+
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('two concurrent transfers that fit the balance both commit without losing an update', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+
+    await Promise.all([
+      transfer(sender, receiver, 300),
+      transfer(sender, receiver, 300)
+    ]);
+
+    expect(await balanceOf(sender)).toBe(400);
+    expect(await balanceOf(receiver)).toBe(600);
+    expect(await Transaction.countDocuments({ type: 'transfer', status: 'completed' })).toBe(2);
+
+    const { drifted } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+  });
+
+  test('a rejected transfer writes nothing', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    const guard = async () => {
+      throw new ServiceError('Blocked by guard');
+    };
+
+    await expect(executeTransaction({
+      senderId: sender._id,
+      receiverId: receiver._id,
+      amount: 100,
+      type: 'transfer',
+      guards: [guard]
+    })).rejects.toThrow('Blocked by guard');
+
+    expect(await balanceOf(sender)).toBe(1000);
+    expect(await balanceOf(receiver)).toBe(0);
+    expect(await Transaction.countDocuments({ type: 'transfer' })).toBe(0);
+    expect(await LedgerEntry.countDocuments({ account: receiver._id })).toBe(0);
+  });
+
+  test('deposits and withdrawals move money against the cash account', async () => {
+    const user = await createCustomer();
+
+    await executeTransaction({ senderId: user._id, receiverId: user._id, amount: 500, type: 'deposit' });
+    await executeTransaction({ senderId: user._id, receiverId: user._id, amount: 200, type: 'withdrawal' });
+
+    expect(await balanceOf(user)).toBe(300);
+    const { drifted, unbalancedTransactions } = await checkLedgerInvariants();
+    expect(drifted).toEqual([]);
+    expect(unbalancedTransactions).toEqual([]);
+  });
+
+  test('rejects an overdraft and transfers to yourself', async () => {
+    const sender = await fund(await createCustomer(), 100);
+    const receiver = await createCustomer();
+
+    await expect(transfer(sender, receiver, 150)).rejects.toThrow('Insufficient balance');
+    await expect(transfer(sender, sender, 50)).rejects.toThrow('Cannot transfer to your own account');
+    expect(await balanceOf(sender)).toBe(100);
+  });
+});
+
+describe('POST /api/transaction/create', () => {
+  const request = require('supertest');
+  const { buildApp } = require('./helpers/app');
+  const { tokenFor } = require('./helpers/factories');
+  const app = buildApp({ '/api/transaction': require('../routes/transaction') });
+
+  test('concurrent requests from one account cannot overdraw it', async () => {
+    const sender = await fund(await createCustomer(), 1000);
+    const receiver = await createCustomer();
+    const send = () => request(app)
+      .post('/api/transaction/create')
+      .set('Authorization', `Bearer ${tokenFor(sender)}`)
+      .send({ receiverId: receiver.accountNumber, amount: 600, type: 'transfer' });
+
+    const responses = await Promise.all([send(), send()]);
+    const statuses = responses.map(response => response.status).sort();
+
+    expect(statuses[0]).toBe(201);
+    expect(statuses[1]).toBeGreaterThanOrEqual(400);
+    expect(await balanceOf(sender)).toBe(400);
+    expect(await balanceOf(receiver)).toBe(600);
+  });
+});